@@ -24,24 +24,125 @@ const validateHosts = Joi.array()
   .min(1)
   .required();
 
+const validateNodeUrls = Joi.array()
+  .items(Joi.string().uri({ scheme: ['http', 'https'] }))
+  .min(1)
+  .required();
+
 // Schema for environment variables
 const envSchema = Joi.object({
   NODE_ENV: Joi.string(),
   PORT: Joi.number().required(),
   CORS_CONFIG: Joi.string().required(),
-  SELF_HOSTED_BTC_HOST: Joi.string().required(),
-  SELF_HOSTED_BTC_USERNAME: Joi.string().required(),
-  SELF_HOSTED_BTC_PASSWORD: Joi.string().required(),
+  SELF_HOSTED_BTC_HOST: validateNodeUrls,
+  SELF_HOSTED_BTC_USERNAME: Joi.string(),
+  SELF_HOSTED_BTC_PASSWORD: Joi.string(),
+  SELF_HOSTED_BTC_COOKIE_FILE: Joi.string(),
+  SELF_HOSTED_BTC_TLS_CA_FILE: Joi.string(),
+  SELF_HOSTED_BTC_TLS_CERT_FILE: Joi.string(),
+  SELF_HOSTED_BTC_TLS_KEY_FILE: Joi.string(),
+  SELF_HOSTED_BTC_TLS_REJECT_UNAUTHORIZED: Joi.boolean().default(true),
+  SELF_HOSTED_BTC_MAX_SOCKETS: Joi.number().integer().min(1).default(16),
+  SELF_HOSTED_BTC_HEALTH_INTERVAL_MS: Joi.number()
+    .integer()
+    .min(1000)
+    .default(10000),
+  SELF_HOSTED_BTC_MAX_LAG_BLOCKS: Joi.number().integer().min(0).default(2),
+  CACHE_STORE: Joi.string().valid('memory', 'redis', 'none').default('memory'),
+  CACHE_REDIS_URL: Joi.string()
+    .uri({ scheme: ['redis'] })
+    .when('CACHE_STORE', { is: 'redis', then: Joi.required() }),
+  CACHE_MAX_BYTES: Joi.number()
+    .integer()
+    .min(0)
+    .default(64 * 1024 * 1024),
+  CACHE_CONFIRMATION_DEPTH: Joi.number().integer().min(1).default(6),
+  CACHE_TIP_TTL_MS: Joi.number().integer().min(0).default(2000),
+  RPC_COALESCE_METHODS: Joi.array().items(Joi.string()),
+  RPC_TIMEOUT_MS: Joi.number().integer().min(1).default(30000),
+  RPC_METHOD_TIMEOUTS: Joi.object().pattern(
+    Joi.string(),
+    Joi.number().integer().min(1)
+  ),
+  RPC_RETRIES: Joi.number().integer().min(0).default(2),
+  RPC_RETRY_BASE_DELAY_MS: Joi.number().integer().min(0).default(250),
+  RPC_RETRY_MAX_DELAY_MS: Joi.number().integer().min(0).default(5000),
+  ZMQ_PUB_HASHBLOCK: Joi.string().uri({ scheme: ['tcp', 'ipc'] }),
+  ZMQ_PUB_RAWTX: Joi.string().uri({ scheme: ['tcp', 'ipc'] }),
+  ZMQ_PUB_SEQUENCE: Joi.string().uri({ scheme: ['tcp', 'ipc'] }),
+  STREAM_POLL_INTERVAL_MS: Joi.number().integer().min(500).default(5000),
+  STREAM_REPLAY_BLOCKS: Joi.number().integer().min(1).default(144),
+  WEBHOOK_STORE_FILE: Joi.string().default('data/webhooks.json'),
+  WEBHOOK_MAX_ATTEMPTS: Joi.number().integer().min(1).default(8),
+  WEBHOOK_RETRY_BASE_DELAY_MS: Joi.number().integer().min(0).default(10000),
+  WEBHOOK_RETRY_MAX_DELAY_MS: Joi.number().integer().min(0).default(3600000),
+  WEBHOOK_TIMEOUT_MS: Joi.number().integer().min(1).default(10000),
+  WEBHOOK_LOG_SIZE: Joi.number().integer().min(0).default(1000),
+  BROADCAST_MAX_FEE_RATE: Joi.number().greater(0).default(0.1),
+  BLOCK_STATS_MAX_RANGE: Joi.number().integer().min(1).default(2016),
+  BLOCK_STATS_CONCURRENCY: Joi.number().integer().min(1).default(4),
+  REORG_LOG_FILE: Joi.string().default('data/reorgs.json'),
+  REORG_LOG_SIZE: Joi.number().integer().min(1).default(1000),
+  MEMPOOL_REFRESH_INTERVAL_MS: Joi.number().integer().min(0).default(2000),
+  MEMPOOL_CHANGE_LOG_SIZE: Joi.number().integer().min(1).default(100000),
+  MEMPOOL_REPLACEMENT_LOG_SIZE: Joi.number().integer().min(1).default(10000),
+  FEE_ESTIMATES_TTL_MS: Joi.number().integer().min(0).default(60000),
   SWAGGER_SERVERS: validateHosts,
-}).unknown(); // Allow other unspecified variable
+})
+  // at most one default node auth mode: username/password (rpcauth) or
+  // cookie file; none when every node url embeds its credentials
+  .oxor('SELF_HOSTED_BTC_PASSWORD', 'SELF_HOSTED_BTC_COOKIE_FILE')
+  .and('SELF_HOSTED_BTC_USERNAME', 'SELF_HOSTED_BTC_PASSWORD')
+  .and('SELF_HOSTED_BTC_TLS_CERT_FILE', 'SELF_HOSTED_BTC_TLS_KEY_FILE')
+  .unknown(); // Allow other unspecified variable
 
 // parse SWAGGER_SERVERS
 let servers = process.env.SWAGGER_SERVERS || '';
 servers = servers.split(',').map((h) => h.trim());
 
+// parse SELF_HOSTED_BTC_HOST, a comma separated list of node urls
+let btcHosts = process.env.SELF_HOSTED_BTC_HOST || '';
+btcHosts = btcHosts
+  .split(',')
+  .map((h) => h.trim())
+  .filter(Boolean);
+
+// parse RPC_COALESCE_METHODS, a comma separated list of RPC methods
+const coalesceMethods =
+  process.env.RPC_COALESCE_METHODS === undefined
+    ? [
+        'getbestblockhash',
+        'getblockchaininfo',
+        'getblockcount',
+        'getmempoolinfo',
+        'getrawmempool',
+        'estimatesmartfee',
+      ]
+    : process.env.RPC_COALESCE_METHODS.split(',')
+        .map((m) => m.trim())
+        .filter(Boolean);
+
+// parse RPC_METHOD_TIMEOUTS, comma separated `method:ms` pairs
+const methodTimeouts = {
+  // long running scans
+  scantxoutset: 300000,
+  gettxoutsetinfo: 600000,
+};
+(process.env.RPC_METHOD_TIMEOUTS || '')
+  .split(',')
+  .map((pair) => pair.trim())
+  .filter(Boolean)
+  .forEach((pair) => {
+    const [method, timeout] = pair.split(':');
+    methodTimeouts[method.trim()] = timeout?.trim();
+  });
+
 // Validate the environment variables
 const { error, value: envVars } = envSchema.validate({
   ...process.env,
+  SELF_HOSTED_BTC_HOST: btcHosts,
+  RPC_COALESCE_METHODS: coalesceMethods,
+  RPC_METHOD_TIMEOUTS: methodTimeouts,
   SWAGGER_SERVERS: servers,
 });
 
@@ -57,5 +158,46 @@ export const envConfig = {
   SELF_HOSTED_BTC_HOST: envVars.SELF_HOSTED_BTC_HOST,
   SELF_HOSTED_BTC_USERNAME: envVars.SELF_HOSTED_BTC_USERNAME,
   SELF_HOSTED_BTC_PASSWORD: envVars.SELF_HOSTED_BTC_PASSWORD,
+  SELF_HOSTED_BTC_COOKIE_FILE: envVars.SELF_HOSTED_BTC_COOKIE_FILE,
+  SELF_HOSTED_BTC_TLS_CA_FILE: envVars.SELF_HOSTED_BTC_TLS_CA_FILE,
+  SELF_HOSTED_BTC_TLS_CERT_FILE: envVars.SELF_HOSTED_BTC_TLS_CERT_FILE,
+  SELF_HOSTED_BTC_TLS_KEY_FILE: envVars.SELF_HOSTED_BTC_TLS_KEY_FILE,
+  SELF_HOSTED_BTC_TLS_REJECT_UNAUTHORIZED:
+    envVars.SELF_HOSTED_BTC_TLS_REJECT_UNAUTHORIZED,
+  SELF_HOSTED_BTC_MAX_SOCKETS: envVars.SELF_HOSTED_BTC_MAX_SOCKETS,
+  SELF_HOSTED_BTC_HEALTH_INTERVAL_MS:
+    envVars.SELF_HOSTED_BTC_HEALTH_INTERVAL_MS,
+  SELF_HOSTED_BTC_MAX_LAG_BLOCKS: envVars.SELF_HOSTED_BTC_MAX_LAG_BLOCKS,
+  CACHE_STORE: envVars.CACHE_STORE,
+  CACHE_REDIS_URL: envVars.CACHE_REDIS_URL,
+  CACHE_MAX_BYTES: envVars.CACHE_MAX_BYTES,
+  CACHE_CONFIRMATION_DEPTH: envVars.CACHE_CONFIRMATION_DEPTH,
+  CACHE_TIP_TTL_MS: envVars.CACHE_TIP_TTL_MS,
+  RPC_COALESCE_METHODS: envVars.RPC_COALESCE_METHODS,
+  RPC_TIMEOUT_MS: envVars.RPC_TIMEOUT_MS,
+  RPC_METHOD_TIMEOUTS: envVars.RPC_METHOD_TIMEOUTS,
+  RPC_RETRIES: envVars.RPC_RETRIES,
+  RPC_RETRY_BASE_DELAY_MS: envVars.RPC_RETRY_BASE_DELAY_MS,
+  RPC_RETRY_MAX_DELAY_MS: envVars.RPC_RETRY_MAX_DELAY_MS,
+  ZMQ_PUB_HASHBLOCK: envVars.ZMQ_PUB_HASHBLOCK,
+  ZMQ_PUB_RAWTX: envVars.ZMQ_PUB_RAWTX,
+  ZMQ_PUB_SEQUENCE: envVars.ZMQ_PUB_SEQUENCE,
+  STREAM_POLL_INTERVAL_MS: envVars.STREAM_POLL_INTERVAL_MS,
+  STREAM_REPLAY_BLOCKS: envVars.STREAM_REPLAY_BLOCKS,
+  WEBHOOK_STORE_FILE: envVars.WEBHOOK_STORE_FILE,
+  WEBHOOK_MAX_ATTEMPTS: envVars.WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_DELAY_MS: envVars.WEBHOOK_RETRY_BASE_DELAY_MS,
+  WEBHOOK_RETRY_MAX_DELAY_MS: envVars.WEBHOOK_RETRY_MAX_DELAY_MS,
+  WEBHOOK_TIMEOUT_MS: envVars.WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_LOG_SIZE: envVars.WEBHOOK_LOG_SIZE,
+  BROADCAST_MAX_FEE_RATE: envVars.BROADCAST_MAX_FEE_RATE,
+  BLOCK_STATS_MAX_RANGE: envVars.BLOCK_STATS_MAX_RANGE,
+  BLOCK_STATS_CONCURRENCY: envVars.BLOCK_STATS_CONCURRENCY,
+  REORG_LOG_FILE: envVars.REORG_LOG_FILE,
+  REORG_LOG_SIZE: envVars.REORG_LOG_SIZE,
+  MEMPOOL_REFRESH_INTERVAL_MS: envVars.MEMPOOL_REFRESH_INTERVAL_MS,
+  MEMPOOL_CHANGE_LOG_SIZE: envVars.MEMPOOL_CHANGE_LOG_SIZE,
+  MEMPOOL_REPLACEMENT_LOG_SIZE: envVars.MEMPOOL_REPLACEMENT_LOG_SIZE,
+  FEE_ESTIMATES_TTL_MS: envVars.FEE_ESTIMATES_TTL_MS,
   SWAGGER_SERVERS: envVars.SWAGGER_SERVERS,
 };
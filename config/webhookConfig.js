@@ -0,0 +1,40 @@
+import { envConfig } from './envConf.js';
+import { rpc } from './btcNodeConfig.js';
+import { logger } from '../utils/logger.js';
+import { createWebhookStore } from '../webhooks/store.js';
+import { createDispatcher } from '../webhooks/dispatcher.js';
+import { createWebhookWatcher } from '../watchers/webhookWatcher.js';
+
+export const webhookStore = createWebhookStore({
+  file: envConfig.WEBHOOK_STORE_FILE,
+  logSize: envConfig.WEBHOOK_LOG_SIZE,
+});
+
+export const webhookDispatcher = createDispatcher({
+  store: webhookStore,
+  maxAttempts: envConfig.WEBHOOK_MAX_ATTEMPTS,
+  retryBaseDelay: envConfig.WEBHOOK_RETRY_BASE_DELAY_MS,
+  retryMaxDelay: envConfig.WEBHOOK_RETRY_MAX_DELAY_MS,
+  timeout: envConfig.WEBHOOK_TIMEOUT_MS,
+});
+
+export const webhookWatcher = createWebhookWatcher({
+  rpc,
+  store: webhookStore,
+  dispatcher: webhookDispatcher,
+});
+
+/**
+ * Load the saved subscriptions, resume pending deliveries and start
+ * watching the chain. Call once at startup.
+ */
+export const startWebhooks = async () => {
+  await webhookStore.load();
+
+  webhookDispatcher.start();
+  webhookWatcher.start();
+
+  logger.info(
+    `Loaded ${webhookStore.listSubscriptions().length} webhook subscriptions`
+  );
+};
@@ -3,6 +3,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { envConfig } from '../config/envConf.js';
 import { readPackageSync } from 'read-pkg';
+import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+import { RPC_ERRORS, UNKNOWN_RPC_ERROR } from '../errors/rpc.js';
+import {
+  REJECT_REASONS,
+  UNKNOWN_REJECT_REASON,
+} from '../errors/rejectReasons.js';
 
 // Emulate __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -14,12 +20,60 @@ const description = fs.readFileSync(
   'utf8'
 );
 
+// Render the Bitcoin Core error translation table as markdown
+const rpcErrorTable = [
+  '## ❗ Bitcoin node errors',
+  '',
+  'Errors reported by the Bitcoin node are translated into stable error codes:',
+  '',
+  '| HTTP status | Error code | Bitcoin Core RPC code | When |',
+  '| --- | --- | --- | --- |',
+  ...RPC_ERRORS.map(
+    ({ status, code, rpcCode, match }) =>
+      `| ${status} | \`${code}\` | ${rpcCode} | ${
+        match
+          ? `message matches \`${match.source.replace(/\|/g, '\\|')}\``
+          : 'any message'
+      } |`
+  ),
+  `| ${UNKNOWN_RPC_ERROR.status} | \`${UNKNOWN_RPC_ERROR.code}\` | other | any message |`,
+  '',
+  'The original node error is returned in `error.details` (`rpc_code`, `rpc_message`, `method`).',
+  '',
+  '### Rejected transactions',
+  '',
+  'Transactions refused by the mempool (broadcast, test-accept) report the reject reason as a stable error code:',
+  '',
+  '| HTTP status | Error code | Node reject reason |',
+  '| --- | --- | --- |',
+  ...REJECT_REASONS.map(
+    ({ status, code, match }) =>
+      `| ${status} | \`${code}\` | matches \`${match.source.replace(
+        /\|/g,
+        '\\|'
+      )}\` |`
+  ),
+  `| ${UNKNOWN_REJECT_REASON.status} | \`${UNKNOWN_REJECT_REASON.code}\` | other |`,
+  '',
+  'The node reject reason is returned in `error.details.reason`.',
+].join('\n');
+
+const errorCodes = [
+  ...new Set([
+    ...Object.values(HTTP_ERR_CODES),
+    ...RPC_ERRORS.map(({ code }) => code),
+    UNKNOWN_RPC_ERROR.code,
+    ...REJECT_REASONS.map(({ code }) => code),
+    UNKNOWN_REJECT_REASON.code,
+  ]),
+];
+
 const config = {
   openapi: '3.0.0',
   info: {
     title: 'Bitcoin Block Explorer API',
     version: readPackageSync().version,
-    description,
+    description: `${description}\n---\n\n${rpcErrorTable}\n`,
   },
   servers: envConfig.SWAGGER_SERVERS.map((host) => ({
     url: host,
@@ -41,6 +95,14 @@ const config = {
       name: 'Network API',
       description: 'Endpoints related to Network API',
     },
+    {
+      name: 'Raw Transaction API',
+      description: 'Decode, test and broadcast raw transactions',
+    },
+    {
+      name: 'Stream API',
+      description: 'Live block and mempool events over SSE and WebSocket',
+    },
     {
       name: 'Util API',
       description: 'Endpoints related to Util API',
@@ -49,7 +111,60 @@ const config = {
       name: 'Wallet API',
       description: 'Endpoints related to Wallet API',
     },
+    {
+      name: 'Webhooks',
+      description: 'Callbacks for address and transaction events',
+    },
   ],
+  components: {
+    schemas: {
+      ErrorResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: false,
+          },
+          error: {
+            type: 'object',
+            properties: {
+              status: {
+                type: 'integer',
+                example: 404,
+              },
+              code: {
+                type: 'string',
+                enum: errorCodes,
+                example: 'TX_NOT_FOUND',
+              },
+              message: {
+                type: 'string',
+                example: 'Transaction not found',
+              },
+              details: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  method: {
+                    type: 'string',
+                    example: 'getrawtransaction',
+                  },
+                  rpc_code: {
+                    type: 'integer',
+                    example: -5,
+                  },
+                  rpc_message: {
+                    type: 'string',
+                    example: 'No such mempool or blockchain transaction.',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
 };
 
 export default config;
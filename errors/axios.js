@@ -11,12 +11,22 @@ export const parseAxiosError = (error, fallbackStatus = 502) => {
     );
   }
 
-  if (error.code === 'ECONNABORTED') {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    const method = error.config?.rpcMethod;
+
     return new ApiError(
       504,
       HTTP_ERR_CODES[504],
-      'Request timed out',
-      error.message
+      method
+        ? `RPC call ${method} timed out after ${error.config.timeout} ms`
+        : 'Request timed out',
+      method
+        ? {
+            method,
+            methods: error.config.rpcMethods,
+            timeout: error.config.timeout,
+          }
+        : error.message
     );
   }
 
@@ -29,6 +29,11 @@ const errorResponseHandler = (err, req, res, next) => {
     delete errorResponse.req;
   }
 
+  // e.g. Retry-After on 503s
+  if (err.headers) {
+    res.set(err.headers);
+  }
+
   res.status(status).json(errorResponse);
 };
 
@@ -0,0 +1,136 @@
+import ApiError from './ApiError.js';
+
+/**
+ * Translation table from mempool reject reasons (`testmempoolaccept`
+ * `reject-reason`, or the message of a rejected `sendrawtransaction`) to
+ * stable API errors. Entries are checked in order; the first `match` wins.
+ */
+export const REJECT_REASONS = [
+  {
+    match: /max-fee-exceeded|fee exceeds maximum/i,
+    status: 422,
+    code: 'MAX_FEE_EXCEEDED',
+    message: 'Fee rate is above the allowed maximum (maxfeerate)',
+  },
+  {
+    match:
+      /min relay fee not met|mempool min fee not met|insufficient fee|min-fee-not-met/i,
+    status: 422,
+    code: 'INSUFFICIENT_FEE',
+    message: 'Fee is too low to enter the mempool',
+  },
+  {
+    match: /missing-inputs|missingorspent|missing inputs/i,
+    status: 422,
+    code: 'MISSING_INPUTS',
+    message: 'Inputs are missing or already spent',
+  },
+  {
+    match:
+      /txn-already-in-mempool|txn-already-known|txn-same-nonwitness-data-in-mempool/i,
+    status: 409,
+    code: 'ALREADY_IN_MEMPOOL',
+    message: 'Transaction is already in the mempool',
+  },
+  {
+    match: /already in block ?chain|outputs already in utxo set/i,
+    status: 409,
+    code: 'TX_ALREADY_IN_CHAIN',
+    message: 'Transaction already in block chain',
+  },
+  {
+    match: /txn-mempool-conflict|bip125-replacement-disallowed|replacement/i,
+    status: 409,
+    code: 'MEMPOOL_CONFLICT',
+    message: 'Transaction conflicts with a mempool transaction',
+  },
+  {
+    match: /too-long-mempool-chain|too-large-cluster|package-mempool-limits/i,
+    status: 422,
+    code: 'MEMPOOL_CHAIN_LIMIT',
+    message: 'Too many unconfirmed ancestors or descendants',
+  },
+  {
+    match: /non-final|non-BIP68-final/i,
+    status: 422,
+    code: 'NON_FINAL',
+    message: 'Transaction is not final yet (locktime or sequence lock)',
+  },
+  {
+    match: /mandatory-script-verify-flag-failed/i,
+    status: 422,
+    code: 'SCRIPT_VERIFY_FAILED',
+    message: 'Script verification failed (invalid signature or script)',
+  },
+  {
+    match:
+      /^dust|scriptpubkey|scriptsig|^version|tx-size|multi-op-return|bare-multisig|non-mandatory-script-verify-flag|bad-witness-nonstandard|bad-txns-nonstandard-inputs|tx-size-small|datacarrier/i,
+    status: 422,
+    code: 'NON_STANDARD',
+    message: 'Transaction is non-standard and not relayed',
+  },
+  {
+    match: /^package-|package-not-sorted|package-too/i,
+    status: 422,
+    code: 'PACKAGE_REJECTED',
+    message: 'Package rejected',
+  },
+  {
+    match: /^bad-txns|^bad-tx|coinbase/i,
+    status: 422,
+    code: 'INVALID_TRANSACTION',
+    message: 'Transaction is invalid',
+  },
+];
+
+// used for reasons missing from the table
+export const UNKNOWN_REJECT_REASON = {
+  status: 422,
+  code: 'TX_REJECTED',
+  message: 'Transaction rejected by the mempool',
+};
+
+/**
+ * Look up a reject reason in REJECT_REASONS.
+ *
+ * @param {string} reason - Node reject reason, e.g. `min relay fee not met`.
+ * @returns {{ status: number, code: string, message: string }}
+ */
+export const parseRejectReason = (reason = '') => {
+  const { status, code, message } =
+    REJECT_REASONS.find(({ match }) => match.test(reason)) ||
+    UNKNOWN_REJECT_REASON;
+
+  return { status, code, message };
+};
+
+/**
+ * ApiError for a transaction the mempool refused. The node's own reason and
+ * details are kept in `details`.
+ *
+ * @param {string} reason - Node reject reason.
+ * @param {object} [details] - Extra context (txid, reject details, ...).
+ * @returns {ApiError}
+ */
+export const rejectError = (reason, details = {}) => {
+  const { status, code, message } = parseRejectReason(reason);
+
+  return new ApiError(status, code, message, { ...details, reason });
+};
+
+// sendrawtransaction error codes of a refused transaction: RPC_VERIFY_ERROR,
+// RPC_VERIFY_REJECTED and RPC_VERIFY_ALREADY_IN_CHAIN
+const BROADCAST_REJECT_CODES = [-25, -26, -27];
+
+/**
+ * Turn a failed `sendrawtransaction` call into a rejectError when the node
+ * refused the transaction; other errors are returned as they are.
+ *
+ * @param {ApiError} error - Error of the RPC call (see parseRpcError).
+ * @param {object} [details] - Extra context (txid, ...).
+ * @returns {ApiError}
+ */
+export const broadcastError = (error, details = {}) =>
+  BROADCAST_REJECT_CODES.includes(error.details?.rpcCode)
+    ? rejectError(error.details.rpcMessage, details)
+    : error;
@@ -0,0 +1,170 @@
+import ApiError from './ApiError.js';
+
+/**
+ * Translation table from Bitcoin Core RPC errors (see src/rpc/protocol.h) to
+ * stable API errors. Entries are checked in order and the first one whose
+ * `rpcCode` (and `match`, when given) fits the node error wins, so the
+ * message-specific entries come before the generic entry for the same code.
+ *
+ * `message` is optional; without it the node's own message is passed on.
+ */
+export const RPC_ERRORS = [
+  // -1 RPC_MISC_ERROR
+  {
+    rpcCode: -1,
+    match: /pruned|block not available/i,
+    status: 410,
+    code: 'BLOCK_PRUNED',
+    message: 'Block data is no longer available on the pruned node',
+  },
+  {
+    rpcCode: -1,
+    match: /index is not enabled/i,
+    status: 501,
+    code: 'BLOCK_FILTER_INDEX_DISABLED',
+    message:
+      'Block filter index is not enabled on the node (-blockfilterindex)',
+  },
+  { rpcCode: -1, status: 502, code: 'NODE_ERROR' },
+  // -3 RPC_TYPE_ERROR
+  { rpcCode: -3, status: 400, code: 'INVALID_TYPE' },
+  // -5 RPC_INVALID_ADDRESS_OR_KEY
+  {
+    rpcCode: -5,
+    match: /block (hash )?not found/i,
+    status: 404,
+    code: 'BLOCK_NOT_FOUND',
+    message: 'Block not found',
+  },
+  {
+    rpcCode: -5,
+    match: /not in mempool/i,
+    status: 404,
+    code: 'TX_NOT_IN_MEMPOOL',
+    message: 'Transaction not in mempool',
+  },
+  {
+    rpcCode: -5,
+    match: /-txindex/i,
+    status: 404,
+    code: 'TX_NOT_FOUND_NO_TXINDEX',
+    message:
+      'Transaction not found in the mempool. The node has no -txindex, pass the blockhash of a confirmed transaction',
+  },
+  {
+    rpcCode: -5,
+    match: /transaction/i,
+    status: 404,
+    code: 'TX_NOT_FOUND',
+    message: 'Transaction not found',
+  },
+  { rpcCode: -5, status: 400, code: 'INVALID_ADDRESS_OR_KEY' },
+  // -7 RPC_OUT_OF_MEMORY
+  {
+    rpcCode: -7,
+    status: 503,
+    code: 'NODE_OUT_OF_MEMORY',
+    message: 'Bitcoin node ran out of memory',
+  },
+  // -8 RPC_INVALID_PARAMETER
+  {
+    rpcCode: -8,
+    match: /height out of range|after current tip/i,
+    status: 404,
+    code: 'BLOCK_HEIGHT_OUT_OF_RANGE',
+    message: 'Block height out of range',
+  },
+  { rpcCode: -8, status: 400, code: 'INVALID_PARAMETER' },
+  // -9 RPC_CLIENT_NOT_CONNECTED
+  {
+    rpcCode: -9,
+    status: 503,
+    code: 'NODE_NOT_CONNECTED',
+    message: 'Bitcoin node is not connected to the network',
+  },
+  // -10 RPC_CLIENT_IN_INITIAL_DOWNLOAD
+  {
+    rpcCode: -10,
+    status: 503,
+    code: 'NODE_SYNCING',
+    message: 'Bitcoin node is still downloading the initial blocks',
+  },
+  // -20 RPC_DATABASE_ERROR
+  { rpcCode: -20, status: 502, code: 'NODE_DATABASE_ERROR' },
+  // -22 RPC_DESERIALIZATION_ERROR
+  { rpcCode: -22, status: 400, code: 'DECODE_FAILED' },
+  // -25 RPC_VERIFY_ERROR
+  {
+    rpcCode: -25,
+    match: /missing inputs|missingorspent/i,
+    status: 422,
+    code: 'TX_MISSING_INPUTS',
+  },
+  { rpcCode: -25, status: 422, code: 'TX_VERIFY_FAILED' },
+  // -26 RPC_VERIFY_REJECTED
+  { rpcCode: -26, status: 422, code: 'TX_REJECTED' },
+  // -27 RPC_VERIFY_ALREADY_IN_CHAIN
+  {
+    rpcCode: -27,
+    status: 409,
+    code: 'TX_ALREADY_IN_CHAIN',
+    message: 'Transaction already in block chain',
+  },
+  // -28 RPC_IN_WARMUP
+  {
+    rpcCode: -28,
+    status: 503,
+    code: 'NODE_WARMING_UP',
+    message: 'Bitcoin node is warming up',
+  },
+  // -32 RPC_METHOD_DEPRECATED
+  { rpcCode: -32, status: 501, code: 'METHOD_DEPRECATED' },
+  // JSON-RPC 2.0 standard errors
+  { rpcCode: -32600, status: 502, code: 'RPC_INVALID_REQUEST' },
+  {
+    rpcCode: -32601,
+    status: 501,
+    code: 'METHOD_NOT_FOUND',
+    message: 'Method not supported by the Bitcoin node',
+  },
+  { rpcCode: -32602, status: 400, code: 'INVALID_PARAMETER' },
+  {
+    rpcCode: -32603,
+    match: /being indexed/i,
+    status: 503,
+    code: 'BLOCK_FILTER_INDEX_SYNCING',
+    message: 'Block filters are still being indexed by the node',
+  },
+  { rpcCode: -32603, status: 502, code: 'NODE_INTERNAL_ERROR' },
+  { rpcCode: -32700, status: 502, code: 'RPC_PARSE_ERROR' },
+];
+
+// used for codes missing from the table
+export const UNKNOWN_RPC_ERROR = { status: 502, code: 'NODE_RPC_ERROR' };
+
+/**
+ * Convert a Bitcoin Core JSON-RPC error into an ApiError using RPC_ERRORS.
+ * The original node error is kept in `details`.
+ *
+ * @param {{ code: number, message: string }} rpcError - JSON-RPC `error` member.
+ * @param {string} [method] - RPC method that failed.
+ * @returns {ApiError}
+ */
+export const parseRpcError = (rpcError, method) => {
+  const entry =
+    RPC_ERRORS.find(
+      ({ rpcCode, match }) =>
+        rpcCode === rpcError.code && (!match || match.test(rpcError.message))
+    ) || UNKNOWN_RPC_ERROR;
+
+  return new ApiError(
+    entry.status,
+    entry.code,
+    entry.message || rpcError.message,
+    {
+      method,
+      rpcCode: rpcError.code,
+      rpcMessage: rpcError.message,
+    }
+  );
+};
@@ -5,21 +5,42 @@ import {
   getChainInfo,
   getGetBestblockhash,
   getBlock,
+  getBlockByHeight,
+  getBlocks,
   getBlockCount,
+  getBlockFilter,
+  getBlockFilterHeaders,
   getBlockHeader,
   getBlockStats,
+  getBlockStatsRange,
   getBlockHash,
   getChainTips,
   getChainTxStats,
   getDifficulty,
+  getMerkleProof,
+  getProjectedBlocks,
   getMempoolAncestors,
+  getMempoolChanges,
   getMempoolDescendants,
   getMempoolEntry,
+  getMempoolEta,
+  getMempoolHistogram,
   getMempoolInfo,
+  getMempoolPackage,
+  getMempoolReplacementChain,
+  getMempoolReplacements,
+  getMempoolTxs,
   getRawMempool,
+  getReorgs,
+  getTransaction,
   getTxOut,
   getTxOutProof,
+  getUtxoSetInfo,
+  getUtxoSetInfoJob,
+  matchBlockFilters,
+  parseMerkleProof,
   scanUTXOSet,
+  verifyMerkleProofLocally,
   verifyTxOutProof,
   getBlockHashDecimals,
 } from '../services/blockchain.js';
@@ -31,21 +52,42 @@ router.route('/info').get(getChainInfo);
 router.route('/best-block-hash').get(getGetBestblockhash);
 router.route('/block-count').get(getBlockCount);
 router.route('/block/:blockhash').get(getBlock);
+router.route('/block-by-height/:height').get(getBlockByHeight);
+router.route('/blocks').get(getBlocks);
 router.route('/blockhash/:count').get(getBlockHash);
 router.route('/block-hash-decimals/:height').get(getBlockHashDecimals);
+router.route('/block-filter/match').post(matchBlockFilters);
+router.route('/block-filter/:block').get(getBlockFilter);
+router.route('/block-filter-headers').get(getBlockFilterHeaders);
 router.route('/block-header/:blockhash').get(getBlockHeader);
+router.route('/block-stats').get(getBlockStatsRange);
 router.route('/block-stats/:height').get(getBlockStats);
 router.route('/chain-tips').get(getChainTips);
 router.route('/chain-tx-stats').get(getChainTxStats);
 router.route('/difficulty').get(getDifficulty);
 router.route('/mempool/ancestors/:txid').get(getMempoolAncestors);
+router.route('/mempool/changes').get(getMempoolChanges);
 router.route('/mempool/descendants/:txid').get(getMempoolDescendants);
 router.route('/mempool/entry/:txid').get(getMempoolEntry);
+router.route('/mempool/eta/:txid').get(getMempoolEta);
+router.route('/mempool/histogram').get(getMempoolHistogram);
 router.route('/mempool/info').get(getMempoolInfo);
+router.route('/mempool/package/:txid').get(getMempoolPackage);
+router.route('/mempool/projected-blocks').get(getProjectedBlocks);
 router.route('/mempool/raw').get(getRawMempool);
+router.route('/mempool/replacements').get(getMempoolReplacements);
+router.route('/mempool/replacements/:txid').get(getMempoolReplacementChain);
+router.route('/mempool/txs').get(getMempoolTxs);
+router.route('/tx/:txid').get(getTransaction);
 router.route('/txout/:txid/:index').get(getTxOut);
 router.route('/txout-proof/:txid').get(getTxOutProof);
+router.route('/merkle-proof/parse').post(parseMerkleProof);
+router.route('/merkle-proof/verify').post(verifyMerkleProofLocally);
+router.route('/merkle-proof/:txid').get(getMerkleProof);
+router.route('/reorgs').get(getReorgs);
 router.route('/scan-utxos').post(scanUTXOSet);
+router.route('/utxo-set-info').get(getUtxoSetInfo);
+router.route('/utxo-set-info/jobs/:id').get(getUtxoSetInfoJob);
 router.route('/verify-txout-proof').post(verifyTxOutProof);
 
 export default router;
@@ -1,11 +1,13 @@
 // library
 import express from 'express';
 // local
-import { getRpcInfo } from '../services/control.js';
+import { getBackends, getRpcInfo, getRpcStats } from '../services/control.js';
 
 const router = express.Router();
 
 // route the end points
 router.route('/rpc-info').get(getRpcInfo);
+router.route('/backends').get(getBackends);
+router.route('/rpc-stats').get(getRpcStats);
 
 export default router;
@@ -0,0 +1,19 @@
+// library
+import express from 'express';
+// local
+import {
+  decodeRawTransaction,
+  decodeScript,
+  sendRawTransaction,
+  testMempoolAccept,
+} from '../services/rawtransactions.js';
+
+const router = express.Router();
+
+// route the end points
+router.post('/decode', decodeRawTransaction);
+router.post('/decode-script', decodeScript);
+router.post('/test-accept', testMempoolAccept);
+router.post('/send', sendRawTransaction);
+
+export default router;
@@ -0,0 +1,11 @@
+// library
+import express from 'express';
+// local
+import { streamEvents } from '../services/stream.js';
+
+const router = express.Router();
+
+// route the end points
+router.route('/events').get(streamEvents);
+
+export default router;
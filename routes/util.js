@@ -2,12 +2,20 @@
 import express from 'express';
 // local
 import {
+  analyzePsbt,
+  combinePsbt,
+  convertToPsbt,
   createMultisig,
+  decodePsbt,
   deriveAddresses,
   estimateSmartFee,
+  finalizePsbt,
+  getFeeEstimates,
   getBlockHashDecimals,
   getDescriptorInfo,
   getIndexInfo,
+  joinPsbts,
+  utxoUpdatePsbt,
   validateAddress,
   verifyMessage,
 } from '../services/util.js';
@@ -17,6 +25,7 @@ const router = express.Router();
 // route the end points
 router.get('/estimate-smart-fee', estimateSmartFee);
 router.get('/estimate-smart-fee', estimateSmartFee);
+router.get('/fee-estimates', getFeeEstimates);
 router.get('/index-info', getIndexInfo);
 router.get('/validate-address', validateAddress);
 router.get('/hash-to-decimal', getBlockHashDecimals);
@@ -24,5 +33,12 @@ router.post('/get-descriptor-info', getDescriptorInfo);
 router.post('/create-multisig', createMultisig);
 router.post('/derive-address', deriveAddresses);
 router.post('/verify-address', verifyMessage);
+router.post('/psbt/decode', decodePsbt);
+router.post('/psbt/analyze', analyzePsbt);
+router.post('/psbt/combine', combinePsbt);
+router.post('/psbt/finalize', finalizePsbt);
+router.post('/psbt/join', joinPsbts);
+router.post('/psbt/convert', convertToPsbt);
+router.post('/psbt/utxo-update', utxoUpdatePsbt);
 
 export default router;
@@ -0,0 +1,20 @@
+// library
+import express from 'express';
+// local
+import {
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhookDeliveries,
+  listWebhooks,
+  updateWebhook,
+} from '../services/webhooks.js';
+
+const router = express.Router();
+
+// route the end points
+router.route('/').get(listWebhooks).post(createWebhook);
+router.route('/:id').get(getWebhook).patch(updateWebhook).delete(deleteWebhook);
+router.route('/:id/deliveries').get(getWebhookDeliveries);
+
+export default router;
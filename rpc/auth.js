@@ -0,0 +1,73 @@
+import fs from 'fs';
+import ApiError from '../errors/ApiError.js';
+import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+
+const basicAuth = (credentials) =>
+  `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+/**
+ * Static username/password authentication, for nodes configured with
+ * `rpcauth=` or `rpcuser=`/`rpcpassword=`.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {{ header: Function, refresh: Function }}
+ */
+export const createPasswordAuth = (username, password) => {
+  const header = basicAuth(`${username}:${password}`);
+
+  return {
+    header: () => header,
+    // static credentials never change
+    refresh: () => false,
+  };
+};
+
+/**
+ * Cookie-file authentication, for nodes running with the default `.cookie`
+ * file. bitcoind writes a fresh cookie on every start, so the file is read
+ * lazily and re-read whenever the node rejects the current one.
+ *
+ * @param {string} cookieFile - Path to bitcoind's `.cookie` file.
+ * @returns {{ header: Function, refresh: Function }}
+ */
+export const createCookieAuth = (cookieFile) => {
+  let header = null;
+
+  const readCookie = () => {
+    try {
+      return basicAuth(fs.readFileSync(cookieFile, 'utf8').trim());
+    } catch (error) {
+      throw new ApiError(
+        503,
+        HTTP_ERR_CODES[503],
+        'Bitcoin node cookie file is not readable',
+        error.message
+      );
+    }
+  };
+
+  return {
+    header: () => {
+      if (!header) {
+        header = readCookie();
+      }
+
+      return header;
+    },
+    /**
+     * Re-read the cookie file.
+     * @returns {boolean} true when the cookie changed and a retry may succeed.
+     */
+    refresh: () => {
+      try {
+        const next = readCookie();
+        const changed = next !== header;
+        header = next;
+        return changed;
+      } catch (error) {
+        return false;
+      }
+    },
+  };
+};
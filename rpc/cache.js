@@ -0,0 +1,226 @@
+import { logger } from '../utils/logger.js';
+
+// tip-dependent calls: cached briefly and keyed by the current tip, so a new
+// best block makes every earlier entry unreachable
+const TIP_METHODS = new Set([
+  'getbestblockhash',
+  'getblockchaininfo',
+  'getblockcount',
+  'getdifficulty',
+  'getmempoolinfo',
+  'estimatesmartfee',
+]);
+
+// chain data addressed by block hash (or height), which stops changing once
+// the block is buried deep enough
+const IMMUTABLE_METHODS = new Set([
+  'getblock',
+  'getblockfilter',
+  'getblockheader',
+  'getblockstats',
+  'gettxoutproof',
+]);
+
+const MISS = Symbol('miss');
+
+/**
+ * Wrap an RPC client (same `call`/`batch` API) with a tip-aware cache.
+ *
+ * - Hash-addressed chain data (blocks, headers, filters, block stats, tx-out
+ *   proofs) is cached permanently once it has at least `confirmationDepth`
+ *   confirmations. Cached `confirmations` fields are refreshed on read.
+ * - Tip-dependent calls are cached for `tipTtl` ms and invalidated as soon
+ *   as a new best block hash or height is seen.
+ * - Everything else passes straight through.
+ *
+ * Store failures are logged and treated as cache misses.
+ *
+ * @param {object} client - Inner RPC client.
+ * @param {object} options
+ * @param {object} options.store - Cache store (see rpc/stores).
+ * @param {number} [options.confirmationDepth=6] - Depth before block data is cached.
+ * @param {number} [options.tipTtl=2000] - TTL (ms) of tip-dependent entries.
+ * @returns {object} Client with `call`, `batch`, `setTip` and `stats`.
+ */
+export const createCachedClient = (
+  client,
+  { store, confirmationDepth = 6, tipTtl = 2000 }
+) => {
+  const tip = { hash: null, height: null };
+  const counters = { hits: 0, misses: 0, invalidations: 0, methods: {} };
+
+  /**
+   * Record the current chain tip. Either value may be omitted.
+   *
+   * @param {{ hash?: string, height?: number }} next
+   */
+  const setTip = ({ hash = tip.hash, height = tip.height }) => {
+    if (hash === tip.hash && height === tip.height) {
+      return;
+    }
+
+    if (tip.hash !== null || tip.height !== null) {
+      counters.invalidations++;
+    }
+
+    tip.hash = hash;
+    tip.height = height;
+  };
+
+  const observe = (method, result) => {
+    if (method === 'getbestblockhash') {
+      setTip({ hash: result });
+    } else if (method === 'getblockcount') {
+      setTip({ height: result });
+    } else if (method === 'getblockchaininfo') {
+      setTip({ hash: result.bestblockhash, height: result.blocks });
+    }
+  };
+
+  const isCacheable = (method, params) =>
+    TIP_METHODS.has(method) ||
+    (IMMUTABLE_METHODS.has(method) &&
+      // a proof without a block hint depends on where the tx confirmed
+      (method !== 'gettxoutproof' || params[1] !== undefined));
+
+  const keyFor = (method, params) => {
+    const key = `${method}:${JSON.stringify(params)}`;
+
+    return TIP_METHODS.has(method)
+      ? `tip:${tip.height}:${tip.hash}:${key}`
+      : `chain:${key}`;
+  };
+
+  const count = (method, outcome) => {
+    counters[outcome]++;
+    counters.methods[method] ??= { hits: 0, misses: 0 };
+    counters.methods[method][outcome]++;
+  };
+
+  const currentHeight = async () => {
+    if (tip.height === null) {
+      await call('getblockcount');
+    }
+
+    return tip.height;
+  };
+
+  /**
+   * Whether an immutable-method result is buried deep enough to keep forever.
+   */
+  const isSettled = async (method, result) => {
+    // raw hex and block filters are addressed by block hash and can never
+    // change
+    if (typeof result === 'string' || method === 'getblockfilter') {
+      return true;
+    }
+
+    if (typeof result?.confirmations === 'number') {
+      return result.confirmations >= confirmationDepth;
+    }
+
+    if (typeof result?.height === 'number') {
+      return (await currentHeight()) - result.height + 1 >= confirmationDepth;
+    }
+
+    return false;
+  };
+
+  const refresh = (value) =>
+    typeof value?.confirmations === 'number' &&
+    typeof value.height === 'number' &&
+    tip.height !== null
+      ? { ...value, confirmations: tip.height - value.height + 1 }
+      : value;
+
+  const lookup = async (method, params) => {
+    if (!isCacheable(method, params)) {
+      return MISS;
+    }
+
+    try {
+      const entry = await store.get(keyFor(method, params));
+
+      if (entry !== undefined) {
+        count(method, 'hits');
+        return refresh(entry.value);
+      }
+    } catch (error) {
+      logger.warn(`RPC cache read failed: ${error.message}`);
+    }
+
+    count(method, 'misses');
+    return MISS;
+  };
+
+  const remember = async (method, params, result) => {
+    if (!isCacheable(method, params)) {
+      return;
+    }
+
+    if (TIP_METHODS.has(method)) {
+      observe(method, result);
+    } else if (!(await isSettled(method, result))) {
+      return;
+    }
+
+    try {
+      await store.set(
+        keyFor(method, params),
+        { value: result },
+        TIP_METHODS.has(method) ? tipTtl : undefined
+      );
+    } catch (error) {
+      logger.warn(`RPC cache write failed: ${error.message}`);
+    }
+  };
+
+  const call = async (method, params = []) => {
+    const cached = await lookup(method, params);
+
+    if (cached !== MISS) {
+      return cached;
+    }
+
+    const result = await client.call(method, params);
+    await remember(method, params, result);
+
+    return result;
+  };
+
+  const batch = async (calls) => {
+    const results = await Promise.all(
+      calls.map(({ method, params = [] }) => lookup(method, params))
+    );
+
+    const misses = calls
+      .map(({ method, params = [] }, index) => ({ method, params, index }))
+      .filter(({ index }) => results[index] === MISS);
+
+    if (misses.length > 0) {
+      const fetched = await client.batch(
+        misses.map(({ method, params }) => ({ method, params }))
+      );
+
+      for (const [i, { method, params, index }] of misses.entries()) {
+        results[index] = fetched[i];
+        await remember(method, params, fetched[i]);
+      }
+    }
+
+    return results;
+  };
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+
+    return {
+      ...counters,
+      hitRate: lookups ? counters.hits / lookups : 0,
+      tip: { ...tip },
+      store: store.stats(),
+    };
+  };
+
+  return { call, batch, setTip, stats };
+};
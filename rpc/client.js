@@ -0,0 +1,172 @@
+import http from 'http';
+import https from 'https';
+import axios from 'axios';
+import axiosRetry from 'axios-retry';
+import ApiError from '../errors/ApiError.js';
+import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+import { parseAxiosError } from '../errors/axios.js';
+import { parseRpcError } from '../errors/rpc.js';
+import { createRpcPolicy } from './policy.js';
+
+/**
+ * Create a long-lived JSON-RPC client for a single Bitcoin Core node.
+ *
+ * The client keeps its sockets open between requests (keep-alive) and
+ * unwraps the JSON-RPC envelope, so callers only ever see the `result`
+ * or a thrown ApiError.
+ *
+ * @param {object} options
+ * @param {string} options.baseURL - Node RPC url (e.g. `http://127.0.0.1:8332`).
+ * @param {object} [options.auth] - Auth provider from rpc/auth.js.
+ * @param {object} [options.tls={}] - https.Agent TLS options (ca, cert, key, rejectUnauthorized).
+ * @param {number} [options.maxSockets=16] - Max concurrent sockets to the node.
+ * @param {object} [options.policy] - Timeout/retry policy from rpc/policy.js.
+ * @returns {{ call: Function, batch: Function }}
+ *
+ * @example
+ * const client = createRpcClient({ baseURL: 'http://127.0.0.1:8332' });
+ * const height = await client.call('getblockcount');
+ * const [hash, info] = await client.batch([
+ *   { method: 'getblockhash', params: [height] },
+ *   { method: 'getmempoolinfo' },
+ * ]);
+ */
+export const createRpcClient = ({
+  baseURL,
+  auth,
+  tls = {},
+  maxSockets = 16,
+  policy = createRpcPolicy(),
+}) => {
+  const transport = axios.create({
+    baseURL,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    httpAgent: new http.Agent({ keepAlive: true, maxSockets }),
+    httpsAgent: new https.Agent({ keepAlive: true, maxSockets, ...tls }),
+  });
+
+  // registered before the error interceptor below, which turns axios errors
+  // into ApiErrors that axios-retry can no longer inspect
+  axiosRetry(transport, {
+    retries: policy.retries,
+    retryCondition: policy.shouldRetry,
+    retryDelay: policy.retryDelay,
+    shouldResetTimeout: true,
+  });
+
+  transport.interceptors.request.use((config) => {
+    if (auth) {
+      config.headers.Authorization = auth.header();
+    }
+
+    return config;
+  });
+
+  transport.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      const { config, response } = error;
+
+      // the node may have rotated its cookie, re-read it and retry once
+      if (
+        response?.status === 401 &&
+        auth &&
+        !config.authRetried &&
+        auth.refresh()
+      ) {
+        config.authRetried = true;
+        return transport.request(config);
+      }
+
+      // bitcoind answers failed calls with an error status and a JSON-RPC body
+      if (response?.data?.error) {
+        throw parseRpcError(response.data.error, config.rpcMethod);
+      }
+
+      // convert axios error into API error
+      throw parseAxiosError(error);
+    }
+  );
+
+  let nextId = 0;
+
+  const buildRequest = (method, params = []) => ({
+    jsonrpc: '1.0',
+    id: ++nextId,
+    method,
+    params,
+  });
+
+  /**
+   * Call a single RPC method and resolve with its `result`.
+   *
+   * @param {string} method - RPC method name (e.g. 'getblockcount').
+   * @param {Array} [params=[]] - Positional RPC params.
+   * @returns {Promise<any>}
+   */
+  const call = async (method, params = []) => {
+    const { data } = await transport.post('/', buildRequest(method, params), {
+      rpcMethod: method,
+      rpcMethods: [method],
+      timeout: policy.timeoutFor([method]),
+    });
+
+    if (data.error) {
+      throw parseRpcError(data.error, method);
+    }
+
+    return data.result;
+  };
+
+  /**
+   * Send several RPC calls in one HTTP request. Results are returned in the
+   * same order as `calls`; the first failed call rejects the whole batch.
+   *
+   * @param {Array<{ method: string, params?: Array }>} calls
+   * @returns {Promise<Array>}
+   */
+  const batch = async (calls) => {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    const requests = calls.map(({ method, params }) =>
+      buildRequest(method, params)
+    );
+
+    const methods = requests.map(({ method }) => method);
+
+    const { data } = await transport.post('/', requests, {
+      rpcMethod: 'batch',
+      rpcMethods: methods,
+      timeout: policy.timeoutFor(methods),
+    });
+    const responses = new Map(data.map((response) => [response.id, response]));
+
+    return requests.map(({ id, method }) => {
+      const response = responses.get(id);
+
+      if (!response) {
+        throw new ApiError(
+          502,
+          HTTP_ERR_CODES[502],
+          `Missing batch response for ${method}`
+        );
+      }
+
+      if (response.error) {
+        throw parseRpcError(response.error, method);
+      }
+
+      return response.result;
+    });
+  };
+
+  return { call, batch };
+};
@@ -0,0 +1,61 @@
+/**
+ * Wrap an RPC client (same `call`/`batch` API) so identical concurrent calls
+ * share one upstream request. Only methods listed in `methods` are
+ * coalesced; the rest, and batches, pass straight through.
+ *
+ * Waiters receive the same result object, so callers must not mutate it.
+ *
+ * @param {object} client - Inner RPC client.
+ * @param {object} options
+ * @param {Array<string>} options.methods - RPC methods to coalesce.
+ * @returns {object} Client with `call`, `batch` and `stats`.
+ */
+export const createCoalescingClient = (client, { methods }) => {
+  const coalesced = new Set(methods);
+  const inFlight = new Map();
+  const counters = {};
+
+  const count = (method, saved) => {
+    counters[method] ??= { calls: 0, upstream: 0, saved: 0 };
+    counters[method].calls++;
+
+    if (saved) {
+      counters[method].saved++;
+    } else {
+      counters[method].upstream++;
+    }
+  };
+
+  const call = (method, params = []) => {
+    if (!coalesced.has(method)) {
+      return client.call(method, params);
+    }
+
+    const key = `${method}:${JSON.stringify(params)}`;
+    const pending = inFlight.get(key);
+
+    if (pending) {
+      count(method, true);
+      return pending;
+    }
+
+    count(method, false);
+
+    const request = client.call(method, params).finally(() => {
+      inFlight.delete(key);
+    });
+    inFlight.set(key, request);
+
+    return request;
+  };
+
+  const batch = (calls) => client.batch(calls);
+
+  const stats = () => ({
+    methods: counters,
+    saved: Object.values(counters).reduce((sum, { saved }) => sum + saved, 0),
+    inFlight: inFlight.size,
+  });
+
+  return { call, batch, stats };
+};
@@ -0,0 +1,83 @@
+// pure, read-only or side-effect free methods that are safe to send twice
+const IDEMPOTENT_PREFIXES =
+  /^(get|estimate|decode|validate|verify|derive|analyze)/;
+const IDEMPOTENT_METHODS = new Set([
+  'combinepsbt',
+  'combinerawtransaction',
+  'converttopsbt',
+  'createmultisig',
+  'createpsbt',
+  'createrawtransaction',
+  'finalizepsbt',
+  'joinpsbts',
+  'testmempoolaccept',
+  'uptime',
+  'utxoupdatepsbt',
+]);
+
+// connection failures after which the request may simply be sent again
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'EPIPE']);
+
+// -28 RPC_IN_WARMUP
+const RPC_IN_WARMUP = -28;
+
+export const isIdempotentMethod = (method) =>
+  IDEMPOTENT_PREFIXES.test(method) || IDEMPOTENT_METHODS.has(method);
+
+/**
+ * Timeout and retry policy for node RPC calls.
+ *
+ * Only idempotent methods (and batches made only of them) are retried, and
+ * only after a connection reset or while the node is warming up. Retries
+ * back off exponentially with full jitter.
+ *
+ * @param {object} [options]
+ * @param {number} [options.timeout=30000] - Default per-call timeout (ms).
+ * @param {object} [options.methodTimeouts={}] - Per-method timeouts (ms), e.g. `{ scantxoutset: 300000 }`.
+ * @param {number} [options.retries=2] - Max retries per call.
+ * @param {number} [options.retryBaseDelay=250] - Backoff base delay (ms).
+ * @param {number} [options.retryMaxDelay=5000] - Backoff delay cap (ms).
+ * @returns {object} Policy used by createRpcClient.
+ */
+export const createRpcPolicy = ({
+  timeout = 30000,
+  methodTimeouts = {},
+  retries = 2,
+  retryBaseDelay = 250,
+  retryMaxDelay = 5000,
+} = {}) => {
+  /**
+   * Timeout for a call, or for a batch made of `methods`.
+   *
+   * @param {Array<string>} methods
+   * @returns {number}
+   */
+  const timeoutFor = (methods) =>
+    Math.max(...methods.map((method) => methodTimeouts[method] ?? timeout));
+
+  /**
+   * axios-retry retryCondition. Reads the RPC methods from the request config.
+   *
+   * @param {import('axios').AxiosError} error
+   * @returns {boolean}
+   */
+  const shouldRetry = (error) => {
+    const methods = error.config?.rpcMethods ?? [];
+
+    if (methods.length === 0 || !methods.every(isIdempotentMethod)) {
+      return false;
+    }
+
+    if (error.response) {
+      return error.response.data?.error?.code === RPC_IN_WARMUP;
+    }
+
+    return RETRYABLE_NETWORK_CODES.has(error.code);
+  };
+
+  const retryDelay = (retryCount) =>
+    Math.random() *
+    Math.min(retryMaxDelay, retryBaseDelay * 2 ** (retryCount - 1));
+
+  return { retries, timeoutFor, shouldRetry, retryDelay };
+};
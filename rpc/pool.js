@@ -0,0 +1,167 @@
+import { logger } from '../utils/logger.js';
+import { isIdempotentMethod } from './policy.js';
+
+/**
+ * Errors that mean "this node could not serve the request" rather than
+ * "the node answered with an error". A missing response, an overloaded node
+ * (work queue exceeded) and a node that is warming up, syncing or offline
+ * are all reported as 503. A node that accepted the request but did not
+ * answer in time (504) counts too, as long as the request is safe to send
+ * again to another node.
+ *
+ * @param {Error} error
+ * @param {Array<string>} methods - RPC methods of the failed request.
+ * @returns {boolean}
+ */
+const isUnavailableError = (error, methods) =>
+  error.status === 503 ||
+  (error.status === 504 && methods.every(isIdempotentMethod));
+
+/**
+ * Create a pool of Bitcoin nodes exposing the same `call`/`batch` API as a
+ * single RPC client. Each node is health-checked with `getblockchaininfo`;
+ * requests go to the healthiest node and fail over to the next one when a
+ * node cannot be reached.
+ *
+ * A node is preferred when it is reachable, out of initial block download and
+ * no more than `maxLag` blocks behind the best known tip. When no node
+ * qualifies, the remaining nodes are still tried so a single-node setup keeps
+ * working while its node syncs.
+ *
+ * @param {object} options
+ * @param {Array<{ name: string, client: object }>} options.nodes - Named RPC clients.
+ * @param {number} [options.healthCheckInterval=10000] - Health check period (ms).
+ * @param {number} [options.maxLag=2] - Max blocks a node may trail the best tip.
+ * @returns {object} Pool with `call`, `batch`, `checkHealth`, `start`, `stop` and `status`.
+ */
+export const createNodePool = ({
+  nodes,
+  healthCheckInterval = 10000,
+  maxLag = 2,
+}) => {
+  const backends = nodes.map(({ name, client }) => ({
+    name,
+    client,
+    healthy: true, // optimistic until the first check says otherwise
+    height: null,
+    ibd: false,
+    latency: null,
+    lastError: null,
+    lastCheckedAt: null,
+  }));
+
+  let timer = null;
+
+  const checkNode = async (backend) => {
+    const startedAt = Date.now();
+
+    try {
+      const info = await backend.client.call('getblockchaininfo');
+
+      backend.healthy = true;
+      backend.height = info.blocks;
+      backend.ibd = info.initialblockdownload;
+      backend.latency = Date.now() - startedAt;
+      backend.lastError = null;
+    } catch (error) {
+      backend.healthy = false;
+      backend.lastError = error.message;
+    }
+
+    backend.lastCheckedAt = new Date().toISOString();
+  };
+
+  const checkHealth = () => Promise.all(backends.map(checkNode));
+
+  const bestHeight = () =>
+    backends.reduce(
+      (best, { healthy, height }) =>
+        healthy && height !== null ? Math.max(best, height) : best,
+      -1
+    );
+
+  const isPreferred = (backend, best) =>
+    backend.healthy &&
+    !backend.ibd &&
+    (backend.height === null || best - backend.height <= maxLag);
+
+  const byFitness = (a, b) =>
+    Number(b.healthy) - Number(a.healthy) ||
+    (b.height ?? -1) - (a.height ?? -1) ||
+    (a.latency ?? Infinity) - (b.latency ?? Infinity);
+
+  /**
+   * Backends in the order they should be tried: preferred nodes first, then
+   * everything else as a last resort.
+   */
+  const candidates = () => {
+    const best = bestHeight();
+    const preferred = backends.filter((b) => isPreferred(b, best));
+    const fallback = backends.filter((b) => !isPreferred(b, best));
+
+    return [...preferred.sort(byFitness), ...fallback.sort(byFitness)];
+  };
+
+  const withFailover = async (label, methods, request) => {
+    let lastError;
+
+    for (const backend of candidates()) {
+      try {
+        return await request(backend.client);
+      } catch (error) {
+        if (!isUnavailableError(error, methods)) {
+          throw error;
+        }
+
+        logger.warn(
+          `RPC node ${backend.name} unavailable for ${label}, failing over`
+        );
+        backend.healthy = false;
+        backend.lastError = error.message;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  };
+
+  const call = (method, params = []) =>
+    withFailover(method, [method], (client) => client.call(method, params));
+
+  const batch = (calls) =>
+    withFailover(
+      'batch',
+      calls.map(({ method }) => method),
+      (client) => client.batch(calls)
+    );
+
+  /**
+   * Start periodic health checks. The timer does not keep the process alive.
+   */
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    checkHealth();
+    timer = setInterval(checkHealth, healthCheckInterval);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const status = () => {
+    const best = bestHeight();
+
+    return backends.map(({ client, ...backend }) => ({
+      ...backend,
+      lag: backend.height === null || best < 0 ? null : best - backend.height,
+      preferred: isPreferred(backend, best),
+    }));
+  };
+
+  return { call, batch, checkHealth, start, stop, status };
+};
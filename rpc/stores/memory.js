@@ -0,0 +1,74 @@
+/**
+ * In-memory LRU cache store, bounded by the approximate JSON size of its
+ * entries. Entries may carry a TTL; entries without one live until evicted.
+ *
+ * Values are kept serialized, like in the Redis store, so every read gets
+ * its own copy and a caller mutating a result cannot change what later
+ * reads see.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=67108864] - Approximate size budget (64 MB).
+ * @returns {{ get: Function, set: Function, stats: Function }}
+ */
+export const createMemoryStore = ({ maxBytes = 64 * 1024 * 1024 } = {}) => {
+  // Map keeps insertion order, so the first key is the least recently used
+  const entries = new Map();
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+
+    if (entry) {
+      bytes -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      remove(key);
+      return undefined;
+    }
+
+    // mark as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+
+    return JSON.parse(entry.json);
+  };
+
+  const set = async (key, value, ttl) => {
+    const json = JSON.stringify(value);
+    const size = json.length;
+
+    // never let a single oversized value flush the whole cache
+    if (size > maxBytes) {
+      return;
+    }
+
+    remove(key);
+    entries.set(key, {
+      json,
+      size,
+      expiresAt: ttl ? Date.now() + ttl : null,
+    });
+    bytes += size;
+
+    for (const oldest of entries.keys()) {
+      if (bytes <= maxBytes) {
+        break;
+      }
+      remove(oldest);
+    }
+  };
+
+  const stats = () => ({ type: 'memory', entries: entries.size, bytes });
+
+  return { get, set, stats };
+};
@@ -0,0 +1,229 @@
+import net from 'net';
+
+const CRLF = '\r\n';
+
+const encodeCommand = (args) =>
+  `*${args.length}${CRLF}` +
+  args
+    .map((arg) => `$${Buffer.byteLength(String(arg))}${CRLF}${arg}${CRLF}`)
+    .join('');
+
+/**
+ * Parse one RESP reply from `buffer` starting at `offset`.
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: any, offset: number }|null} null when the reply is incomplete.
+ */
+export const parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+
+      return {
+        value: buffer.toString('utf8', next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case '*': {
+      const count = Number(line);
+      const items = [];
+      let cursor = next;
+
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+
+        if (!item) {
+          return null;
+        }
+
+        items.push(item.value);
+        cursor = item.offset;
+      }
+
+      return { value: count === -1 ? null : items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+};
+
+/**
+ * Cache store speaking the Redis protocol (Redis, Valkey, KeyDB, Dragonfly).
+ * Uses a single pipelined connection, opened lazily and re-opened after a
+ * failure. Values are stored as JSON.
+ *
+ * A server that cannot be reached in `connectTimeout` or leaves a command
+ * unanswered for `commandTimeout` fails every pending command, so callers
+ * fall back to the node instead of waiting on the cache. A late reply could
+ * no longer be matched to its command, so the connection is dropped and
+ * re-opened by the next command.
+ *
+ * @param {object} options
+ * @param {string} options.url - Server url, e.g. `redis://:password@127.0.0.1:6379/0`.
+ * @param {string} [options.keyPrefix='btc-trace:'] - Prefix for every key.
+ * @param {number} [options.connectTimeout=2000] - Max time to connect (ms).
+ * @param {number} [options.commandTimeout=1000] - Max time for a reply (ms).
+ * @returns {{ get: Function, set: Function, stats: Function }}
+ */
+export const createRedisStore = ({
+  url,
+  keyPrefix = 'btc-trace:',
+  connectTimeout = 2000,
+  commandTimeout = 1000,
+}) => {
+  const { hostname, port, username, password, pathname } = new URL(url);
+  const database = pathname.slice(1);
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  const failPending = (error) => {
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    pending = [];
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let reply;
+    let offset = 0;
+
+    while (pending.length && (reply = parseReply(buffer, offset))) {
+      const { resolve, reject, timer } = pending.shift();
+      offset = reply.offset;
+      clearTimeout(timer);
+
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+
+    buffer = buffer.subarray(offset);
+  };
+
+  // fail everything in flight and forget the connection, the next command
+  // opens a new one
+  const drop = (connection, error) => {
+    if (socket === connection) {
+      socket = null;
+      failPending(error);
+    }
+
+    connection.destroy();
+  };
+
+  const write = (args) =>
+    new Promise((resolve, reject) => {
+      const current = socket;
+      // commands queued while connecting wait for the connection first
+      const timeout = current.connecting
+        ? connectTimeout + commandTimeout
+        : commandTimeout;
+      const timer = setTimeout(
+        () =>
+          drop(
+            current,
+            new Error(`Redis command timed out after ${timeout} ms`)
+          ),
+        timeout
+      );
+
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+
+  const connect = () => {
+    const current = net.createConnection({
+      host: hostname,
+      port: port || 6379,
+      timeout: connectTimeout,
+    });
+    socket = current;
+    buffer = Buffer.alloc(0);
+
+    // the socket timeout only guards the connection attempt, replies are
+    // covered by the per-command timer
+    socket.on('connect', () => current.setTimeout(0));
+    socket.on('timeout', () =>
+      drop(
+        current,
+        new Error(`Redis connection timed out after ${connectTimeout} ms`)
+      )
+    );
+    socket.on('data', onData);
+    socket.on('error', (error) => drop(current, error));
+    socket.on('close', () =>
+      drop(current, new Error('Redis connection closed'))
+    );
+
+    // commands are queued until the socket connects
+    if (password) {
+      write(
+        username
+          ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)]
+          : ['AUTH', decodeURIComponent(password)]
+      ).catch(() => {});
+    }
+    if (database) {
+      write(['SELECT', database]).catch(() => {});
+    }
+  };
+
+  const command = (...args) => {
+    if (!socket) {
+      connect();
+    }
+
+    return write(args);
+  };
+
+  const get = async (key) => {
+    const value = await command('GET', `${keyPrefix}${key}`);
+    return value === null ? undefined : JSON.parse(value);
+  };
+
+  const set = async (key, value, ttl) => {
+    const args = ['SET', `${keyPrefix}${key}`, JSON.stringify(value)];
+
+    if (ttl) {
+      args.push('PX', ttl);
+    }
+
+    await command(...args);
+  };
+
+  const stats = () => ({ type: 'redis', connected: Boolean(socket) });
+
+  return { get, set, stats };
+};
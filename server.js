@@ -7,14 +7,23 @@ import blockchain from './routes/blockchain.js';
 import control from './routes/control.js';
 import mining from './routes/mining.js';
 import network from './routes/network.js';
+import rawtransactions from './routes/rawtransactions.js';
+import stream from './routes/stream.js';
 import util from './routes/util.js';
 import wallet from './routes/wallet.js';
+import webhooks from './routes/webhooks.js';
 
 import { httpLogger, logger } from './utils/logger.js';
 
 import errorResponseHandler from './errors/errorResponseHandler.js';
 // middlewares
 import { envConfig } from './config/envConf.js';
+import { nodePool } from './config/btcNodeConfig.js';
+import { startWebhooks } from './config/webhookConfig.js';
+import { attachStreamServer } from './services/stream.js';
+import { blockWatcher } from './watchers/blockWatcher.js';
+import { mempoolMirror } from './watchers/mempoolMirror.js';
+import { reorgLog } from './watchers/reorgLog.js';
 import {
   camelCaseRequest,
   pascalCaseResponse,
@@ -60,8 +69,11 @@ app.use('/blockchain', blockchain);
 app.use('/control', control);
 app.use('/mining', mining);
 app.use('/network', network);
+app.use('/rawtransactions', rawtransactions);
+app.use('/stream', stream);
 app.use('/util', util);
 app.use('/wallet', wallet);
+app.use('/webhooks', webhooks);
 
 // finally the error handler on the chain
 app.use(errorResponseHandler);
@@ -72,6 +84,26 @@ const server = app.listen(
   logger.info(`Server started in ${PORT} on ${envConfig.NODE_ENV} mode...`)
 );
 
+// start health checking the bitcoin node backends
+nodePool.start();
+
+// live block / mempool events
+blockWatcher.start();
+attachStreamServer(server);
+
+// local mempool copy, synced through ZMQ sequence notifications when configured
+mempoolMirror.start();
+
+// reorg history
+reorgLog.start().catch((error) => {
+  logger.error(`Failed to load the reorg history: ${error.message}`);
+});
+
+// webhook subscriptions
+startWebhooks().catch((error) => {
+  logger.error(`Failed to start webhooks: ${error.message}`);
+});
+
 process.on('unhandledRejection', (error, promise) => {
   logger.error(error);
   server.close(() => {
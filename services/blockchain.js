@@ -1,9 +1,61 @@
 import Joi from 'joi';
-import { getClient } from '../config/btcNodeConfig.js';
+import * as changeKeys from 'change-case/keys';
+import { rpc } from '../config/btcNodeConfig.js';
+import { envConfig } from '../config/envConf.js';
 import expressAsyncHandler from 'express-async-handler';
 import ApiError from '../errors/ApiError.js';
 import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
-import { getHexSuffixDecimals } from '../utils/generals.js';
+import { advancedResults } from '../utils/advancedResults.js';
+import { matchBlockFilter } from '../utils/blockFilter.js';
+import {
+  BLOCK_STATS_BUCKETS,
+  BLOCK_STATS_SERIES_FIELDS,
+  DEFAULT_BLOCK_STATS_SERIES_FIELDS,
+  aggregateBlockStats,
+  toBlockStatsRow,
+  toCsv,
+  toSeriesNames,
+} from '../utils/blockStatsSeries.js';
+import { fetchBlockSummaries } from '../utils/blockSummary.js';
+import {
+  DEFAULT_INCREMENTAL_RELAY_FEE_RATE,
+  cpfpChildFee,
+  rbfReplacementFee,
+  toSatPerVbyte,
+} from '../utils/feeBump.js';
+import { getHexSuffixDecimals, mapConcurrent } from '../utils/generals.js';
+import { createJobRunner } from '../utils/jobs.js';
+import {
+  DEFAULT_FEE_HISTOGRAM_BOUNDS,
+  confirmationTimeRange,
+  feeHistogram,
+} from '../utils/mempoolAnalytics.js';
+import {
+  buildMerkleBranch,
+  parseBlockHeader,
+  parseTxOutProof,
+  verifyMerkleProof,
+} from '../utils/merkle.js';
+import {
+  assertBlockAvailable,
+  explainPruned,
+  getAvailableBlocks,
+  prunedBlockError,
+  toAvailableBlocks,
+} from '../utils/pruning.js';
+import {
+  feeRate,
+  resolvePrevouts,
+  summarizeValues,
+  toBtc,
+  toSats,
+} from '../utils/transactions.js';
+import { mempoolMirror } from '../watchers/mempoolMirror.js';
+import { reorgLog } from '../watchers/reorgLog.js';
+
+// `/info` and `/best-block-hash` have always answered with the node's whole
+// JSON-RPC response, clients read `data.result`
+const toRpcResponse = (result) => ({ result, error: null, id: 'curltest' });
 
 /**
  * @swagger
@@ -12,23 +64,20 @@ import { getHexSuffixDecimals } from '../utils/generals.js';
  *     tags:
  *     - Blockchain API
  *     summary: Get current Bitcoin chain tip info
+ *     description: The node's JSON-RPC response (`result`, `error`, `id`); `result` is the `getblockchaininfo` result plus `available_blocks`, the heights whose full block data the node still has. Below `available_blocks.from_height` (pruned node) block, stats and transaction requests answer `410 BLOCK_PRUNED`; headers stay available.
  *     responses:
  *       200:
  *         description: Bitcoin chain info
  */
 export const getChainInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getblockchaininfo',
-    params: [],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getblockchaininfo');
 
   return res.status(200).json({
     success: true,
-    data: info.data,
+    data: toRpcResponse({
+      ...info,
+      availableBlocks: toAvailableBlocks(info),
+    }),
   });
 });
 
@@ -39,21 +88,15 @@ export const getChainInfo = expressAsyncHandler(async (req, res, next) => {
  *     tags:
  *     - Blockchain API
  *     summary: Call Bitcoin RPC method `getbestblockhash`
+ *     description: The node's JSON-RPC response (`result`, `error`, `id`).
  *     responses:
  *       200:
  *         description: Bitcoin getbestblockhash result
  */
 export const getGetBestblockhash = expressAsyncHandler(
   async (req, res, next) => {
-    const payload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'getbestblockhash',
-      params: [],
-    };
-
-    const info = await getClient().post('/', payload);
-    return res.status(200).json({ success: true, data: info.data });
+    const info = await rpc.call('getbestblockhash');
+    return res.status(200).json({ success: true, data: toRpcResponse(info) });
   }
 );
 
@@ -94,6 +137,18 @@ export const getGetBestblockhash = expressAsyncHandler(
  *                   type: object
  *       400:
  *         description: Invalid parameters
+ *       404:
+ *         description: Block not found (`BLOCK_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: Block data pruned by the node (`BLOCK_PRUNED`), `details.earliest_height` is the first height still available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 export const getBlock = expressAsyncHandler(async (req, res, next) => {
   const { params, query } = req;
@@ -116,18 +171,209 @@ export const getBlock = expressAsyncHandler(async (req, res, next) => {
 
   const { blockhash, verbosity = 1 } = value;
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getblock',
-    params: [blockhash, verbosity],
+  const info = await rpc
+    .call('getblock', [blockhash, verbosity])
+    .catch(explainPruned(rpc, { blockhash }));
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/block-by-height/{height}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get block details by height
+ *     description: Same as `/blockchain/block/{blockhash}` for the block at `height` in the main chain.
+ *     parameters:
+ *       - in: path
+ *         name: height
+ *         schema:
+ *           type: integer
+ *           example: 800000
+ *         required: true
+ *         description: The block height
+ *       - in: query
+ *         name: verbosity
+ *         schema:
+ *           type: integer
+ *           enum: [0, 1, 2]
+ *           default: 1
+ *         required: false
+ *         description: Verbosity level (0 = hex, 1 = JSON object, 2 = JSON with tx details)
+ *     responses:
+ *       200:
+ *         description: Block data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Height above the chain tip (`BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: Block data pruned by the node (`BLOCK_PRUNED`), `details.earliest_height` is the first height still available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getBlockByHeight = expressAsyncHandler(async (req, res, next) => {
+  const { params, query } = req;
+
+  const schema = Joi.object({
+    height: Joi.number().integer().min(0).required(),
+    verbosity: Joi.number().valid(0, 1, 2).optional(),
+  });
+
+  const { error, value } = schema.validate({ ...params, ...query });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const { height, verbosity = 1 } = value;
+
+  await assertBlockAvailable(rpc, height);
+
+  const blockhash = await rpc.call('getblockhash', [height]);
+  const info = await rpc.call('getblock', [blockhash, verbosity]);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/blocks:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: List blocks with pagination
+ *     description: Header summary plus key stats (fee rates, subsidy, size, weight) of each block. Starts at the chain tip and walks down by default; follow `pagination.next` for the next page.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: First height of the page. Defaults to the tip (`desc`) or genesis (`asc`).
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 50
+ *         required: false
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [desc, asc]
+ *           default: desc
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Page of block summaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                   description: Number of blocks in the chain
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     next:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         direction:
+ *                           type: string
+ *                     prev:
+ *                       type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       hash:
+ *                         type: string
+ *                       height:
+ *                         type: integer
+ *                       time:
+ *                         type: integer
+ *                       n_tx:
+ *                         type: integer
+ *                       difficulty:
+ *                         type: number
+ *                       stats:
+ *                         type: object
+ *                         nullable: true
+ *       400:
+ *         description: Invalid parameters
+ */
+export const getBlocks = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    from: Joi.number().integer().min(0).optional(),
+    limit: Joi.number().integer().min(1).max(50).optional(),
+    direction: Joi.string().valid('asc', 'desc').optional(),
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const tip = await rpc.call('getblockcount');
+
+  const loadBlocks = async (heights) => {
+    const hashes = await rpc.batch(
+      heights.map((height) => ({ method: 'getblockhash', params: [height] }))
+    );
+
+    return fetchBlockSummaries(rpc, hashes);
   };
 
-  const info = await getClient().post('/', payload);
+  const page = await advancedResults(loadBlocks, value, { min: 0, max: tip });
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    ...page,
   });
 });
 
@@ -143,18 +389,11 @@ export const getBlock = expressAsyncHandler(async (req, res, next) => {
  *         description: Returns the total number of blocks in the chain
  */
 export const getBlockCount = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getblockcount',
-    params: [],
-  };
-
-  const result = await getClient().post('/', payload);
+  const result = await rpc.call('getblockcount');
 
   return res.status(200).json({
     success: true,
-    data: result.data.result,
+    data: result,
   });
 });
 
@@ -187,6 +426,12 @@ export const getBlockCount = expressAsyncHandler(async (req, res, next) => {
  *                   example: "00000000000000000001a63c..."
  *       400:
  *         description: Invalid block height
+ *       404:
+ *         description: Block height out of range (`BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 export const getBlockHash = expressAsyncHandler(async (req, res, next) => {
   const { count } = req.params;
@@ -206,18 +451,11 @@ export const getBlockHash = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getblockhash',
-    params: [Number(value.count)],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getblockhash', [Number(value.count)]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -290,16 +528,7 @@ export const getBlockHashDecimals = expressAsyncHandler(
       );
     }
 
-    // Step 1: Get block hash from height
-    const hashPayload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'getblockhash',
-      params: [Number(value.height)],
-    };
-
-    const hashResp = await getClient().post('/', hashPayload);
-    const hexHash = hashResp.data.result;
+    const hexHash = await rpc.call('getblockhash', [Number(value.height)]);
 
     return res.status(200).json({
       success: true,
@@ -318,6 +547,7 @@ export const getBlockHashDecimals = expressAsyncHandler(
  *     tags:
  *     - Blockchain API
  *     summary: Get block header by block hash
+ *     description: Headers are kept for every height, also below the prune height of a pruned node.
  *     parameters:
  *       - in: path
  *         name: blockhash
@@ -349,6 +579,12 @@ export const getBlockHashDecimals = expressAsyncHandler(
  *                     - type: string
  *       400:
  *         description: Invalid parameters
+ *       404:
+ *         description: Block not found (`BLOCK_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 export const getBlockHeader = expressAsyncHandler(async (req, res, next) => {
   const { blockhash } = req.params;
@@ -373,38 +609,77 @@ export const getBlockHeader = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getblockheader',
-    params: [value.blockhash, value.verbose],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getblockheader', [
+    value.blockhash,
+    value.verbose,
+  ]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
+// a block given by hash or by height
+const blockRef = Joi.alternatives(
+  Joi.string().hex().length(64),
+  Joi.number().integer().min(0)
+);
+
+// getblockfilter results are large, fetch them in slices
+const FILTER_BATCH_SIZE = 100;
+
+const resolveBlockhash = (block) =>
+  typeof block === 'number' ? rpc.call('getblockhash', [block]) : block;
+
+// resolveBlockhash for many blocks, the heights in one batch
+const resolveBlockhashes = async (blocks) => {
+  const heights = blocks.filter((block) => typeof block === 'number');
+  const hashes = await rpc.batch(
+    heights.map((height) => ({ method: 'getblockhash', params: [height] }))
+  );
+  const byHeight = new Map(heights.map((height, i) => [height, hashes[i]]));
+
+  return blocks.map((block) => byHeight.get(block) ?? block);
+};
+
+const fetchBlockFilters = async (hashes) => {
+  const filters = [];
+
+  for (let i = 0; i < hashes.length; i += FILTER_BATCH_SIZE) {
+    const slice = hashes.slice(i, i + FILTER_BATCH_SIZE);
+
+    filters.push(
+      ...(await rpc.batch(
+        slice.map((hash) => ({
+          method: 'getblockfilter',
+          params: [hash, 'basic'],
+        }))
+      ))
+    );
+  }
+
+  return filters;
+};
+
 /**
  * @swagger
- * /blockchain/block-stats/{height}:
+ * /blockchain/block-filter/{block}:
  *   get:
  *     tags:
  *     - Blockchain API
- *     summary: Get block statistics by height
+ *     summary: Get the BIP158 basic filter and filter header of a block
+ *     description: Needs `-blockfilterindex` on the node, see `/util/index-info`.
  *     parameters:
  *       - in: path
- *         name: height
- *         schema:
- *           type: integer
+ *         name: block
  *         required: true
- *         description: The block height to fetch statistics for
+ *         schema:
+ *           type: string
+ *         description: Block hash or height
  *     responses:
  *       200:
- *         description: Block statistics
+ *         description: Block filter
  *         content:
  *           application/json:
  *             schema:
@@ -414,17 +689,44 @@ export const getBlockHeader = expressAsyncHandler(async (req, res, next) => {
  *                   type: boolean
  *                 data:
  *                   type: object
+ *                   properties:
+ *                     blockhash:
+ *                       type: string
+ *                     height:
+ *                       type: integer
+ *                     filter:
+ *                       type: string
+ *                       description: Serialized GCS filter hex
+ *                     header:
+ *                       type: string
+ *                       description: Filter header
  *       400:
- *         description: Invalid block height
+ *         description: Invalid parameters
+ *       404:
+ *         description: Block not found (`BLOCK_NOT_FOUND`, `BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       501:
+ *         description: Block filter index disabled (`BLOCK_FILTER_INDEX_DISABLED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Block filter index still syncing (`BLOCK_FILTER_INDEX_SYNCING`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-export const getBlockStats = expressAsyncHandler(async (req, res, next) => {
-  const { height } = req.params;
-
+export const getBlockFilter = expressAsyncHandler(async (req, res, next) => {
   const schema = Joi.object({
-    height: Joi.number().integer().min(0).required(),
+    block: blockRef.required(),
   });
 
-  const { error, value } = schema.validate({ height });
+  const { error, value } = schema.validate(req.params);
 
   if (error) {
     throw new ApiError(
@@ -435,87 +737,43 @@ export const getBlockStats = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getblockstats',
-    params: [Number(value.height)],
-  };
-
-  const info = await getClient().post('/', payload);
-
-  return res.status(200).json({
-    success: true,
-    data: info.data.result,
-  });
-});
-
-/**
- * @swagger
- * /blockchain/chain-tips:
- *   get:
- *     tags:
- *     - Blockchain API
- *     summary: Get all known blockchain tips
- *     description: Returns information about all known tips in the block tree, including the main chain and stale forks.
- *     responses:
- *       200:
- *         description: List of chain tips
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *       500:
- *         description: Server error or node not responding
- */
-export const getChainTips = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getchaintips',
-    params: [],
-  };
+  const blockhash = await resolveBlockhash(value.block);
 
-  const info = await getClient().post('/', payload);
+  const [{ filter, header }, { height }] = await rpc.batch([
+    { method: 'getblockfilter', params: [blockhash, 'basic'] },
+    { method: 'getblockheader', params: [blockhash, true] },
+  ]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: { blockhash, height, filter, header },
   });
 });
 
 /**
  * @swagger
- * /blockchain/chain-tx-stats:
+ * /blockchain/block-filter-headers:
  *   get:
  *     tags:
  *     - Blockchain API
- *     summary: Get transaction statistics over recent blocks
+ *     summary: Get a range of BIP158 filter headers
+ *     description: Filter headers of consecutive blocks of the active chain, for checkpoint syncing. `previous_header` is the filter header of the block before `from_height` (all zeros for genesis), so the range can be chained to a known checkpoint. The range stops at the chain tip.
  *     parameters:
  *       - in: query
- *         name: nblocks
+ *         name: from_height
+ *         required: true
  *         schema:
  *           type: integer
- *           example: 200
- *         required: false
- *         description: Number of blocks to include in stats (defaults to approx. 1 month)
  *       - in: query
- *         name: blockhash
- *         schema:
- *           type: string
- *           example: "0000000000000000000a1b2c3d4e5f67890123456789abcdef1234567890abcd"
+ *         name: count
  *         required: false
- *         description: Optional block hash to start counting from (default is chain tip)
+ *         schema:
+ *           type: integer
+ *           default: 1000
+ *           maximum: 1000
  *     responses:
  *       200:
- *         description: Chain transaction stats
+ *         description: Filter headers in height order
  *         content:
  *           application/json:
  *             schema:
@@ -525,112 +783,139 @@ export const getChainTips = expressAsyncHandler(async (req, res, next) => {
  *                   type: boolean
  *                 data:
  *                   type: object
+ *                   properties:
+ *                     from_height:
+ *                       type: integer
+ *                     to_height:
+ *                       type: integer
+ *                     previous_header:
+ *                       type: string
+ *                     headers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           height:
+ *                             type: integer
+ *                           blockhash:
+ *                             type: string
+ *                           header:
+ *                             type: string
  *       400:
  *         description: Invalid parameters
+ *       404:
+ *         description: Start height above the chain tip (`BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       501:
+ *         description: Block filter index disabled (`BLOCK_FILTER_INDEX_DISABLED`)
+ *       503:
+ *         description: Block filter index still syncing (`BLOCK_FILTER_INDEX_SYNCING`)
  */
-export const getChainTxStats = expressAsyncHandler(async (req, res, next) => {
-  const { nblocks, blockhash } = req.query;
+export const getBlockFilterHeaders = expressAsyncHandler(
+  async (req, res, next) => {
+    const schema = Joi.object({
+      fromHeight: Joi.number().integer().min(0).required(),
+      count: Joi.number().integer().min(1).max(1000).default(1000),
+    });
 
-  const schema = Joi.object({
-    nblocks: Joi.number().integer().min(1).optional(),
-    blockhash: Joi.string().length(64).optional(),
-  });
+    const { error, value } = schema.validate(req.query);
 
-  const { error, value } = schema.validate({ nblocks, blockhash });
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
 
-  if (error) {
-    throw new ApiError(
-      400,
-      HTTP_ERR_CODES[400],
-      'request validation failed',
-      error.details.map((d) => d.message)
-    );
-  }
+    const { fromHeight, count } = value;
+    const tip = await rpc.call('getblockcount');
 
-  const params = [];
-  if (value.nblocks !== undefined) params.push(value.nblocks);
-  if (value.blockhash !== undefined) params.push(value.blockhash);
+    if (fromHeight > tip) {
+      throw new ApiError(
+        404,
+        'BLOCK_HEIGHT_OUT_OF_RANGE',
+        'Block height out of range'
+      );
+    }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getchaintxstats',
-    params,
-  };
+    const toHeight = Math.min(fromHeight + count - 1, tip);
 
-  const info = await getClient().post('/', payload);
+    // include the block before the range for previous_header
+    const heights = [];
+    for (
+      let height = Math.max(fromHeight - 1, 0);
+      height <= toHeight;
+      height++
+    ) {
+      heights.push(height);
+    }
 
-  return res.status(200).json({
-    success: true,
-    data: info.data.result,
-  });
-});
+    const hashes = await rpc.batch(
+      heights.map((height) => ({ method: 'getblockhash', params: [height] }))
+    );
+    const filters = await fetchBlockFilters(hashes);
 
-/**
- * @swagger
- * /blockchain/difficulty:
- *   get:
- *     tags:
- *     - Blockchain API
- *     summary: Get current mining difficulty
- *     description: Returns the current difficulty target as a multiple of the minimum difficulty.
- *     responses:
- *       200:
- *         description: Current network difficulty
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   type: number
- *                   example: 816548445211.7812
- *       500:
- *         description: Node error or connection issue
- */
-export const getDifficulty = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getdifficulty',
-    params: [],
-  };
+    const headers = heights.map((height, i) => ({
+      height,
+      blockhash: hashes[i],
+      header: filters[i].header,
+    }));
 
-  const info = await getClient().post('/', payload);
+    const previousHeader =
+      fromHeight === 0 ? '00'.repeat(32) : headers.shift().header;
 
-  return res.status(200).json({
-    success: true,
-    data: info.data.result,
-  });
-});
+    return res.status(200).json({
+      success: true,
+      data: { fromHeight, toHeight, previousHeader, headers },
+    });
+  }
+);
 
 /**
  * @swagger
- * /blockchain/mempool/ancestors/{txid}:
- *   get:
+ * /blockchain/block-filter/match:
+ *   post:
  *     tags:
  *     - Blockchain API
- *     summary: Get mempool ancestor transactions for a given TXID
- *     parameters:
- *       - in: path
- *         name: txid
- *         required: true
- *         schema:
- *           type: string
- *           example: "4a5e1e4b..."
- *         description: The TXID of the transaction in the mempool
- *       - in: query
- *         name: verbose
- *         required: false
- *         schema:
- *           type: boolean
- *           default: true
- *         description: Whether to return full transaction details or just TXIDs
+ *     summary: Find the blocks whose filter matches any of the given scripts
+ *     description: Tests scriptPubKeys against the BIP158 basic filters of the given blocks, or of a height range. The filters are matched locally. A match means the block probably creates or spends an output with that script (false positive rate 1/784931 per script); blocks without a match certainly do not.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scripts
+ *             properties:
+ *               scripts:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: string
+ *                 description: scriptPubKey hexes
+ *               blocks:
+ *                 type: array
+ *                 maxItems: 1000
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: integer
+ *                 description: Block hashes or heights. Use either `blocks` or `from_height`/`to_height`.
+ *               from_height:
+ *                 type: integer
+ *               to_height:
+ *                 type: integer
+ *                 description: Last height of the range (at most 1000 blocks), defaults to the chain tip
  *     responses:
  *       200:
- *         description: List of ancestor transactions or their TXIDs
+ *         description: Matching blocks
  *         content:
  *           application/json:
  *             schema:
@@ -639,77 +924,166 @@ export const getDifficulty = expressAsyncHandler(async (req, res, next) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   oneOf:
- *                     - type: object
- *                     - type: array
+ *                   type: object
+ *                   properties:
+ *                     scanned:
+ *                       type: integer
+ *                       description: Number of filters tested
+ *                     matches:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           blockhash:
+ *                             type: string
+ *                           height:
+ *                             type: integer
+ *                           scripts:
+ *                             type: array
+ *                             items:
+ *                               type: string
  *       400:
- *         description: Invalid TXID format
+ *         description: Invalid parameters
+ *       501:
+ *         description: Block filter index disabled (`BLOCK_FILTER_INDEX_DISABLED`)
+ *       503:
+ *         description: Block filter index still syncing (`BLOCK_FILTER_INDEX_SYNCING`)
  */
-export const getMempoolAncestors = expressAsyncHandler(
-  async (req, res, next) => {
-    const { txid } = req.params;
-    const { verbose = true } = req.query;
+export const matchBlockFilters = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    scripts: Joi.array().items(Joi.string().hex()).min(1).max(1000).required(),
+    blocks: Joi.array().items(blockRef).min(1).max(1000),
+    fromHeight: Joi.number().integer().min(0),
+    toHeight: Joi.number().integer().min(0),
+  })
+    .xor('blocks', 'fromHeight')
+    .with('toHeight', 'fromHeight');
 
-    const schema = Joi.object({
-      txid: Joi.string().length(64).required(),
-      verbose: Joi.boolean().optional(),
-    });
+  const { error, value } = schema.validate(req.body);
 
-    const { error, value } = schema.validate({
-      txid,
-      verbose: verbose === 'false' ? false : true,
-    });
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
 
-    if (error) {
+  let hashes;
+
+  if (value.blocks) {
+    hashes = await resolveBlockhashes(value.blocks);
+  } else {
+    const { fromHeight } = value;
+    const toHeight = value.toHeight ?? (await rpc.call('getblockcount'));
+
+    if (toHeight < fromHeight || toHeight - fromHeight >= 1000) {
       throw new ApiError(
         400,
         HTTP_ERR_CODES[400],
         'request validation failed',
-        error.details.map((d) => d.message)
+        ['"toHeight" must be within 1000 blocks from "fromHeight"']
       );
     }
 
-    const payload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'getmempoolancestors',
-      params: [value.txid, value.verbose],
-    };
-
-    const info = await getClient().post('/', payload);
+    const heights = [];
+    for (let height = fromHeight; height <= toHeight; height++) {
+      heights.push(height);
+    }
 
-    return res.status(200).json({
-      success: true,
-      data: info.data.result,
-    });
+    hashes = await rpc.batch(
+      heights.map((height) => ({ method: 'getblockhash', params: [height] }))
+    );
   }
-);
+
+  const filters = await fetchBlockFilters(hashes);
+
+  const matched = hashes
+    .map((blockhash, i) => ({
+      blockhash,
+      scripts: matchBlockFilter({
+        filter: filters[i].filter,
+        blockhash,
+        scripts: value.scripts,
+      }),
+    }))
+    .filter(({ scripts }) => scripts.length);
+
+  const headers = await rpc.batch(
+    matched.map(({ blockhash }) => ({
+      method: 'getblockheader',
+      params: [blockhash, true],
+    }))
+  );
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      scanned: hashes.length,
+      matches: matched.map(({ blockhash, scripts }, i) => ({
+        blockhash,
+        height: headers[i].height,
+        scripts,
+      })),
+    },
+  });
+});
 
 /**
  * @swagger
- * /blockchain/mempool/descendants/{txid}:
+ * /blockchain/block-stats:
  *   get:
  *     tags:
  *     - Blockchain API
- *     summary: Get mempool descendant transactions for a given TXID
+ *     summary: Get block stats over a height range
+ *     description: |
+ *       Fetches `getblockstats` for a range of heights (at most `BLOCK_STATS_MAX_RANGE` blocks, `BLOCK_STATS_CONCURRENCY` calls at a time) and returns the selected series per block, or aggregated into hour, day or difficulty epoch buckets with min, avg, max and 10/25/50/75/90th percentiles. Defaults to the last 144 blocks.
+ *
+ *       `feerate_percentiles` is returned as the `feerate_p10` ... `feerate_p90` series. Per-height results are kept by the RPC cache once buried.
  *     parameters:
- *       - in: path
- *         name: txid
- *         required: true
+ *       - in: query
+ *         name: from_height
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to_height
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Last height, defaults to the chain tip
+ *       - in: query
+ *         name: last
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Last N blocks up to the tip, instead of `from_height`
+ *       - in: query
+ *         name: fields
+ *         required: false
  *         schema:
  *           type: string
- *           example: "4a5e1e4baab89f3a32518a..."
- *         description: The TXID of the transaction in the mempool
+ *           default: avgfeerate,feerate_percentiles,totalfee,txs,total_weight
+ *         description: Comma separated getblockstats fields
  *       - in: query
- *         name: verbose
+ *         name: bucket
  *         required: false
  *         schema:
- *           type: boolean
- *           default: true
- *         description: Whether to return full transaction details (`true`) or just TXIDs (`false`)
+ *           type: string
+ *           enum: [block, hour, day, epoch]
+ *           default: block
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, ndjson]
+ *           default: json
  *     responses:
  *       200:
- *         description: List of descendant transactions or their TXIDs
+ *         description: |
+ *           Rows in height order (`bucket=block`: height, time, blockhash and one value per series), or buckets in time order (start, from_height, to_height, blocks and `stats.<series>.{min,avg,max,p10,...}`). CSV flattens bucket stats into `<series>_<aggregate>` columns; NDJSON has one row or bucket per line.
  *         content:
  *           application/json:
  *             schema:
@@ -718,27 +1092,69 @@ export const getMempoolAncestors = expressAsyncHandler(
  *                 success:
  *                   type: boolean
  *                 data:
- *                   oneOf:
- *                     - type: array
+ *                   type: object
+ *                   properties:
+ *                     from_height:
+ *                       type: integer
+ *                     to_height:
+ *                       type: integer
+ *                     bucket:
+ *                       type: string
+ *                     series:
+ *                       type: array
  *                       items:
  *                         type: string
- *                     - type: object
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Invalid TXID
+ *         description: Invalid parameters or range too large
+ *       404:
+ *         description: Start height above the chain tip (`BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: Block data pruned by the node (`BLOCK_PRUNED`), `details.earliest_height` is the first height still available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-export const getMempoolDescendants = expressAsyncHandler(
+export const getBlockStatsRange = expressAsyncHandler(
   async (req, res, next) => {
-    const { txid } = req.params;
-    const { verbose = true } = req.query;
+    const maxRange = envConfig.BLOCK_STATS_MAX_RANGE;
 
     const schema = Joi.object({
-      txid: Joi.string().length(64).required(),
-      verbose: Joi.boolean().optional(),
-    });
+      fromHeight: Joi.number().integer().min(0),
+      toHeight: Joi.number().integer().min(0),
+      last: Joi.number().integer().min(1).max(maxRange),
+      fields: Joi.array()
+        .items(Joi.string().valid(...BLOCK_STATS_SERIES_FIELDS))
+        .min(1)
+        .unique()
+        .default(DEFAULT_BLOCK_STATS_SERIES_FIELDS),
+      bucket: Joi.string()
+        .valid(...BLOCK_STATS_BUCKETS)
+        .default('block'),
+      format: Joi.string().valid('json', 'csv', 'ndjson').default('json'),
+    })
+      .oxor('fromHeight', 'last')
+      .with('toHeight', 'fromHeight');
+
+    const { fields } = req.query;
 
     const { error, value } = schema.validate({
-      txid,
-      verbose: verbose === 'false' ? false : true,
+      ...req.query,
+      fields: typeof fields === 'string' ? fields.split(',') : fields,
     });
 
     if (error) {
@@ -750,40 +1166,104 @@ export const getMempoolDescendants = expressAsyncHandler(
       );
     }
 
-    const payload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'getmempooldescendants',
-      params: [value.txid, value.verbose],
-    };
+    const { fromHeight: earliestHeight, toHeight: tip } =
+      await getAvailableBlocks(rpc);
+
+    let fromHeight;
+    let toHeight;
+
+    if (value.fromHeight === undefined) {
+      toHeight = tip;
+      fromHeight = Math.max(tip - (value.last ?? 144) + 1, 0);
+    } else {
+      fromHeight = value.fromHeight;
+      toHeight = Math.min(value.toHeight ?? tip, tip);
+    }
+
+    if (fromHeight > tip) {
+      throw new ApiError(
+        404,
+        'BLOCK_HEIGHT_OUT_OF_RANGE',
+        'Block height out of range'
+      );
+    }
+
+    if (toHeight < fromHeight || toHeight - fromHeight >= maxRange) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        [`"toHeight" must be within ${maxRange} blocks from "fromHeight"`]
+      );
+    }
+
+    if (fromHeight < earliestHeight) {
+      throw prunedBlockError({ height: fromHeight, earliestHeight });
+    }
+
+    const heights = [];
+    for (let height = fromHeight; height <= toHeight; height++) {
+      heights.push(height);
+    }
 
-    const info = await getClient().post('/', payload);
+    // full stats per height, so every field selection shares the cache entry
+    const stats = await mapConcurrent(
+      heights,
+      envConfig.BLOCK_STATS_CONCURRENCY,
+      (height) => rpc.call('getblockstats', [height])
+    );
+
+    const rows = stats.map((entry) => toBlockStatsRow(entry, value.fields));
+    const entries =
+      value.bucket === 'block' ? rows : aggregateBlockStats(rows, value.bucket);
+
+    if (value.format === 'csv') {
+      return res.status(200).type('text/csv').send(toCsv(entries));
+    }
+
+    if (value.format === 'ndjson') {
+      return res
+        .status(200)
+        .type('application/x-ndjson')
+        .send(
+          entries
+            .map(
+              (entry) => `${JSON.stringify(changeKeys.snakeCase(entry, -1))}\n`
+            )
+            .join('')
+        );
+    }
 
     return res.status(200).json({
       success: true,
-      data: info.data.result,
+      data: {
+        fromHeight,
+        toHeight,
+        bucket: value.bucket,
+        series: toSeriesNames(value.fields),
+        rows: entries,
+      },
     });
   }
 );
 
 /**
  * @swagger
- * /blockchain/mempool/entry/{txid}:
+ * /blockchain/block-stats/{height}:
  *   get:
  *     tags:
  *     - Blockchain API
- *     summary: Get detailed mempool information for a specific TXID
+ *     summary: Get block statistics by height
  *     parameters:
  *       - in: path
- *         name: txid
- *         required: true
+ *         name: height
  *         schema:
- *           type: string
- *           example: "4a5e1e4baab89f3a32518a..."
- *         description: The transaction ID present in the mempool
+ *           type: integer
+ *         required: true
+ *         description: The block height to fetch statistics for
  *     responses:
  *       200:
- *         description: Mempool entry details
+ *         description: Block statistics
  *         content:
  *           application/json:
  *             schema:
@@ -794,16 +1274,1929 @@ export const getMempoolDescendants = expressAsyncHandler(
  *                 data:
  *                   type: object
  *       400:
- *         description: Invalid or missing TXID
+ *         description: Invalid block height
+ *       404:
+ *         description: Block height out of range (`BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: Block data pruned by the node (`BLOCK_PRUNED`), `details.earliest_height` is the first height still available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getBlockStats = expressAsyncHandler(async (req, res, next) => {
+  const { height } = req.params;
+
+  const schema = Joi.object({
+    height: Joi.number().integer().min(0).required(),
+  });
+
+  const { error, value } = schema.validate({ height });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  await assertBlockAvailable(rpc, value.height);
+
+  const info = await rpc.call('getblockstats', [value.height]);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/chain-tips:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get all known blockchain tips
+ *     description: Returns information about all known tips in the block tree, including the main chain and stale forks. Stale branches also carry the header of their tip and the fork point on the active chain.
+ *     responses:
+ *       200:
+ *         description: List of chain tips
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       height:
+ *                         type: integer
+ *                       hash:
+ *                         type: string
+ *                       branchlen:
+ *                         type: integer
+ *                       status:
+ *                         type: string
+ *                         enum: [active, valid-fork, valid-headers, headers-only, invalid]
+ *                       header:
+ *                         type: object
+ *                         description: Stale branches only
+ *                         properties:
+ *                           time:
+ *                             type: integer
+ *                           mediantime:
+ *                             type: integer
+ *                           previousblockhash:
+ *                             type: string
+ *                           chainwork:
+ *                             type: string
+ *                           difficulty:
+ *                             type: number
+ *                           n_tx:
+ *                             type: integer
+ *                       fork_point:
+ *                         type: object
+ *                         description: Stale branches only, last block shared with the active chain
+ *                         properties:
+ *                           height:
+ *                             type: integer
+ *                           hash:
+ *                             type: string
+ *       500:
+ *         description: Server error or node not responding
+ */
+export const getChainTips = expressAsyncHandler(async (req, res, next) => {
+  const tips = await rpc.call('getchaintips');
+  const stale = tips.filter(({ status }) => status !== 'active');
+
+  const [headers, forkHashes] = await Promise.all([
+    rpc.batch(
+      stale.map(({ hash }) => ({ method: 'getblockheader', params: [hash] }))
+    ),
+    rpc.batch(
+      stale.map(({ height, branchlen }) => ({
+        method: 'getblockhash',
+        params: [height - branchlen],
+      }))
+    ),
+  ]);
+
+  const details = new Map(
+    stale.map(({ hash, height, branchlen }, i) => [
+      hash,
+      {
+        header: {
+          time: headers[i].time,
+          mediantime: headers[i].mediantime,
+          previousblockhash: headers[i].previousblockhash,
+          chainwork: headers[i].chainwork,
+          difficulty: headers[i].difficulty,
+          nTx: headers[i].nTx,
+        },
+        forkPoint: { height: height - branchlen, hash: forkHashes[i] },
+      },
+    ])
+  );
+
+  return res.status(200).json({
+    success: true,
+    data: tips.map((tip) => ({ ...tip, ...details.get(tip.hash) })),
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/chain-tx-stats:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get transaction statistics over recent blocks
+ *     parameters:
+ *       - in: query
+ *         name: nblocks
+ *         schema:
+ *           type: integer
+ *           example: 200
+ *         required: false
+ *         description: Number of blocks to include in stats (defaults to approx. 1 month)
+ *       - in: query
+ *         name: blockhash
+ *         schema:
+ *           type: string
+ *           example: "0000000000000000000a1b2c3d4e5f67890123456789abcdef1234567890abcd"
+ *         required: false
+ *         description: Optional block hash to start counting from (default is chain tip)
+ *     responses:
+ *       200:
+ *         description: Chain transaction stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid parameters
+ */
+export const getChainTxStats = expressAsyncHandler(async (req, res, next) => {
+  const { nblocks, blockhash } = req.query;
+
+  const schema = Joi.object({
+    nblocks: Joi.number().integer().min(1).optional(),
+    blockhash: Joi.string().length(64).optional(),
+  });
+
+  const { error, value } = schema.validate({ nblocks, blockhash });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const params = [];
+  if (value.nblocks !== undefined) params.push(value.nblocks);
+  if (value.blockhash !== undefined) params.push(value.blockhash);
+
+  const info = await rpc.call('getchaintxstats', params);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/difficulty:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get current mining difficulty
+ *     description: Returns the current difficulty target as a multiple of the minimum difficulty.
+ *     responses:
+ *       200:
+ *         description: Current network difficulty
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: number
+ *                   example: 816548445211.7812
+ *       500:
+ *         description: Node error or connection issue
+ */
+export const getDifficulty = expressAsyncHandler(async (req, res, next) => {
+  const info = await rpc.call('getdifficulty');
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/mempool/ancestors/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get mempool ancestor transactions for a given TXID
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "4a5e1e4b..."
+ *         description: The TXID of the transaction in the mempool
+ *       - in: query
+ *         name: verbose
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Whether to return full transaction details or just TXIDs
+ *     responses:
+ *       200:
+ *         description: List of ancestor transactions or their TXIDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   oneOf:
+ *                     - type: object
+ *                     - type: array
+ *       400:
+ *         description: Invalid TXID format
+ *       404:
+ *         description: Transaction not in mempool (`TX_NOT_IN_MEMPOOL`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolAncestors = expressAsyncHandler(
+  async (req, res, next) => {
+    const { txid } = req.params;
+    const { verbose = true } = req.query;
+
+    const schema = Joi.object({
+      txid: Joi.string().length(64).required(),
+      verbose: Joi.boolean().optional(),
+    });
+
+    const { error, value } = schema.validate({
+      txid,
+      verbose: verbose === 'false' ? false : true,
+    });
+
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
+
+    const info = await rpc.call('getmempoolancestors', [
+      value.txid,
+      value.verbose,
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: info,
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /blockchain/mempool/descendants/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get mempool descendant transactions for a given TXID
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "4a5e1e4baab89f3a32518a..."
+ *         description: The TXID of the transaction in the mempool
+ *       - in: query
+ *         name: verbose
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Whether to return full transaction details (`true`) or just TXIDs (`false`)
+ *     responses:
+ *       200:
+ *         description: List of descendant transactions or their TXIDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   oneOf:
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *                     - type: object
+ *       400:
+ *         description: Invalid TXID
+ *       404:
+ *         description: Transaction not in mempool (`TX_NOT_IN_MEMPOOL`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolDescendants = expressAsyncHandler(
+  async (req, res, next) => {
+    const { txid } = req.params;
+    const { verbose = true } = req.query;
+
+    const schema = Joi.object({
+      txid: Joi.string().length(64).required(),
+      verbose: Joi.boolean().optional(),
+    });
+
+    const { error, value } = schema.validate({
+      txid,
+      verbose: verbose === 'false' ? false : true,
+    });
+
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
+
+    const info = await rpc.call('getmempooldescendants', [
+      value.txid,
+      value.verbose,
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: info,
+    });
+  }
+);
+
+// catch handler turning TX_NOT_IN_MEMPOOL into TX_REPLACED or TX_EVICTED
+// when the mempool copy saw the transaction being replaced or evicted
+const explainRemoved = (txid) => (error) => {
+  if (error.code !== 'TX_NOT_IN_MEMPOOL') {
+    throw error;
+  }
+
+  const replacement = mempoolMirror
+    .replacementsOf(txid)
+    .find((replacement) => replacement.txid === txid);
+
+  if (replacement) {
+    throw new ApiError(
+      404,
+      'TX_REPLACED',
+      `Transaction was replaced by ${replacement.replacedBy}`,
+      replacement
+    );
+  }
+
+  const eviction = mempoolMirror.evictionOf(txid);
+
+  if (eviction) {
+    throw new ApiError(
+      404,
+      'TX_EVICTED',
+      `Transaction was evicted from the mempool, ${eviction.inputsSpentBy} spent its inputs since`,
+      eviction
+    );
+  }
+
+  throw error;
+};
+
+/**
+ * @swagger
+ * /blockchain/mempool/entry/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get detailed mempool information for a specific TXID
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "4a5e1e4baab89f3a32518a..."
+ *         description: The transaction ID present in the mempool
+ *     responses:
+ *       200:
+ *         description: Mempool entry details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid or missing TXID
+ *       404:
+ *         description: Transaction not in mempool (`TX_NOT_IN_MEMPOOL`), replaced (`TX_REPLACED`, the replacement in `details`, see /blockchain/mempool/replacements/{txid}) or evicted (`TX_EVICTED`, its inputs were spent by another transaction since)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolEntry = expressAsyncHandler(async (req, res, next) => {
+  const { txid } = req.params;
+
+  const schema = Joi.object({
+    txid: Joi.string().length(64).required(),
+  });
+
+  const { error, value } = schema.validate({ txid });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const info = await rpc
+    .call('getmempoolentry', [value.txid])
+    .catch(explainRemoved(value.txid));
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+// blocks whose average interval drives confirmation time estimates
+const ETA_INTERVAL_BLOCKS = 144;
+
+// Bitcoin Core default -mempoolexpiry (336 hours), in seconds
+const MEMPOOL_EXPIRY = 336 * 3600;
+
+// a nearly full mempool trims its lowest fee rate transactions first
+const MEMPOOL_FULL_USAGE = 0.9;
+const MEMPOOL_BOTTOM_SHARE = 0.1;
+
+/**
+ * @swagger
+ * /blockchain/mempool/eta/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Confirmation ETA of a mempool transaction
+ *     description: |
+ *       Estimated blocks until confirmation, from the transaction's position in the projected block templates (see `/blockchain/mempool/projected-blocks`), and the matching time range from the average block interval of the last 144 blocks. Blocks are assumed to arrive at random (Poisson), `eta.low` and `eta.high` are the 10th and 90th percentiles. The estimate assumes no higher fee rate transaction arrives in the meantime.
+ *
+ *       The transaction can be evicted instead of confirmed; `eviction_reasons` lists why:
+ *       - `below_min_fee`: its fee rate (with its descendants) is below the mempool min fee, it would not be accepted today and goes first when the mempool is trimmed.
+ *       - `mempool_full`: the mempool is over 90% full and the transaction is in its lowest fee rate 10%.
+ *       - `expiry`: it may not confirm before it expires from the mempool (336 hours after entering it, the Bitcoin Core default).
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Confirmation ETA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     txid:
+ *                       type: string
+ *                     fee_rate:
+ *                       type: number
+ *                       description: sat/vB
+ *                     mining_score:
+ *                       type: number
+ *                       description: Effective (ancestor package) fee rate, sat/vB
+ *                     projected_block:
+ *                       type: integer
+ *                       description: Projected block, 0 for the next one
+ *                     blocks:
+ *                       type: integer
+ *                       description: Blocks until confirmation
+ *                     average_block_interval:
+ *                       type: number
+ *                       description: Seconds
+ *                     eta:
+ *                       type: object
+ *                       description: Seconds from now
+ *                       properties:
+ *                         expected:
+ *                           type: integer
+ *                         low:
+ *                           type: integer
+ *                         high:
+ *                           type: integer
+ *                     range:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                     mempool_min_fee:
+ *                       type: number
+ *                       description: sat/vB
+ *                     below_mempool_min_fee:
+ *                       type: boolean
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     eviction_risk:
+ *                       type: boolean
+ *                     eviction_reasons:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [below_min_fee, mempool_full, expiry]
+ *       400:
+ *         description: Invalid TXID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Transaction not in mempool (`TX_NOT_IN_MEMPOOL`), replaced (`TX_REPLACED`) or evicted (`TX_EVICTED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolEta = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    txid: Joi.string().hex().length(64).required(),
+  });
+
+  const { error, value } = schema.validate(req.params);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const [entry, mempoolInfo, txStats] = await rpc
+    .batch([
+      { method: 'getmempoolentry', params: [value.txid] },
+      { method: 'getmempoolinfo' },
+      { method: 'getchaintxstats', params: [ETA_INTERVAL_BLOCKS] },
+    ])
+    .catch(explainRemoved(value.txid));
+
+  const { entries, blocks, positions } = await mempoolMirror.projection();
+  const position = positions.get(value.txid);
+
+  const fee = toSats(entry.fees.modified);
+  const miningScore =
+    position?.feeRate ??
+    feeRate(toSats(entry.fees.ancestor), entry.ancestorsize);
+
+  // not in the mempool copy yet: the first block it outbids
+  const projectedBlock =
+    position?.block ??
+    blocks.findIndex((block) => block.feeRange.min <= miningScore);
+  const block = projectedBlock === -1 ? blocks.length : projectedBlock;
+
+  const averageBlockInterval = txStats.window_block_count
+    ? txStats.window_interval / txStats.window_block_count
+    : 600;
+  const eta = confirmationTimeRange(block + 1, averageBlockInterval);
+  const now = Date.now();
+
+  const mempoolMinFee = toSatPerVbyte(mempoolInfo.mempoolminfee);
+  const descendantScore = Math.max(
+    fee / entry.vsize,
+    toSats(entry.fees.descendant) / entry.descendantsize
+  );
+  const belowMinFee = descendantScore < mempoolMinFee;
+
+  // mempool share paying a lower effective fee rate
+  let totalVsize = 0;
+  let vsizeBelow = 0;
+
+  for (const [txid, { vsize }] of entries) {
+    totalVsize += vsize;
+
+    if (positions.get(txid)?.feeRate < miningScore) {
+      vsizeBelow += vsize;
+    }
+  }
+  const expiresAt = (entry.time + MEMPOOL_EXPIRY) * 1000;
+
+  const evictionReasons = [];
+
+  if (belowMinFee) {
+    evictionReasons.push('below_min_fee');
+  }
+
+  if (
+    mempoolInfo.usage >= MEMPOOL_FULL_USAGE * mempoolInfo.maxmempool &&
+    vsizeBelow < MEMPOOL_BOTTOM_SHARE * totalVsize
+  ) {
+    evictionReasons.push('mempool_full');
+  }
+
+  if (now + eta.high * 1000 > expiresAt) {
+    evictionReasons.push('expiry');
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      txid: value.txid,
+      feeRate: feeRate(toSats(entry.fees.base), entry.vsize),
+      miningScore,
+      projectedBlock: block,
+      blocks: block + 1,
+      averageBlockInterval: Math.round(averageBlockInterval),
+      eta,
+      range: {
+        from: new Date(now + eta.low * 1000).toISOString(),
+        to: new Date(now + eta.high * 1000).toISOString(),
+      },
+      mempoolMinFee,
+      belowMempoolMinFee: belowMinFee,
+      expiresAt: new Date(expiresAt).toISOString(),
+      evictionRisk: evictionReasons.length > 0,
+      evictionReasons,
+    },
+  });
+});
+
+const toPackageMember = ([txid, entry]) => ({
+  txid,
+  fee: entry.fees.base,
+  vsize: entry.vsize,
+  feeRate: feeRate(toSats(entry.fees.base), entry.vsize),
+});
+
+/**
+ * @swagger
+ * /blockchain/mempool/package/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: CPFP package analysis and fee-bump advice
+ *     description: |
+ *       The transaction's unconfirmed ancestors and descendants with their package totals, its effective mining score (the fee rate of the ancestor package it would be mined with) and its position in the projected next blocks (see `/blockchain/mempool/projected-blocks`).
+ *
+ *       `fee_bump` tells what it takes to reach a target fee rate, from `estimatesmartfee` or given as `target_fee_rate`:
+ *       - `cpfp`: fee of a new child of `child_vsize` vB so that the transaction, its ancestors and the child reach the target together.
+ *       - `rbf`: absolute fee of a replacement of `replacement_vsize` vB (default: the transaction's size) under the BIP125 rules: it pays for everything it evicts plus the incremental relay fee, beats the original fee rate and reaches the target.
+ *
+ *       `fee_bump` is null when no target fee rate is available (the node has no estimate yet and none was given).
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: conf_target
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1008
+ *           default: 2
+ *         required: false
+ *         description: Confirmation target (blocks) of the estimatesmartfee target fee rate
+ *       - in: query
+ *         name: estimate_mode
+ *         schema:
+ *           type: string
+ *           enum: [UNSET, ECONOMICAL, CONSERVATIVE]
+ *           default: CONSERVATIVE
+ *         required: false
+ *       - in: query
+ *         name: target_fee_rate
+ *         schema:
+ *           type: number
+ *         required: false
+ *         description: Target fee rate (sat/vB), instead of estimatesmartfee
+ *       - in: query
+ *         name: child_vsize
+ *         schema:
+ *           type: integer
+ *           default: 110
+ *         required: false
+ *         description: Expected size of the CPFP child (vB), a one input, one output P2WPKH spend by default
+ *       - in: query
+ *         name: replacement_vsize
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Expected size of the RBF replacement (vB)
+ *     responses:
+ *       200:
+ *         description: Package analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     txid:
+ *                       type: string
+ *                     fee:
+ *                       type: number
+ *                       description: BTC
+ *                     vsize:
+ *                       type: integer
+ *                     fee_rate:
+ *                       type: number
+ *                       description: sat/vB
+ *                     ancestors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           txid:
+ *                             type: string
+ *                           fee:
+ *                             type: number
+ *                           vsize:
+ *                             type: integer
+ *                           fee_rate:
+ *                             type: number
+ *                     descendants:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     ancestor_package:
+ *                       type: object
+ *                       description: The transaction and its unconfirmed ancestors
+ *                       properties:
+ *                         count:
+ *                           type: integer
+ *                         vsize:
+ *                           type: integer
+ *                         fee:
+ *                           type: number
+ *                         fee_rate:
+ *                           type: number
+ *                     descendant_package:
+ *                       type: object
+ *                       description: The transaction and its descendants
+ *                     mining_score:
+ *                       type: number
+ *                       description: Effective fee rate (sat/vB)
+ *                     projected_block:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Projected block (0 for the next one); null when the transaction is not in the local mempool copy yet
+ *                     target:
+ *                       type: object
+ *                       properties:
+ *                         conf_target:
+ *                           type: integer
+ *                         estimate_mode:
+ *                           type: string
+ *                         fee_rate:
+ *                           type: number
+ *                           nullable: true
+ *                           description: sat/vB
+ *                         errors:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                     fee_bump:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         needed:
+ *                           type: boolean
+ *                           description: The mining score is below the target fee rate
+ *                         cpfp:
+ *                           type: object
+ *                           properties:
+ *                             child_vsize:
+ *                               type: integer
+ *                             fee:
+ *                               type: number
+ *                               description: Child fee (BTC)
+ *                             fee_rate:
+ *                               type: number
+ *                             package_fee_rate:
+ *                               type: number
+ *                         rbf:
+ *                           type: object
+ *                           properties:
+ *                             possible:
+ *                               type: boolean
+ *                               description: False when the replacement would evict more than 100 transactions
+ *                             signals_rbf:
+ *                               type: boolean
+ *                               description: The transaction signals BIP125 replaceability (nodes without full-RBF only replace those)
+ *                             replacement_vsize:
+ *                               type: integer
+ *                             fee:
+ *                               type: number
+ *                               description: Replacement absolute fee (BTC)
+ *                             fee_rate:
+ *                               type: number
+ *                             fee_delta:
+ *                               type: number
+ *                               description: Extra fee over the original (BTC)
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Transaction not in mempool (`TX_NOT_IN_MEMPOOL`), replaced (`TX_REPLACED`) or evicted (`TX_EVICTED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolPackage = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    txid: Joi.string().hex().length(64).required(),
+    confTarget: Joi.number().integer().min(1).max(1008).default(2),
+    estimateMode: Joi.string()
+      .valid('UNSET', 'ECONOMICAL', 'CONSERVATIVE')
+      .default('CONSERVATIVE'),
+    targetFeeRate: Joi.number().greater(0),
+    childVsize: Joi.number().integer().min(1).default(110),
+    replacementVsize: Joi.number().integer().min(1),
+  });
+
+  const { error, value } = schema.validate({ ...req.query, ...req.params });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const [entry, ancestors, descendants, mempoolInfo, estimate] = await rpc
+    .batch([
+      { method: 'getmempoolentry', params: [value.txid] },
+      { method: 'getmempoolancestors', params: [value.txid, true] },
+      { method: 'getmempooldescendants', params: [value.txid, true] },
+      { method: 'getmempoolinfo' },
+      {
+        method: 'estimatesmartfee',
+        params: [value.confTarget, value.estimateMode],
+      },
+    ])
+    .catch(explainRemoved(value.txid));
+
+  const { positions } = await mempoolMirror.projection();
+  const position = positions.get(value.txid);
+
+  const fee = toSats(entry.fees.modified);
+  const ancestorFee = toSats(entry.fees.ancestor);
+  const descendantFee = toSats(entry.fees.descendant);
+  const miningScore =
+    position?.feeRate ?? feeRate(ancestorFee, entry.ancestorsize);
+
+  const targetFeeRate =
+    value.targetFeeRate ??
+    (estimate.feerate ? toSatPerVbyte(estimate.feerate) : null);
+
+  let feeBump = null;
+
+  if (targetFeeRate) {
+    const cpfp = cpfpChildFee({
+      ancestorFee,
+      ancestorVsize: entry.ancestorsize,
+      childVsize: value.childVsize,
+      targetFeeRate,
+      minRelayFeeRate: toSatPerVbyte(mempoolInfo.minrelaytxfee),
+    });
+
+    const replacementVsize = value.replacementVsize ?? entry.vsize;
+    const rbf = rbfReplacementFee({
+      fee,
+      vsize: entry.vsize,
+      descendantFee,
+      descendantCount: entry.descendantcount,
+      replacementVsize,
+      targetFeeRate,
+      incrementalRelayFeeRate: mempoolInfo.incrementalrelayfee
+        ? toSatPerVbyte(mempoolInfo.incrementalrelayfee)
+        : DEFAULT_INCREMENTAL_RELAY_FEE_RATE,
+    });
+
+    feeBump = {
+      needed: miningScore < targetFeeRate,
+      cpfp: {
+        childVsize: value.childVsize,
+        fee: toBtc(cpfp.fee),
+        feeRate: cpfp.feeRate,
+        packageFeeRate: cpfp.packageFeeRate,
+      },
+      rbf: {
+        possible: rbf.possible,
+        signalsRbf: entry['bip125-replaceable'],
+        replacementVsize,
+        fee: toBtc(rbf.fee),
+        feeRate: rbf.feeRate,
+        feeDelta: toBtc(rbf.fee - fee),
+      },
+    };
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      txid: value.txid,
+      fee: entry.fees.base,
+      vsize: entry.vsize,
+      feeRate: feeRate(toSats(entry.fees.base), entry.vsize),
+      ancestors: Object.entries(ancestors).map(toPackageMember),
+      descendants: Object.entries(descendants).map(toPackageMember),
+      ancestorPackage: {
+        count: entry.ancestorcount,
+        vsize: entry.ancestorsize,
+        fee: entry.fees.ancestor,
+        feeRate: feeRate(ancestorFee, entry.ancestorsize),
+      },
+      descendantPackage: {
+        count: entry.descendantcount,
+        vsize: entry.descendantsize,
+        fee: entry.fees.descendant,
+        feeRate: feeRate(descendantFee, entry.descendantsize),
+      },
+      miningScore,
+      projectedBlock: position?.block ?? null,
+      target: {
+        confTarget: value.confTarget,
+        estimateMode: value.estimateMode,
+        feeRate: targetFeeRate,
+        ...(estimate.errors && { errors: estimate.errors }),
+      },
+      feeBump,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/mempool/info:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get summary information about the current mempool
+ *     description: Returns general statistics about the contents and status of the memory pool.
+ *     responses:
+ *       200:
+ *         description: Mempool summary information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     size:
+ *                       type: integer
+ *                       description: Number of transactions in the mempool
+ *                     bytes:
+ *                       type: integer
+ *                       description: Total size of mempool in bytes
+ *                     usage:
+ *                       type: integer
+ *                       description: Total memory usage
+ *                     maxmempool:
+ *                       type: integer
+ *                       description: Maximum allowed memory usage
+ *                     mempoolminfee:
+ *                       type: number
+ *                       description: Minimum fee for transaction to be accepted
+ *       500:
+ *         description: Server error or node not responding
+ */
+export const getMempoolInfo = expressAsyncHandler(async (req, res, next) => {
+  const info = await rpc.call('getmempoolinfo');
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/mempool/histogram:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Mempool fee rate histogram
+ *     description: |
+ *       Mempool transactions counted in sat/vB buckets by effective fee rate: the fee rate of the ancestor package they would be mined with, so a low-fee parent paid for by its child is counted at the package rate.
+ *
+ *       Works on a local copy of the mempool refreshed incrementally at most every `MEMPOOL_REFRESH_INTERVAL_MS`.
+ *     parameters:
+ *       - in: query
+ *         name: bounds
+ *         schema:
+ *           type: string
+ *           example: 0,1,2,5,10,20,50,100
+ *         required: false
+ *         description: Comma separated, ascending lower bounds (sat/vB) of the buckets; the last bucket is open ended. Defaults to 31 buckets from 0 to 2000 sat/vB.
+ *     responses:
+ *       200:
+ *         description: Fee rate histogram
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Last refresh of the mempool copy
+ *                     count:
+ *                       type: integer
+ *                     vsize:
+ *                       type: integer
+ *                     buckets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: number
+ *                             description: Lowest fee rate (sat/vB), inclusive
+ *                           to:
+ *                             type: number
+ *                             nullable: true
+ *                             description: Highest fee rate (sat/vB), exclusive; null for the last bucket
+ *                           count:
+ *                             type: integer
+ *                           vsize:
+ *                             type: integer
+ *                           total_fees:
+ *                             type: number
+ *                             description: Fees of the bucket's transactions (BTC)
+ *       400:
+ *         description: Invalid bounds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolHistogram = expressAsyncHandler(
+  async (req, res, next) => {
+    const schema = Joi.object({
+      bounds: Joi.array()
+        .items(Joi.number().min(0))
+        .min(1)
+        .max(200)
+        .unique()
+        .default(DEFAULT_FEE_HISTOGRAM_BOUNDS),
+    });
+
+    const { bounds } = req.query;
+
+    const { error, value } = schema.validate({
+      ...req.query,
+      bounds: typeof bounds === 'string' ? bounds.split(',') : bounds,
+    });
+
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
+
+    const { entries, positions, updatedAt } = await mempoolMirror.projection();
+    const buckets = feeHistogram(
+      entries,
+      positions,
+      [...value.bounds].sort((a, b) => a - b)
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        updatedAt,
+        count: entries.size,
+        vsize: [...entries.values()].reduce((sum, e) => sum + e.vsize, 0),
+        buckets,
+      },
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /blockchain/mempool/projected-blocks:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Project the next blocks from the mempool
+ *     description: |
+ *       Greedy block template projection: blocks are filled one after the other the way Bitcoin Core assembles a block, taking the highest fee rate ancestor package first (parents are always included before their children) up to the default max block weight.
+ *
+ *       Fee rates are effective (ancestor package) fee rates in sat/vB. Works on a local copy of the mempool refreshed incrementally at most every `MEMPOOL_REFRESH_INTERVAL_MS`.
+ *     parameters:
+ *       - in: query
+ *         name: blocks
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 8
+ *         required: false
+ *         description: Number of projected blocks to return
+ *     responses:
+ *       200:
+ *         description: Projected blocks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Last refresh of the mempool copy
+ *                     blocks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           index:
+ *                             type: integer
+ *                             description: 0 for the next block
+ *                           tx_count:
+ *                             type: integer
+ *                           vsize:
+ *                             type: integer
+ *                           total_fees:
+ *                             type: number
+ *                             description: BTC
+ *                           fee_range:
+ *                             type: object
+ *                             properties:
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
+ *                           median_fee:
+ *                             type: number
+ *                     remaining:
+ *                       type: object
+ *                       description: Mempool left after the returned blocks
+ *                       properties:
+ *                         blocks:
+ *                           type: integer
+ *                         tx_count:
+ *                           type: integer
+ *                         vsize:
+ *                           type: integer
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getProjectedBlocks = expressAsyncHandler(
+  async (req, res, next) => {
+    const schema = Joi.object({
+      blocks: Joi.number().integer().min(1).max(100).default(8),
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
+
+    const { blocks, updatedAt } = await mempoolMirror.projection();
+    const rest = blocks.slice(value.blocks);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        updatedAt,
+        blocks: blocks.slice(0, value.blocks),
+        remaining: {
+          blocks: rest.length,
+          txCount: rest.reduce((sum, block) => sum + block.txCount, 0),
+          vsize: rest.reduce((sum, block) => sum + block.vsize, 0),
+        },
+      },
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /blockchain/mempool/raw:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get raw mempool data
+ *     description: Returns either a list of TXIDs (verbose=false) or detailed mempool transaction info (verbose=true).
+ *     parameters:
+ *       - in: query
+ *         name: verbose
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         required: false
+ *         description: Whether to return detailed transaction objects or just TXIDs
+ *     responses:
+ *       200:
+ *         description: Raw mempool contents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   oneOf:
+ *                     - type: array
+ *                       items:
+ *                         type: string
+ *                     - type: object
+ *       400:
+ *         description: Invalid query parameter
+ */
+export const getRawMempool = expressAsyncHandler(async (req, res, next) => {
+  const { verbose = false } = req.query;
+
+  const schema = Joi.object({
+    verbose: Joi.boolean().optional(),
+  });
+
+  const { error, value } = schema.validate({
+    verbose: verbose === 'true' || verbose === true,
+  });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const info = await rpc.call('getrawmempool', [value.verbose]);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+// sort keys of /mempool/txs
+const MEMPOOL_TX_SORTS = {
+  fee_rate: (entry) => entry.fees.base / entry.vsize,
+  time: (entry) => entry.time,
+  size: (entry) => entry.vsize,
+};
+
+// mempool copy sorted by each key, for the mempool version it was sorted at
+let sortedMempool = { version: null, byKey: new Map() };
+
+const sortMempool = ({ entries, version }, key) => {
+  if (sortedMempool.version !== version) {
+    sortedMempool = { version, byKey: new Map() };
+  }
+
+  if (!sortedMempool.byKey.has(key)) {
+    const valueOf = MEMPOOL_TX_SORTS[key];
+
+    sortedMempool.byKey.set(
+      key,
+      [...entries]
+        .map(([txid, entry]) => ({ txid, entry, value: valueOf(entry) }))
+        // ties broken by txid so pages stay stable
+        .sort((a, b) => a.value - b.value || (a.txid < b.txid ? -1 : 1))
+    );
+  }
+
+  return sortedMempool.byKey.get(key);
+};
+
+const toMempoolTx = ({ txid, entry }) => ({
+  txid,
+  fee: entry.fees.base,
+  feeRate: feeRate(toSats(entry.fees.base), entry.vsize),
+  vsize: entry.vsize,
+  weight: entry.weight,
+  time: entry.time,
+  height: entry.height,
+  depends: entry.depends,
+});
+
+/**
+ * @swagger
+ * /blockchain/mempool/txs:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: List mempool transactions
+ *     description: |
+ *       Paginated mempool transactions sorted by fee rate, first-seen time or size. `from` is a position in the sorted mempool (0 for the lowest value); pages follow the mempool as it changes, so entries may shift between requests.
+ *
+ *       Served from the local mempool copy; `sequence` is the node's mempool sequence the page reflects, to be passed to `/blockchain/mempool/changes`.
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [fee_rate, time, size]
+ *           default: fee_rate
+ *         required: false
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         required: false
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         required: false
+ *         description: Position in the sorted mempool to start from
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 50
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Page of mempool transactions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sequence:
+ *                   type: integer
+ *                 count:
+ *                   type: integer
+ *                   description: Transactions in the mempool
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       txid:
+ *                         type: string
+ *                       fee:
+ *                         type: number
+ *                         description: BTC
+ *                       fee_rate:
+ *                         type: number
+ *                         description: sat/vB
+ *                       vsize:
+ *                         type: integer
+ *                       weight:
+ *                         type: integer
+ *                       time:
+ *                         type: integer
+ *                         description: Unix time the node first saw the transaction
+ *                       height:
+ *                         type: integer
+ *                         description: Block height when the transaction entered the mempool
+ *                       depends:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolTxs = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    sort: Joi.string()
+      .valid(...Object.keys(MEMPOOL_TX_SORTS))
+      .default('fee_rate'),
+    direction: Joi.string().valid('asc', 'desc').default('desc'),
+    from: Joi.number().integer().min(0),
+    limit: Joi.number().integer().min(1).max(50),
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const snapshot = await mempoolMirror.refresh();
+  const sorted = sortMempool(snapshot, value.sort);
+
+  const page = await advancedResults(
+    async (positions) => positions.map((i) => toMempoolTx(sorted[i])),
+    value,
+    { min: 0, max: sorted.length - 1 }
+  );
+
+  return res.status(200).json({
+    success: true,
+    sequence: snapshot.sequence,
+    ...page,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/mempool/changes:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Mempool changes since a sequence
+ *     description: |
+ *       Txids added to and removed from the mempool after the node's mempool sequence `since` (from an earlier `/blockchain/mempool/txs` or `/blockchain/mempool/changes` response). Transactions that came and went in between are left out.
+ *
+ *       Only a limited number of changes is kept (`MEMPOOL_CHANGE_LOG_SIZE`); older sequences, or sequences from before a node restart, answer `410 MEMPOOL_SEQUENCE_UNAVAILABLE` and the client has to reload the mempool.
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Added and removed txids
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     since:
+ *                       type: integer
+ *                     sequence:
+ *                       type: integer
+ *                       description: Current mempool sequence, the `since` of the next call
+ *                     added:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     removed:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: Changes since this sequence are no longer known; `details` holds the current `sequence` and the `earliest_sequence` still available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolChanges = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    since: Joi.number().integer().min(0).required(),
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const diff = await mempoolMirror.changesSince(value.since);
+
+  if (!diff) {
+    const { sequence, earliestSequence } = await mempoolMirror.refresh();
+
+    throw new ApiError(
+      410,
+      'MEMPOOL_SEQUENCE_UNAVAILABLE',
+      'Mempool changes since this sequence are no longer known, reload the mempool',
+      { since: value.since, sequence, earliestSequence }
+    );
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: { since: value.since, ...diff },
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/tx/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get a decoded transaction with fee and block details
+ *     description: |
+ *       Decoded transaction (`getrawtransaction`) plus computed fields: total input/output value (BTC), fee (BTC), fee rate (sat/vB), confirmations, block height and position in the block.
+ *
+ *       Spent outputs (`vin[].prevout`) are resolved where the node allows it; when one is missing, the input-dependent fields are null.
+ *
+ *       Without `-txindex` the node only finds mempool transactions, unless the `blockhash` of the block containing the transaction is given.
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The transaction id
+ *       - in: query
+ *         name: blockhash
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Block containing the transaction (needed without `-txindex`)
+ *     responses:
+ *       200:
+ *         description: Decoded transaction with computed fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     txid:
+ *                       type: string
+ *                     vsize:
+ *                       type: integer
+ *                     weight:
+ *                       type: integer
+ *                     vin:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     vout:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     total_input:
+ *                       type: number
+ *                       nullable: true
+ *                     total_output:
+ *                       type: number
+ *                     fee:
+ *                       type: number
+ *                       nullable: true
+ *                     fee_rate:
+ *                       type: number
+ *                       nullable: true
+ *                       description: sat/vB
+ *                     confirmations:
+ *                       type: integer
+ *                     block_height:
+ *                       type: integer
+ *                       nullable: true
+ *                     block_position:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Index of the transaction in its block
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Transaction not found (`TX_NOT_FOUND`, or `TX_NOT_FOUND_NO_TXINDEX` when the node has no -txindex and no blockhash was given)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getTransaction = expressAsyncHandler(async (req, res, next) => {
+  const { params, query } = req;
+
+  const schema = Joi.object({
+    txid: Joi.string().hex().length(64).required(),
+    blockhash: Joi.string().hex().length(64).optional(),
+  });
+
+  const { error, value } = schema.validate({ ...params, ...query });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const { txid, blockhash } = value;
+
+  // verbosity 2 includes prevouts and fee on nodes since v25
+  const raw = await rpc
+    .call('getrawtransaction', blockhash ? [txid, 2, blockhash] : [txid, 2])
+    .catch(explainPruned(rpc, { blockhash }));
+
+  const tx = await resolvePrevouts(rpc, raw);
+
+  let blockHeight = null;
+  let blockPosition = null;
+
+  if (tx.blockhash) {
+    const block = await rpc.call('getblock', [tx.blockhash, 1]);
+
+    blockHeight = block.height;
+    blockPosition = block.tx.indexOf(tx.txid);
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      ...tx,
+      ...summarizeValues(tx),
+      confirmations: tx.confirmations ?? 0,
+      blockHeight,
+      blockPosition,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MerkleProof:
+ *       type: object
+ *       properties:
+ *         txid:
+ *           type: string
+ *         index:
+ *           type: integer
+ *           description: Position of the transaction in the block
+ *         siblings:
+ *           type: array
+ *           description: Hashes combined with the running hash, from the leaf up
+ *           items:
+ *             type: object
+ *             properties:
+ *               hash:
+ *                 type: string
+ *               position:
+ *                 type: string
+ *                 enum: [left, right]
+ *         merkle_root:
+ *           type: string
+ *     BlockHeaderFields:
+ *       type: object
+ *       properties:
+ *         hash:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           format: int32
+ *         previousblockhash:
+ *           type: string
+ *         merkleroot:
+ *           type: string
+ *         time:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4294967295
+ *         bits:
+ *           type: string
+ *         nonce:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4294967295
+ *         hex:
+ *           type: string
+ *           description: 80-byte serialized header
  */
-export const getMempoolEntry = expressAsyncHandler(async (req, res, next) => {
-  const { txid } = req.params;
+
+/**
+ * @swagger
+ * /blockchain/merkle-proof/{txid}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get a JSON merkle proof for a confirmed transaction
+ *     description: The merkle branch is computed locally from the block's txid list. Without `blockhash` the node needs `-txindex` to find the block.
+ *     parameters:
+ *       - in: path
+ *         name: txid
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: blockhash
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Block containing the transaction
+ *     responses:
+ *       200:
+ *         description: Merkle proof and block header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/MerkleProof'
+ *                     - type: object
+ *                       properties:
+ *                         blockhash:
+ *                           type: string
+ *                         block_height:
+ *                           type: integer
+ *                         total_transactions:
+ *                           type: integer
+ *                         header:
+ *                           $ref: '#/components/schemas/BlockHeaderFields'
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Transaction or block not found, or transaction not in the block
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Transaction is not confirmed yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       410:
+ *         description: Block data pruned by the node (`BLOCK_PRUNED`), `details.earliest_height` is the first height still available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMerkleProof = expressAsyncHandler(async (req, res, next) => {
+  const { params, query } = req;
 
   const schema = Joi.object({
-    txid: Joi.string().length(64).required(),
+    txid: Joi.string().hex().length(64).required(),
+    blockhash: Joi.string().hex().length(64).optional(),
   });
 
-  const { error, value } = schema.validate({ txid });
+  const { error, value } = schema.validate({ ...params, ...query });
 
   if (error) {
     throw new ApiError(
@@ -814,32 +3207,78 @@ export const getMempoolEntry = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getmempoolentry',
-    params: [value.txid],
-  };
+  const { txid } = value;
+  let { blockhash } = value;
+
+  if (!blockhash) {
+    ({ blockhash } = await rpc.call('getrawtransaction', [txid, 1]));
+
+    if (!blockhash) {
+      throw new ApiError(
+        409,
+        HTTP_ERR_CODES[409],
+        'Transaction is not confirmed yet'
+      );
+    }
+  }
 
-  const info = await getClient().post('/', payload);
+  const [block, headerHex] = await rpc
+    .batch([
+      { method: 'getblock', params: [blockhash, 1] },
+      { method: 'getblockheader', params: [blockhash, false] },
+    ])
+    .catch(explainPruned(rpc, { blockhash }));
+
+  const index = block.tx.indexOf(txid);
+
+  if (index === -1) {
+    throw new ApiError(
+      404,
+      HTTP_ERR_CODES[404],
+      'Transaction is not in the given block'
+    );
+  }
+
+  const { siblings, merkleRoot } = buildMerkleBranch(block.tx, index);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: {
+      txid,
+      index,
+      siblings,
+      merkleRoot,
+      blockhash,
+      blockHeight: block.height,
+      totalTransactions: block.tx.length,
+      header: parseBlockHeader(headerHex),
+    },
   });
 });
 
 /**
  * @swagger
- * /blockchain/mempool/info:
- *   get:
+ * /blockchain/merkle-proof/parse:
+ *   post:
  *     tags:
  *     - Blockchain API
- *     summary: Get summary information about the current mempool
- *     description: Returns general statistics about the contents and status of the memory pool.
+ *     summary: Decode a txout proof into JSON merkle proofs
+ *     description: Decodes the serialized merkleblock returned by `/blockchain/txout-proof/{txid}` locally, without calling the node. The partial merkle tree must hash up to the header's merkle root.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - proof
+ *             properties:
+ *               proof:
+ *                 type: string
+ *                 description: Serialized merkleblock hex
  *     responses:
  *       200:
- *         description: Mempool summary information
+ *         description: Header and one merkle proof per proven transaction
  *         content:
  *           application/json:
  *             schema:
@@ -850,59 +3289,295 @@ export const getMempoolEntry = expressAsyncHandler(async (req, res, next) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     size:
- *                       type: integer
- *                       description: Number of transactions in the mempool
- *                     bytes:
- *                       type: integer
- *                       description: Total size of mempool in bytes
- *                     usage:
- *                       type: integer
- *                       description: Total memory usage
- *                     maxmempool:
+ *                     header:
+ *                       $ref: '#/components/schemas/BlockHeaderFields'
+ *                     total_transactions:
  *                       type: integer
- *                       description: Maximum allowed memory usage
- *                     mempoolminfee:
- *                       type: number
- *                       description: Minimum fee for transaction to be accepted
- *       500:
- *         description: Server error or node not responding
+ *                     proofs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MerkleProof'
+ *       400:
+ *         description: Malformed proof
  */
-export const getMempoolInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getmempoolinfo',
-    params: [],
-  };
+export const parseMerkleProof = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    proof: Joi.string().hex().required(),
+  });
+
+  const { error, value } = schema.validate(req.body);
 
-  const info = await getClient().post('/', payload);
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  let parsed;
+
+  try {
+    parsed = parseTxOutProof(value.proof);
+  } catch (parseError) {
+    throw new ApiError(400, HTTP_ERR_CODES[400], 'Invalid proof', [
+      parseError.message,
+    ]);
+  }
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: parsed,
   });
 });
 
 /**
  * @swagger
- * /blockchain/mempool/raw:
+ * /blockchain/merkle-proof/verify:
+ *   post:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Verify a JSON merkle proof against a block header
+ *     description: Checks, without calling the node, that the branch hashes up to the header's merkle root and that the header meets its proof-of-work target. Does not check that the block is in the best chain.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - txid
+ *               - siblings
+ *               - header
+ *             properties:
+ *               txid:
+ *                 type: string
+ *               siblings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     hash:
+ *                       type: string
+ *                     position:
+ *                       type: string
+ *                       enum: [left, right]
+ *               header:
+ *                 oneOf:
+ *                   - type: string
+ *                     description: 80-byte serialized header hex
+ *                   - $ref: '#/components/schemas/BlockHeaderFields'
+ *               blockhash:
+ *                 type: string
+ *                 description: Expected block hash
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     txid:
+ *                       type: string
+ *                     blockhash:
+ *                       type: string
+ *                     merkle_root:
+ *                       type: string
+ *                     checks:
+ *                       type: object
+ *                       properties:
+ *                         merkle_root:
+ *                           type: boolean
+ *                         proof_of_work:
+ *                           type: boolean
+ *                         blockhash:
+ *                           type: boolean
+ *                           nullable: true
+ *       400:
+ *         description: Malformed proof
+ */
+export const verifyMerkleProofLocally = expressAsyncHandler(
+  async (req, res, next) => {
+    const hash = Joi.string().hex().length(64);
+    // header fields are serialized as 32-bit integers
+    const uint32 = Joi.number().integer().min(0).max(0xffffffff);
+
+    const schema = Joi.object({
+      txid: hash.required(),
+      siblings: Joi.array()
+        .items(
+          Joi.object({
+            hash: hash.required(),
+            position: Joi.string().valid('left', 'right').required(),
+          })
+        )
+        .required(),
+      header: Joi.alternatives(
+        Joi.string().hex().length(160),
+        Joi.object({
+          version: Joi.number()
+            .integer()
+            .min(-(2 ** 31))
+            .max(2 ** 31 - 1)
+            .required(),
+          previousblockhash: hash.optional(),
+          merkleroot: hash.required(),
+          time: uint32.required(),
+          bits: Joi.string().hex().length(8).required(),
+          nonce: uint32.required(),
+        }).unknown()
+      ).required(),
+      blockhash: hash.optional(),
+    }).unknown();
+
+    const { error, value } = schema.validate(req.body);
+
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: verifyMerkleProof(value),
+    });
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MempoolReplacement:
+ *       type: object
+ *       properties:
+ *         txid:
+ *           type: string
+ *           description: Replaced transaction
+ *         replaced_by:
+ *           type: string
+ *         replaced_at:
+ *           type: string
+ *           format: date-time
+ *         sequence:
+ *           type: integer
+ *           description: Mempool sequence of the replacement
+ *         fee:
+ *           type: number
+ *           description: Fee of the replaced transaction (BTC)
+ *         replacement_fee:
+ *           type: number
+ *           description: BTC
+ *         fee_delta:
+ *           type: number
+ *           description: Replacement fee minus replaced fee (BTC)
+ *         full_rbf:
+ *           type: boolean
+ *           description: The replaced transaction did not signal BIP125 replaceability
+ */
+
+/**
+ * @swagger
+ * /blockchain/mempool/replacements:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Recent mempool replacements
+ *     description: |
+ *       Transactions recently replaced in the mempool (RBF), newest first. Replacements are detected by the local mempool copy from new transactions spending the same outpoints as a transaction that just left the mempool; only replacements seen while the service runs are known.
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 50
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Replacements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MempoolReplacement'
+ *       400:
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getMempoolReplacements = expressAsyncHandler(
+  async (req, res, next) => {
+    const schema = Joi.object({
+      limit: Joi.number().integer().min(1).max(1000).default(50),
+    });
+
+    const { error, value } = schema.validate(req.query);
+
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
+
+    await mempoolMirror.refresh();
+
+    return res.status(200).json({
+      success: true,
+      data: mempoolMirror.recentReplacements(value.limit),
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /blockchain/mempool/replacements/{txid}:
  *   get:
  *     tags:
  *     - Blockchain API
- *     summary: Get raw mempool data
- *     description: Returns either a list of TXIDs (verbose=false) or detailed mempool transaction info (verbose=true).
+ *     summary: Replacement chain of a transaction
+ *     description: |
+ *       Every replacement linked to the transaction, oldest first: what it replaced, what replaced it, and so on along the chain. `originals` are the transactions the chain started from and `latest` the ones that were not replaced (yet).
  *     parameters:
- *       - in: query
- *         name: verbose
+ *       - in: path
+ *         name: txid
  *         schema:
- *           type: boolean
- *           default: false
- *         required: false
- *         description: Whether to return detailed transaction objects or just TXIDs
+ *           type: string
+ *         required: true
  *     responses:
  *       200:
- *         description: Raw mempool contents
+ *         description: Replacement chain
  *         content:
  *           application/json:
  *             schema:
@@ -911,48 +3586,83 @@ export const getMempoolInfo = expressAsyncHandler(async (req, res, next) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   oneOf:
- *                     - type: array
+ *                   type: object
+ *                   properties:
+ *                     txid:
+ *                       type: string
+ *                     originals:
+ *                       type: array
  *                       items:
  *                         type: string
- *                     - type: object
+ *                     latest:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     replacements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MempoolReplacement'
  *       400:
- *         description: Invalid query parameter
+ *         description: Invalid TXID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No replacement known for the transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-export const getRawMempool = expressAsyncHandler(async (req, res, next) => {
-  const { verbose = false } = req.query;
+export const getMempoolReplacementChain = expressAsyncHandler(
+  async (req, res, next) => {
+    const schema = Joi.object({
+      txid: Joi.string().hex().length(64).required(),
+    });
 
-  const schema = Joi.object({
-    verbose: Joi.boolean().optional(),
-  });
+    const { error, value } = schema.validate(req.params);
 
-  const { error, value } = schema.validate({
-    verbose: verbose === 'true' || verbose === true,
-  });
+    if (error) {
+      throw new ApiError(
+        400,
+        HTTP_ERR_CODES[400],
+        'request validation failed',
+        error.details.map((d) => d.message)
+      );
+    }
 
-  if (error) {
-    throw new ApiError(
-      400,
-      HTTP_ERR_CODES[400],
-      'request validation failed',
-      error.details.map((d) => d.message)
-    );
-  }
+    await mempoolMirror.refresh();
+    const replacements = mempoolMirror.replacementsOf(value.txid);
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getrawmempool',
-    params: [value.verbose],
-  };
+    if (!replacements.length) {
+      throw new ApiError(
+        404,
+        HTTP_ERR_CODES[404],
+        'No replacement known for this transaction'
+      );
+    }
 
-  const info = await getClient().post('/', payload);
+    const replaced = new Set(replacements.map(({ txid }) => txid));
+    const replacing = new Set(replacements.map(({ replacedBy }) => replacedBy));
 
-  return res.status(200).json({
-    success: true,
-    data: info.data.result,
-  });
-});
+    return res.status(200).json({
+      success: true,
+      data: {
+        txid: value.txid,
+        originals: [...replaced].filter((txid) => !replacing.has(txid)),
+        latest: [...replacing].filter((txid) => !replaced.has(txid)),
+        replacements,
+      },
+    });
+  }
+);
 
 /**
  * @swagger
@@ -1025,18 +3735,15 @@ export const getTxOut = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'gettxout',
-    params: [value.txid, value.index, value.include_mempool],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('gettxout', [
+    value.txid,
+    value.index,
+    value.include_mempool,
+  ]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -1076,6 +3783,12 @@ export const getTxOut = expressAsyncHandler(async (req, res, next) => {
  *                   type: string
  *       400:
  *         description: Invalid txid or query parameter
+ *       404:
+ *         description: Transaction or block not found (`TX_NOT_FOUND`, `BLOCK_NOT_FOUND`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 export const getTxOutProof = expressAsyncHandler(async (req, res, next) => {
   const { txid } = req.params;
@@ -1100,18 +3813,99 @@ export const getTxOutProof = expressAsyncHandler(async (req, res, next) => {
   const params = [[value.txid]];
   if (value.blockhash) params.push(value.blockhash);
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'gettxoutproof',
-    params,
-  };
+  const info = await rpc.call('gettxoutproof', params);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/reorgs:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get the chain reorganizations seen by the API
+ *     description: Reorgs detected by the background tip tracker since the history was started (kept in `REORG_LOG_FILE`), newest first. Reorgs deeper than `STREAM_REPLAY_BLOCKS` are not detected.
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Reorg history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       detected_at:
+ *                         type: string
+ *                         format: date-time
+ *                       fork_point:
+ *                         type: object
+ *                         properties:
+ *                           hash:
+ *                             type: string
+ *                           height:
+ *                             type: integer
+ *                       depth:
+ *                         type: integer
+ *                         description: Number of disconnected blocks
+ *                       old_tip:
+ *                         type: object
+ *                       new_tip:
+ *                         type: object
+ *                       disconnected:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             hash:
+ *                               type: string
+ *                             height:
+ *                               type: integer
+ *                             time:
+ *                               type: integer
+ *                       connected:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Invalid parameters
+ */
+export const getReorgs = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).default(50),
+  });
 
-  const info = await getClient().post('/', payload);
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: reorgLog.list(value.limit),
   });
 });
 
@@ -1169,18 +3963,247 @@ export const scanUTXOSet = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'scantxoutset',
-    params: ['start', value.scanobjects],
-  };
+  const info = await rpc.call('scantxoutset', ['start', value.scanobjects]);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+// gettxoutsetinfo can take minutes, it runs as a background job
+const utxoSetJobs = createJobRunner();
+
+const toJobView = ({ key, ...job }) => job;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UtxoSetInfoJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, running, done, failed]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: gettxoutsetinfo result (height, bestblock, txouts, bogosize, total_amount, hash_serialized_3 or muhash, ...)
+ *         error:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             status:
+ *               type: integer
+ *             code:
+ *               type: string
+ *             message:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /blockchain/utxo-set-info:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get UTXO set statistics
+ *     description: |
+ *       Runs `gettxoutsetinfo` as a background job, since it can take minutes. The first request answers `202` with the job (see `Location`); poll `/blockchain/utxo-set-info/jobs/{id}` until it is `done`. Results are kept per block, so repeated requests for the current tip answer `200` with the finished job straight away.
+ *
+ *       `height` needs `-coinstatsindex` on the node and does not support `hash_serialized_3`.
+ *     parameters:
+ *       - in: query
+ *         name: hash_type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [hash_serialized_3, muhash, none]
+ *         description: Defaults to `hash_serialized_3`, or `muhash` with `height`
+ *       - in: query
+ *         name: height
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Historical height (needs coinstatsindex). Defaults to the chain tip.
+ *     responses:
+ *       200:
+ *         description: Finished job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UtxoSetInfoJob'
+ *       202:
+ *         description: Job queued or running
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: Job status url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UtxoSetInfoJob'
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Height above the chain tip (`BLOCK_HEIGHT_OUT_OF_RANGE`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       501:
+ *         description: Historical height without coinstatsindex (`COINSTATS_INDEX_DISABLED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: coinstatsindex still syncing (`COINSTATS_INDEX_SYNCING`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getUtxoSetInfo = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    hashType: Joi.string().valid('hash_serialized_3', 'muhash', 'none'),
+    height: Joi.number().integer().min(0).optional(),
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const { height } = value;
+  const hashType =
+    value.hashType ?? (height === undefined ? 'hash_serialized_3' : 'muhash');
+
+  if (height !== undefined && hashType === 'hash_serialized_3') {
+    throw new ApiError(400, HTTP_ERR_CODES[400], 'request validation failed', [
+      '"hashType" hash_serialized_3 cannot be used with "height"',
+    ]);
+  }
+
+  if (height !== undefined) {
+    const { coinstatsindex } = await rpc.call('getindexinfo', [
+      'coinstatsindex',
+    ]);
+
+    if (!coinstatsindex) {
+      throw new ApiError(
+        501,
+        'COINSTATS_INDEX_DISABLED',
+        'Historical UTXO set statistics need -coinstatsindex on the node'
+      );
+    }
+
+    if (!coinstatsindex.synced && coinstatsindex.best_block_height < height) {
+      throw new ApiError(
+        503,
+        'COINSTATS_INDEX_SYNCING',
+        'coinstatsindex has not reached this height yet',
+        { bestBlockHeight: coinstatsindex.best_block_height }
+      );
+    }
+  }
+
+  // results are kept per block, a new tip starts a new job
+  const blockhash =
+    height === undefined
+      ? await rpc.call('getbestblockhash')
+      : await rpc.call('getblockhash', [height]);
+
+  const job = utxoSetJobs.submit(`${hashType}:${blockhash}`, () =>
+    rpc.call(
+      'gettxoutsetinfo',
+      height === undefined ? [hashType] : [hashType, height]
+    )
+  );
+
+  if (job.status !== 'done') {
+    res.location(`${req.baseUrl}/utxo-set-info/jobs/${job.id}`);
+  }
 
-  const info = await getClient().post('/', payload);
+  return res.status(job.status === 'done' ? 200 : 202).json({
+    success: true,
+    data: toJobView(job),
+  });
+});
+
+/**
+ * @swagger
+ * /blockchain/utxo-set-info/jobs/{id}:
+ *   get:
+ *     tags:
+ *     - Blockchain API
+ *     summary: Get a UTXO set statistics job
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status, with the result once done
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/UtxoSetInfoJob'
+ *       404:
+ *         description: Unknown or expired job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getUtxoSetInfoJob = expressAsyncHandler(async (req, res, next) => {
+  const job = utxoSetJobs.get(req.params.id);
+
+  if (!job) {
+    throw new ApiError(404, HTTP_ERR_CODES[404], 'Job not found');
+  }
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: toJobView(job),
   });
 });
 
@@ -1234,17 +4257,10 @@ export const verifyTxOutProof = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'verifytxoutproof',
-    params: [value.proof],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('verifytxoutproof', [value.proof]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
@@ -1,4 +1,4 @@
-import { getClient } from '../config/btcNodeConfig.js';
+import { nodePool, rpc, rpcStats } from '../config/btcNodeConfig.js';
 import expressAsyncHandler from 'express-async-handler';
 
 /**
@@ -24,17 +24,95 @@ import expressAsyncHandler from 'express-async-handler';
  *         description: Internal server error
  */
 export const getRpcInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getrpcinfo',
-    params: [],
-  };
+  const info = await rpc.call('getrpcinfo');
 
-  const info = await getClient().post('/', payload);
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /control/backends:
+ *   get:
+ *     tags:
+ *     - Control API
+ *     summary: Get health of the configured Bitcoin node backends
+ *     description: Returns each backend's last health check (tip height, IBD flag, latency) and whether it is currently preferred for routing.
+ *     responses:
+ *       200:
+ *         description: Backend health list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       healthy:
+ *                         type: boolean
+ *                       height:
+ *                         type: integer
+ *                       ibd:
+ *                         type: boolean
+ *                       latency:
+ *                         type: integer
+ *                       lag:
+ *                         type: integer
+ *                       preferred:
+ *                         type: boolean
+ *                       lastError:
+ *                         type: string
+ *                       lastCheckedAt:
+ *                         type: string
+ */
+export const getBackends = expressAsyncHandler(async (req, res, next) => {
+  return res.status(200).json({
+    success: true,
+    data: nodePool.status(),
+  });
+});
 
+/**
+ * @swagger
+ * /control/rpc-stats:
+ *   get:
+ *     tags:
+ *     - Control API
+ *     summary: Get RPC cache and request coalescing statistics
+ *     description: Returns cache hit/miss counters (overall and per RPC method), the tip the cache is keyed on, the cache store usage, and how many upstream calls request coalescing saved.
+ *     responses:
+ *       200:
+ *         description: RPC layer statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cache:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Cache counters, or null when CACHE_STORE=none
+ *                     coalescing:
+ *                       type: object
+ *                       description: Per-method calls, upstream requests and saved requests
+ */
+export const getRpcStats = expressAsyncHandler(async (req, res, next) => {
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: rpcStats(),
   });
 });
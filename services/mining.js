@@ -1,4 +1,4 @@
-import { getClient } from '../config/btcNodeConfig.js';
+import { rpc } from '../config/btcNodeConfig.js';
 import expressAsyncHandler from 'express-async-handler';
 
 /**
@@ -24,18 +24,11 @@ import expressAsyncHandler from 'express-async-handler';
  *         description: Internal server error
  */
 export const getMiningInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getmininginfo',
-    params: [],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getmininginfo');
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -63,18 +56,11 @@ export const getMiningInfo = expressAsyncHandler(async (req, res, next) => {
  */
 export const getNetworkHashRate = expressAsyncHandler(
   async (req, res, next) => {
-    const payload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'getnetworkhashps',
-      params: [],
-    };
-
-    const info = await getClient().post('/', payload);
+    const info = await rpc.call('getnetworkhashps');
 
     return res.status(200).json({
       success: true,
-      data: info.data.result,
+      data: info,
     });
   }
 );
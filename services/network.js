@@ -1,5 +1,5 @@
 import Joi from 'joi';
-import { getClient } from '../config/btcNodeConfig.js';
+import { rpc } from '../config/btcNodeConfig.js';
 import expressAsyncHandler from 'express-async-handler';
 import ApiError from '../errors/ApiError.js';
 import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
@@ -28,18 +28,11 @@ import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
  */
 export const getConnectionCount = expressAsyncHandler(
   async (req, res, next) => {
-    const payload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'getconnectioncount',
-      params: [],
-    };
-
-    const info = await getClient().post('/', payload);
+    const info = await rpc.call('getconnectioncount');
 
     return res.status(200).json({
       success: true,
-      data: info.data.result,
+      data: info,
     });
   }
 );
@@ -67,18 +60,11 @@ export const getConnectionCount = expressAsyncHandler(
  *         description: Internal server error
  */
 export const getNetTotals = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getnettotals',
-    params: [],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getnettotals');
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -105,18 +91,11 @@ export const getNetTotals = expressAsyncHandler(async (req, res, next) => {
  *         description: Internal server error
  */
 export const getNetworkInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getnetworkinfo',
-    params: [],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getnetworkinfo');
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -145,18 +124,11 @@ export const getNetworkInfo = expressAsyncHandler(async (req, res, next) => {
  *         description: Internal server error
  */
 export const getPeerInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getpeerinfo',
-    params: [],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getpeerinfo');
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -210,17 +182,10 @@ export const getNodeAddresses = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getnodeaddresses',
-    params: [value.count],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getnodeaddresses', [value.count]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
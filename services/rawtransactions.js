@@ -0,0 +1,360 @@
+import Joi from 'joi';
+import { rpc } from '../config/btcNodeConfig.js';
+import { envConfig } from '../config/envConf.js';
+import expressAsyncHandler from 'express-async-handler';
+import ApiError from '../errors/ApiError.js';
+import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+import {
+  broadcastError,
+  parseRejectReason,
+  rejectError,
+} from '../errors/rejectReasons.js';
+
+// Bitcoin Core package limit
+const MAX_PACKAGE_SIZE = 25;
+
+const hex = Joi.string().hex();
+const maxFeeRate = Joi.number()
+  .greater(0)
+  .default(envConfig.BROADCAST_MAX_FEE_RATE);
+
+const validate = (schema, input) => {
+  const { error, value } = schema.validate(input);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Add a stable `reject` code to each refused entry of a testmempoolaccept
+ * result. Package failures are reported on every entry of the package.
+ */
+const withRejects = (results) =>
+  results.map((result) => {
+    const reason = result['reject-reason'] ?? result['package-error'];
+
+    if (result.allowed || !reason) {
+      return result;
+    }
+
+    const { code, message } = parseRejectReason(reason);
+    return { ...result, reject: { code, message } };
+  });
+
+/**
+ * @swagger
+ * /rawtransactions/decode:
+ *   post:
+ *     tags:
+ *     - Raw Transaction API
+ *     summary: Decode a serialized transaction
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hexstring
+ *             properties:
+ *               hexstring:
+ *                 type: string
+ *               iswitness:
+ *                 type: boolean
+ *                 description: Force witness (true) or non-witness (false) decoding; tries both by default
+ *     responses:
+ *       200:
+ *         description: Decoded transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid input or undecodable transaction (`DECODE_FAILED`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const decodeRawTransaction = expressAsyncHandler(
+  async (req, res, next) => {
+    const value = validate(
+      Joi.object({
+        hexstring: hex.required(),
+        iswitness: Joi.boolean().optional(),
+      }),
+      req.body
+    );
+
+    const params = [value.hexstring];
+    if (value.iswitness !== undefined) {
+      params.push(value.iswitness);
+    }
+
+    const info = await rpc.call('decoderawtransaction', params);
+
+    return res.status(200).json({
+      success: true,
+      data: info,
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /rawtransactions/decode-script:
+ *   post:
+ *     tags:
+ *     - Raw Transaction API
+ *     summary: Decode a hex-encoded script
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hexstring
+ *             properties:
+ *               hexstring:
+ *                 type: string
+ *                 example: "0014751e76e8199196d454941c45d1b3a323f1433bd6"
+ *     responses:
+ *       200:
+ *         description: Decoded script (asm, type, address, p2sh / segwit wrappers)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid input
+ */
+export const decodeScript = expressAsyncHandler(async (req, res, next) => {
+  const value = validate(
+    Joi.object({ hexstring: hex.allow('').required() }),
+    req.body
+  );
+
+  const info = await rpc.call('decodescript', [value.hexstring]);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+/**
+ * @swagger
+ * /rawtransactions/test-accept:
+ *   post:
+ *     tags:
+ *     - Raw Transaction API
+ *     summary: Check whether transactions would be accepted by the mempool
+ *     description: Runs `testmempoolaccept` without broadcasting. Several transactions are tested as one package (parents first, up to 25). Refused entries carry a stable `reject.code` next to the node `reject_reason`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rawtxs
+ *             properties:
+ *               rawtxs:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 minItems: 1
+ *                 maxItems: 25
+ *               maxfeerate:
+ *                 type: number
+ *                 description: Reject fee rates above this, in BTC/kvB
+ *     responses:
+ *       200:
+ *         description: One result per transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       txid:
+ *                         type: string
+ *                       wtxid:
+ *                         type: string
+ *                       allowed:
+ *                         type: boolean
+ *                       vsize:
+ *                         type: integer
+ *                       fees:
+ *                         type: object
+ *                       reject_reason:
+ *                         type: string
+ *                       reject:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: INSUFFICIENT_FEE
+ *                           message:
+ *                             type: string
+ *       400:
+ *         description: Invalid input or undecodable transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const testMempoolAccept = expressAsyncHandler(async (req, res, next) => {
+  const value = validate(
+    Joi.object({
+      rawtxs: Joi.array().items(hex).min(1).max(MAX_PACKAGE_SIZE).required(),
+      maxfeerate: maxFeeRate,
+    }),
+    req.body
+  );
+
+  const results = await rpc.call('testmempoolaccept', [
+    value.rawtxs,
+    value.maxfeerate,
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    data: withRejects(results),
+  });
+});
+
+/**
+ * @swagger
+ * /rawtransactions/send:
+ *   post:
+ *     tags:
+ *     - Raw Transaction API
+ *     summary: Broadcast a signed transaction
+ *     description: The transaction is checked with `testmempoolaccept` first and only broadcast when the mempool would accept it. Refusals are reported with a stable error code (see the reject reason table) and the node reason in `error.details.reason`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hexstring
+ *             properties:
+ *               hexstring:
+ *                 type: string
+ *               maxfeerate:
+ *                 type: number
+ *                 description: Reject fee rates above this, in BTC/kvB. Defaults to `BROADCAST_MAX_FEE_RATE`.
+ *     responses:
+ *       200:
+ *         description: Broadcast transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     txid:
+ *                       type: string
+ *                     wtxid:
+ *                       type: string
+ *                     vsize:
+ *                       type: integer
+ *                     fees:
+ *                       type: object
+ *       400:
+ *         description: Invalid input or undecodable transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Already in the mempool or conflicting (`ALREADY_IN_MEMPOOL`, `MEMPOOL_CONFLICT`, `TX_ALREADY_IN_CHAIN`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Rejected (`INSUFFICIENT_FEE`, `MISSING_INPUTS`, `NON_STANDARD`, `MAX_FEE_EXCEEDED`, ...)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const sendRawTransaction = expressAsyncHandler(
+  async (req, res, next) => {
+    const value = validate(
+      Joi.object({
+        hexstring: hex.required(),
+        maxfeerate: maxFeeRate,
+      }),
+      req.body
+    );
+
+    const [check] = await rpc.call('testmempoolaccept', [
+      [value.hexstring],
+      value.maxfeerate,
+    ]);
+
+    if (!check.allowed) {
+      throw rejectError(check['reject-reason'], {
+        txid: check.txid,
+        wtxid: check.wtxid,
+        rejectDetails: check['reject-details'],
+      });
+    }
+
+    let txid;
+
+    try {
+      txid = await rpc.call('sendrawtransaction', [
+        value.hexstring,
+        value.maxfeerate,
+      ]);
+    } catch (error) {
+      // refused between the check and the broadcast (e.g. a conflicting
+      // transaction arrived or it got mined meanwhile)
+      throw broadcastError(error, { txid: check.txid });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        txid,
+        wtxid: check.wtxid,
+        vsize: check.vsize,
+        fees: check.fees,
+      },
+    });
+  }
+);
@@ -0,0 +1,300 @@
+import Joi from 'joi';
+import * as changeKeys from 'change-case/keys';
+import expressAsyncHandler from 'express-async-handler';
+import { WebSocketServer } from 'ws';
+import ApiError from '../errors/ApiError.js';
+import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+import { logger } from '../utils/logger.js';
+import { blockWatcher } from '../watchers/blockWatcher.js';
+import { chainEvents } from '../watchers/chainEvents.js';
+
+export const STREAM_TOPICS = ['block', 'tx', 'reorg'];
+
+// keeps proxies from closing idle connections
+const HEARTBEAT_INTERVAL = 15000;
+
+const subscriptionSchema = Joi.object({
+  topics: Joi.array()
+    .items(Joi.string().valid(...STREAM_TOPICS))
+    .min(1)
+    .default(['block']),
+  lastHeight: Joi.number().integer().min(0).optional(),
+});
+
+// topics arrive as `block,tx` in query strings
+const parseTopics = (topics) =>
+  typeof topics === 'string'
+    ? topics
+        .split(',')
+        .map((t) => t.trim())
+        .filter(Boolean)
+    : topics;
+
+const validateSubscription = (input) => {
+  const { error, value } = subscriptionSchema.validate({
+    ...input,
+    topics: parseTopics(input.topics),
+  });
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Forward chain events of the chosen topics to `send(event, data)`.
+ *
+ * When `lastHeight` is given the blocks above it are replayed first. Live
+ * blocks arriving meanwhile are held back and sent after the replay, skipping
+ * those the replay already covered, so nothing is lost or sent twice. When
+ * the replay fails the held blocks are still sent, then the error is thrown.
+ *
+ * @param {(event: string, data: object) => void} send
+ * @returns {object} Subscription with `subscribe`, `unsubscribe` and `close`.
+ */
+const createSubscription = (send) => {
+  const listeners = new Map();
+
+  const unsubscribe = (topics) => {
+    topics.forEach((topic) => {
+      if (listeners.has(topic)) {
+        chainEvents.off(topic, listeners.get(topic));
+        listeners.delete(topic);
+      }
+    });
+  };
+
+  const subscribe = async (topics, lastHeight) => {
+    unsubscribe(topics);
+
+    let held = lastHeight === undefined ? null : [];
+
+    topics.forEach((topic) => {
+      const listener = (data) => {
+        if (held && topic === 'block') {
+          held.push(data);
+        } else {
+          send(topic, data);
+        }
+      };
+
+      listeners.set(topic, listener);
+      chainEvents.on(topic, listener);
+    });
+
+    const sent = new Set();
+
+    try {
+      if (held && topics.includes('block')) {
+        const replayed = await blockWatcher.replay(lastHeight);
+
+        replayed.forEach((block) => {
+          sent.add(block.hash);
+          send('block', block);
+        });
+      }
+    } finally {
+      const pending = held ?? [];
+
+      held = null;
+      pending
+        .filter(({ hash }) => !sent.has(hash))
+        .forEach((block) => send('block', block));
+    }
+  };
+
+  const close = () => unsubscribe([...listeners.keys()]);
+
+  return { subscribe, unsubscribe, close };
+};
+
+/**
+ * @swagger
+ * /stream/events:
+ *   get:
+ *     tags:
+ *     - Stream API
+ *     summary: Stream new blocks and mempool transactions (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes `block` events (header summary and key stats of each new block) and, when subscribed, `tx` events (decoded mempool transactions) and `reorg` events (fork point, disconnected and connected blocks, sent before the `block` events of the new branch).
+ *
+ *       Block events carry the block height as event id. Reconnecting clients resume from the `Last-Event-ID` header, or from `last_height`, and first receive the blocks they missed.
+ *
+ *       The same stream is available over WebSocket at `/stream/ws?topics=block,tx&last_height=N`. Clients may then send `{"action": "subscribe" | "unsubscribe", "topics": [...], "last_height": N}` and receive `{"event": ..., "data": ...}` messages.
+ *     parameters:
+ *       - in: query
+ *         name: topics
+ *         schema:
+ *           type: string
+ *           example: block,tx
+ *         description: Comma separated topics (`block`, `tx`, `reorg`). Defaults to `block`.
+ *       - in: query
+ *         name: last_height
+ *         schema:
+ *           type: integer
+ *         description: Last block height seen by the client; later blocks are replayed first.
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Set by EventSource on reconnect; takes precedence over `last_height`.
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Request validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const streamEvents = expressAsyncHandler(async (req, res, next) => {
+  const lastEventId = req.get('Last-Event-ID');
+
+  // the id of the last event received wins over the url EventSource
+  // reconnects to, whose `last_height` is the one of the first connection
+  const { topics, lastHeight } = validateSubscription({
+    ...req.query,
+    ...(lastEventId && { lastHeight: lastEventId }),
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const send = (event, data) => {
+    const id = event === 'block' ? `id: ${data.height}\n` : '';
+    const payload = JSON.stringify(changeKeys.snakeCase(data, -1));
+
+    res.write(`event: ${event}\n${id}data: ${payload}\n\n`);
+  };
+
+  const subscription = createSubscription(send);
+  const heartbeat = setInterval(
+    () => res.write(': ping\n\n'),
+    HEARTBEAT_INTERVAL
+  );
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscription.close();
+  });
+
+  try {
+    await subscription.subscribe(topics, lastHeight);
+  } catch (error) {
+    // headers are gone, report the failure in-band
+    send('error', { code: error.code, message: error.message });
+  }
+});
+
+/**
+ * Serve the event stream over WebSocket at `/stream/ws` on the given HTTP
+ * server.
+ *
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+export const attachStreamServer = (server) => {
+  const wss = new WebSocketServer({ server, path: '/stream/ws' });
+
+  wss.on('connection', (ws, req) => {
+    const send = (event, data) =>
+      ws.send(JSON.stringify(changeKeys.snakeCase({ event, data }, -1)));
+
+    const sendError = (error) =>
+      send('error', {
+        code: error.code,
+        message: error.message,
+        details: error.details,
+      });
+
+    const subscription = createSubscription(send);
+
+    const handle = async ({ action = 'subscribe', ...input }) => {
+      try {
+        const { topics, lastHeight } = validateSubscription(input);
+
+        if (action === 'unsubscribe') {
+          subscription.unsubscribe(topics);
+        } else {
+          await subscription.subscribe(topics, lastHeight);
+        }
+      } catch (error) {
+        sendError(error);
+      }
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (message) => {
+      let input;
+
+      try {
+        input = changeKeys.camelCase(JSON.parse(message), -1);
+      } catch (error) {
+        return sendError(
+          new ApiError(400, HTTP_ERR_CODES[400], 'message is not valid JSON')
+        );
+      }
+
+      if (!['subscribe', 'unsubscribe'].includes(input?.action)) {
+        return sendError(
+          new ApiError(
+            400,
+            HTTP_ERR_CODES[400],
+            'action must be subscribe or unsubscribe'
+          )
+        );
+      }
+
+      handle(input);
+    });
+
+    ws.on('close', () => subscription.close());
+
+    // initial subscription from the connection url, if any
+    const query = Object.fromEntries(
+      new URL(req.url, 'http://localhost').searchParams
+    );
+
+    if (query.topics || query.last_height) {
+      handle(changeKeys.camelCase({ action: 'subscribe', ...query }, -1));
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  logger.info('WebSocket stream listening on /stream/ws');
+
+  return wss;
+};
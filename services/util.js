@@ -1,9 +1,14 @@
 import Joi from 'joi';
-import { getClient } from '../config/btcNodeConfig.js';
+import { rpc } from '../config/btcNodeConfig.js';
+import { envConfig } from '../config/envConf.js';
 import expressAsyncHandler from 'express-async-handler';
 import ApiError from '../errors/ApiError.js';
 import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+import { toSatPerVbyte } from '../utils/feeBump.js';
 import { getHexSuffixDecimals } from '../utils/generals.js';
+import { MAX_BLOCK_VSIZE } from '../utils/mempoolAnalytics.js';
+import { encodePsbt, psbtSchema, summarizePsbt } from '../utils/psbt.js';
+import { mempoolMirror } from '../watchers/mempoolMirror.js';
 
 /**
  * @swagger
@@ -73,18 +78,11 @@ export const createMultisig = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'createmultisig',
-    params: [value.nRequired, value.keys],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('createmultisig', [value.nRequired, value.keys]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -151,18 +149,14 @@ export const deriveAddresses = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'deriveaddresses',
-    params: value.range ? [value.descriptor, value.range] : [value.descriptor],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call(
+    'deriveaddresses',
+    value.range ? [value.descriptor, value.range] : [value.descriptor]
+  );
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -230,18 +224,172 @@ export const estimateSmartFee = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'estimatesmartfee',
-    params: [value.confTarget, value.estimateMode],
-  };
+  const info = await rpc.call('estimatesmartfee', [
+    value.confTarget,
+    value.estimateMode,
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    data: info,
+  });
+});
+
+// estimatesmartfee accepts confirmation targets up to 1008 blocks
+const MAX_CONF_TARGET = 1008;
+const FEE_ESTIMATE_MODES = ['ECONOMICAL', 'CONSERVATIVE'];
+const FEE_ESTIMATES_BATCH_SIZE = 252;
+
+// the projected next block counts as full above this share of a block
+const FULL_BLOCK_SHARE = 0.95;
+
+// fee estimate table of the best block it was built at, until it expires
+let feeEstimates = null;
+
+const buildFeeEstimates = async () => {
+  const calls = [];
+
+  for (let target = 1; target <= MAX_CONF_TARGET; target++) {
+    for (const mode of FEE_ESTIMATE_MODES) {
+      calls.push({ method: 'estimatesmartfee', params: [target, mode] });
+    }
+  }
+
+  const results = [];
+
+  for (let i = 0; i < calls.length; i += FEE_ESTIMATES_BATCH_SIZE) {
+    results.push(
+      ...(await rpc.batch(calls.slice(i, i + FEE_ESTIMATES_BATCH_SIZE)))
+    );
+  }
+
+  return Array.from({ length: MAX_CONF_TARGET }, (_, i) => {
+    const [economical, conservative] = results
+      .slice(2 * i, 2 * i + 2)
+      .map(({ feerate }) => (feerate ? toSatPerVbyte(feerate) : null));
+
+    return { target: i + 1, economical, conservative };
+  });
+};
+
+/**
+ * @swagger
+ * /util/fee-estimates:
+ *   get:
+ *     tags:
+ *     - Util API
+ *     summary: Fee estimates for every confirmation target
+ *     description: |
+ *       `estimatesmartfee` for every confirmation target from 1 to 1008 blocks, in both ECONOMICAL and CONSERVATIVE modes, in sat/vB (null where the node has no estimate). The table is cached until the next block or for `FEE_ESTIMATES_TTL_MS`, whichever comes first.
+ *
+ *       `next_block` is derived from the current mempool (see `/blockchain/mempool/projected-blocks`): when the projected next block is full, `fee_rate` is the lowest effective fee rate that makes it in; otherwise any transaction paying the mempool min fee fits.
+ *     responses:
+ *       200:
+ *         description: Fee estimate table
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     blockhash:
+ *                       type: string
+ *                       description: Best block the table was built at
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     next_block:
+ *                       type: object
+ *                       properties:
+ *                         fee_rate:
+ *                           type: number
+ *                         median_fee:
+ *                           type: number
+ *                           nullable: true
+ *                         full:
+ *                           type: boolean
+ *                         tx_count:
+ *                           type: integer
+ *                         vsize:
+ *                           type: integer
+ *                     estimates:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           target:
+ *                             type: integer
+ *                           economical:
+ *                             type: number
+ *                             nullable: true
+ *                           conservative:
+ *                             type: number
+ *                             nullable: true
+ *       503:
+ *         description: Mempool still loading (`MEMPOOL_LOADING`), retry after `Retry-After` seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getFeeEstimates = expressAsyncHandler(async (req, res, next) => {
+  const blockhash = await rpc.call('getbestblockhash');
+
+  if (
+    !feeEstimates ||
+    feeEstimates.blockhash !== blockhash ||
+    Date.now() >= feeEstimates.expiresAt
+  ) {
+    const pending = {
+      blockhash,
+      updatedAt: new Date().toISOString(),
+      expiresAt: Date.now() + envConfig.FEE_ESTIMATES_TTL_MS,
+      estimates: buildFeeEstimates(),
+    };
+
+    // a failed build is not cached
+    pending.estimates.catch(() => {
+      if (feeEstimates === pending) {
+        feeEstimates = null;
+      }
+    });
+
+    feeEstimates = pending;
+  }
+
+  const { updatedAt, expiresAt, estimates } = feeEstimates;
 
-  const info = await getClient().post('/', payload);
+  const [table, { blocks }, { mempoolminfee }] = await Promise.all([
+    estimates,
+    mempoolMirror.projection(),
+    rpc.call('getmempoolinfo'),
+  ]);
+
+  const [first] = blocks;
+  const full = first?.vsize >= FULL_BLOCK_SHARE * MAX_BLOCK_VSIZE;
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: {
+      blockhash,
+      updatedAt,
+      expiresAt: new Date(expiresAt).toISOString(),
+      nextBlock: {
+        feeRate: full ? first.feeRange.min : toSatPerVbyte(mempoolminfee),
+        medianFee: first?.medianFee ?? null,
+        full,
+        txCount: first?.txCount ?? 0,
+        vsize: first?.vsize ?? 0,
+      },
+      estimates: table,
+    },
   });
 });
 
@@ -295,18 +443,11 @@ export const getDescriptorInfo = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getdescriptorinfo',
-    params: [value.descriptor],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getdescriptorinfo', [value.descriptor]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -333,18 +474,11 @@ export const getDescriptorInfo = expressAsyncHandler(async (req, res, next) => {
  *         description: Internal server error
  */
 export const getIndexInfo = expressAsyncHandler(async (req, res, next) => {
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'getindexinfo',
-    params: [],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('getindexinfo');
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -394,18 +528,11 @@ export const validateAddress = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'validateaddress',
-    params: [value.address],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('validateaddress', [value.address]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -469,18 +596,15 @@ export const verifyMessage = expressAsyncHandler(async (req, res, next) => {
     );
   }
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'curltest',
-    method: 'verifymessage',
-    params: [value.address, value.signature, value.message],
-  };
-
-  const info = await getClient().post('/', payload);
+  const info = await rpc.call('verifymessage', [
+    value.address,
+    value.signature,
+    value.message,
+  ]);
 
   return res.status(200).json({
     success: true,
-    data: info.data.result,
+    data: info,
   });
 });
 
@@ -554,3 +678,588 @@ export const getBlockHashDecimals = expressAsyncHandler(
     });
   }
 );
+
+// base64 + hex encodings of a PSBT with its signing summary
+const withPsbtSummary = async (psbt) => ({
+  ...encodePsbt(psbt),
+  summary: summarizePsbt(await rpc.call('analyzepsbt', [psbt])),
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PsbtSummary:
+ *       type: object
+ *       description: Signing progress of a PSBT, derived from `analyzepsbt`
+ *       properties:
+ *         complete:
+ *           type: boolean
+ *           description: All inputs are finalized; the transaction can be extracted
+ *         next:
+ *           type: string
+ *           description: Next BIP174 role (updater, signer, finalizer, extractor)
+ *         inputs:
+ *           type: integer
+ *         finalized:
+ *           type: integer
+ *         missing:
+ *           type: array
+ *           description: Inputs that are not finalized yet
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               has_utxo:
+ *                 type: boolean
+ *               signatures:
+ *                 type: array
+ *                 description: Hash160 of the public keys whose signatures are missing
+ *                 items:
+ *                   type: string
+ *               pubkeys:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               redeemscript:
+ *                 type: string
+ *                 nullable: true
+ *               witnessscript:
+ *                 type: string
+ *                 nullable: true
+ *               next:
+ *                 type: string
+ *         estimated_vsize:
+ *           type: integer
+ *           nullable: true
+ *         fee_rate:
+ *           type: number
+ *           nullable: true
+ *           description: Estimated fee rate of the final transaction (sat/vB)
+ *         fee:
+ *           type: number
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *     PsbtResult:
+ *       type: object
+ *       properties:
+ *         psbt:
+ *           type: string
+ *           description: Base64 PSBT
+ *         psbt_hex:
+ *           type: string
+ *         summary:
+ *           $ref: '#/components/schemas/PsbtSummary'
+ */
+
+/**
+ * @swagger
+ * /util/psbt/decode:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Decode a PSBT
+ *     description: Returns `decodepsbt` plus a signing summary. The PSBT may be base64 or hex.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - psbt
+ *             properties:
+ *               psbt:
+ *                 type: string
+ *                 example: "cHNidP8BAHECAAAAA..."
+ *     responses:
+ *       200:
+ *         description: Decoded PSBT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tx:
+ *                       type: object
+ *                     inputs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     outputs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     fee:
+ *                       type: number
+ *                     summary:
+ *                       $ref: '#/components/schemas/PsbtSummary'
+ *       400:
+ *         description: Invalid or undecodable PSBT
+ */
+export const decodePsbt = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    psbt: psbtSchema.required(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const [decoded, analysis] = await rpc.batch([
+    { method: 'decodepsbt', params: [value.psbt] },
+    { method: 'analyzepsbt', params: [value.psbt] },
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    data: { ...decoded, summary: summarizePsbt(analysis) },
+  });
+});
+
+/**
+ * @swagger
+ * /util/psbt/analyze:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Analyze a PSBT
+ *     description: Returns `analyzepsbt` plus a signing summary. The PSBT may be base64 or hex.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - psbt
+ *             properties:
+ *               psbt:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PSBT analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inputs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     estimated_vsize:
+ *                       type: integer
+ *                     estimated_feerate:
+ *                       type: number
+ *                     fee:
+ *                       type: number
+ *                     next:
+ *                       type: string
+ *                     summary:
+ *                       $ref: '#/components/schemas/PsbtSummary'
+ *       400:
+ *         description: Invalid or undecodable PSBT
+ */
+export const analyzePsbt = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    psbt: psbtSchema.required(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const analysis = await rpc.call('analyzepsbt', [value.psbt]);
+
+  return res.status(200).json({
+    success: true,
+    data: { ...analysis, summary: summarizePsbt(analysis) },
+  });
+});
+
+/**
+ * @swagger
+ * /util/psbt/combine:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Combine signatures and data of several copies of one PSBT
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - psbts
+ *             properties:
+ *               psbts:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Combined PSBT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PsbtResult'
+ *       400:
+ *         description: Invalid PSBTs, or PSBTs of different transactions
+ */
+export const combinePsbt = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    psbts: Joi.array().items(psbtSchema).min(1).required(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const psbt = await rpc.call('combinepsbt', [value.psbts]);
+
+  return res.status(200).json({
+    success: true,
+    data: await withPsbtSummary(psbt),
+  });
+});
+
+/**
+ * @swagger
+ * /util/psbt/finalize:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Finalize the inputs of a PSBT
+ *     description: Finalizes every input that has enough signatures. When all inputs are final and `extract` is true, the network serialized transaction is returned in `hex`, ready for `/rawtransactions/send`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - psbt
+ *             properties:
+ *               psbt:
+ *                 type: string
+ *               extract:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Finalized PSBT, and the transaction when complete
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/PsbtResult'
+ *                     - type: object
+ *                       properties:
+ *                         complete:
+ *                           type: boolean
+ *                         hex:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         description: Invalid PSBT
+ */
+export const finalizePsbt = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    psbt: psbtSchema.required(),
+    extract: Joi.boolean().default(true),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  // keep the finalized PSBT, extract separately once complete
+  const { psbt, complete } = await rpc.call('finalizepsbt', [
+    value.psbt,
+    false,
+  ]);
+
+  const hex =
+    complete && value.extract
+      ? (await rpc.call('finalizepsbt', [psbt, true])).hex
+      : null;
+
+  return res.status(200).json({
+    success: true,
+    data: { ...(await withPsbtSummary(psbt)), complete, hex },
+  });
+});
+
+/**
+ * @swagger
+ * /util/psbt/join:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Join the inputs and outputs of several PSBTs into one
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - psbts
+ *             properties:
+ *               psbts:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Joined PSBT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PsbtResult'
+ *       400:
+ *         description: Invalid PSBTs
+ */
+export const joinPsbts = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    psbts: Joi.array().items(psbtSchema).min(2).required(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const psbt = await rpc.call('joinpsbts', [value.psbts]);
+
+  return res.status(200).json({
+    success: true,
+    data: await withPsbtSummary(psbt),
+  });
+});
+
+/**
+ * @swagger
+ * /util/psbt/convert:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Convert a raw transaction into a PSBT
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hexstring
+ *             properties:
+ *               hexstring:
+ *                 type: string
+ *               permitsigdata:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Drop existing signatures instead of failing
+ *               iswitness:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Unsigned PSBT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PsbtResult'
+ *       400:
+ *         description: Invalid transaction
+ */
+export const convertToPsbt = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    hexstring: Joi.string().hex().required(),
+    permitsigdata: Joi.boolean().default(false),
+    iswitness: Joi.boolean().optional(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const params = [value.hexstring, value.permitsigdata];
+  if (value.iswitness !== undefined) {
+    params.push(value.iswitness);
+  }
+
+  const psbt = await rpc.call('converttopsbt', params);
+
+  return res.status(200).json({
+    success: true,
+    data: await withPsbtSummary(psbt),
+  });
+});
+
+/**
+ * @swagger
+ * /util/psbt/utxo-update:
+ *   post:
+ *     tags:
+ *     - Util API
+ *     summary: Add UTXO data to the inputs of a PSBT
+ *     description: Fills in the spent outputs from the node's UTXO set and mempool, and scripts / key paths from the given descriptors.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - psbt
+ *             properties:
+ *               psbt:
+ *                 type: string
+ *               descriptors:
+ *                 type: array
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         desc:
+ *                           type: string
+ *                         range:
+ *                           oneOf:
+ *                             - type: integer
+ *                             - type: array
+ *                               items:
+ *                                 type: integer
+ *     responses:
+ *       200:
+ *         description: Updated PSBT
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PsbtResult'
+ *       400:
+ *         description: Invalid PSBT or descriptor
+ */
+export const utxoUpdatePsbt = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    psbt: psbtSchema.required(),
+    descriptors: Joi.array()
+      .items(
+        Joi.string(),
+        Joi.object({
+          desc: Joi.string().required(),
+          range: Joi.alternatives(
+            Joi.number().integer().min(0),
+            Joi.array().items(Joi.number().integer().min(0)).length(2)
+          ),
+        })
+      )
+      .optional(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'Request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const params = [value.psbt];
+  if (value.descriptors) {
+    params.push(value.descriptors);
+  }
+
+  const psbt = await rpc.call('utxoupdatepsbt', params);
+
+  return res.status(200).json({
+    success: true,
+    data: await withPsbtSummary(psbt),
+  });
+});
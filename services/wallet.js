@@ -1,5 +1,5 @@
 import Joi from 'joi';
-import { getClient } from '../config/btcNodeConfig.js';
+import { rpc } from '../config/btcNodeConfig.js';
 import expressAsyncHandler from 'express-async-handler';
 import ApiError from '../errors/ApiError.js';
 import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
@@ -51,15 +51,10 @@ export const getBalanceByAddress = expressAsyncHandler(
       );
     }
 
-    const payload = {
-      jsonrpc: '1.0',
-      id: 'curltest',
-      method: 'scantxoutset',
-      params: ['start', [{ desc: `addr(${value.address})` }]],
-    };
-
-    const info = await getClient().post('/', payload);
-    const result = info.data.result;
+    const result = await rpc.call('scantxoutset', [
+      'start',
+      [{ desc: `addr(${value.address})` }],
+    ]);
 
     return res.status(200).json({
       success: true,
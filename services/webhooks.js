@@ -0,0 +1,449 @@
+import Joi from 'joi';
+import { randomUUID } from 'crypto';
+import expressAsyncHandler from 'express-async-handler';
+import { rpc } from '../config/btcNodeConfig.js';
+import { webhookStore, webhookWatcher } from '../config/webhookConfig.js';
+import ApiError from '../errors/ApiError.js';
+import HTTP_ERR_CODES from '../errors/httpErrorCodes.js';
+
+const validate = (schema, input) => {
+  const { error, value } = schema.validate(input);
+
+  if (error) {
+    throw new ApiError(
+      400,
+      HTTP_ERR_CODES[400],
+      'request validation failed',
+      error.details.map((d) => d.message)
+    );
+  }
+
+  return value;
+};
+
+const findSubscription = (id) => {
+  const subscription = webhookStore.getSubscription(id);
+
+  if (!subscription) {
+    throw new ApiError(
+      404,
+      HTTP_ERR_CODES[404],
+      'Webhook subscription not found'
+    );
+  }
+
+  return subscription;
+};
+
+// the secret is write-only
+const toPublic = ({ secret, ...subscription }) => subscription;
+
+const fields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  confirmations: Joi.number().integer().min(0).max(1000),
+  secret: Joi.string().min(16),
+  active: Joi.boolean(),
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         address:
+ *           type: string
+ *           nullable: true
+ *         txid:
+ *           type: string
+ *           nullable: true
+ *         confirmations:
+ *           type: integer
+ *         active:
+ *           type: boolean
+ *         matches:
+ *           type: array
+ *           description: Transactions matched so far, with the block they were mined in.
+ *           items:
+ *             type: object
+ *         created_at:
+ *           type: string
+ *         updated_at:
+ *           type: string
+ *         completed_at:
+ *           type: string
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     tags:
+ *     - Webhooks
+ *     summary: Register a webhook for an address or a transaction
+ *     description: |
+ *       Watches new blocks (and the mempool, for a threshold of 0 confirmations) and POSTs an event to `url` once a match reaches `confirmations`:
+ *
+ *       - `address.received` for every transaction paying to `address`.
+ *       - `tx.confirmed` once for `txid`; the subscription then completes.
+ *
+ *       Each delivery is signed with the subscription secret: `X-Webhook-Signature: sha256=<hex HMAC-SHA256 of the raw body>`. Deliveries answered with anything but 2xx are retried with exponential backoff.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *             - url
+ *             - secret
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://payments.example.com/btc-hook
+ *               address:
+ *                 type: string
+ *                 description: Address to watch. Exactly one of `address` or `txid`.
+ *               txid:
+ *                 type: string
+ *                 description: Transaction to watch. Exactly one of `address` or `txid`.
+ *               confirmations:
+ *                 type: integer
+ *                 default: 1
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Request validation failed or invalid address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const createWebhook = expressAsyncHandler(async (req, res, next) => {
+  const schema = Joi.object({
+    url: fields.url.required(),
+    address: Joi.string(),
+    txid: Joi.string().hex().length(64),
+    confirmations: fields.confirmations.default(1),
+    secret: fields.secret.required(),
+    active: fields.active.default(true),
+  }).xor('address', 'txid');
+
+  const value = validate(schema, req.body);
+
+  if (value.address) {
+    const { isvalid } = await rpc.call('validateaddress', [value.address]);
+
+    if (!isvalid) {
+      throw new ApiError(400, HTTP_ERR_CODES[400], 'Invalid address');
+    }
+  }
+
+  const now = new Date().toISOString();
+  const subscription = {
+    id: randomUUID(),
+    url: value.url,
+    address: value.address ?? null,
+    txid: value.txid?.toLowerCase() ?? null,
+    confirmations: value.confirmations,
+    secret: value.secret,
+    active: value.active,
+    matches: [],
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+
+  await webhookStore.addSubscription(subscription);
+  webhookWatcher.track(subscription);
+
+  return res.status(201).json({
+    success: true,
+    data: toPublic(subscription),
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     tags:
+ *     - Webhooks
+ *     summary: List webhook subscriptions
+ *     responses:
+ *       200:
+ *         description: Subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ */
+export const listWebhooks = expressAsyncHandler(async (req, res, next) => {
+  return res.status(200).json({
+    success: true,
+    data: webhookStore.listSubscriptions().map(toPublic),
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   get:
+ *     tags:
+ *     - Webhooks
+ *     summary: Get a webhook subscription
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getWebhook = expressAsyncHandler(async (req, res, next) => {
+  return res.status(200).json({
+    success: true,
+    data: toPublic(findSubscription(req.params.id)),
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   patch:
+ *     tags:
+ *     - Webhooks
+ *     summary: Update a webhook subscription
+ *     description: The watched address or txid cannot be changed; register a new subscription instead.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               confirmations:
+ *                 type: integer
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Request validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const updateWebhook = expressAsyncHandler(async (req, res, next) => {
+  const subscription = findSubscription(req.params.id);
+  const value = validate(Joi.object(fields).min(1), req.body);
+
+  Object.assign(subscription, value, { updatedAt: new Date().toISOString() });
+
+  await webhookStore.save();
+  webhookWatcher.track(subscription);
+
+  return res.status(200).json({
+    success: true,
+    data: toPublic(subscription),
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     tags:
+ *     - Webhooks
+ *     summary: Delete a webhook subscription
+ *     description: Pending deliveries of the subscription are abandoned.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const deleteWebhook = expressAsyncHandler(async (req, res, next) => {
+  const subscription = findSubscription(req.params.id);
+
+  await webhookStore.removeSubscription(subscription.id);
+  webhookWatcher.refresh();
+
+  return res.status(200).json({
+    success: true,
+    data: toPublic(subscription),
+  });
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     tags:
+ *     - Webhooks
+ *     summary: Get the delivery log of a webhook subscription
+ *     description: Newest first. Each delivery lists its attempts with the response status code or error.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       event:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       data:
+ *                         type: object
+ *                       attempts:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       created_at:
+ *                         type: string
+ *                       next_attempt_at:
+ *                         type: string
+ *                         nullable: true
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+export const getWebhookDeliveries = expressAsyncHandler(
+  async (req, res, next) => {
+    const subscription = findSubscription(req.params.id);
+    const { status } = validate(
+      Joi.object({
+        status: Joi.string().valid('pending', 'delivered', 'failed'),
+      }),
+      req.query
+    );
+
+    const deliveries = webhookStore
+      .listDeliveries(subscription.id)
+      .filter((delivery) => !status || delivery.status === status)
+      .reverse();
+
+    return res.status(200).json({
+      success: true,
+      data: deliveries,
+    });
+  }
+);
@@ -0,0 +1,16 @@
+/**
+ * Minimal environment for modules that load config/envConf.js. Import it
+ * before them; nothing connects to the node until it is started.
+ */
+const defaults = {
+  PORT: '3000',
+  CORS_CONFIG: '{}',
+  SWAGGER_SERVERS: 'http://localhost:3000',
+  SELF_HOSTED_BTC_HOST: 'http://127.0.0.1:18443',
+  SELF_HOSTED_BTC_USERNAME: 'test',
+  SELF_HOSTED_BTC_PASSWORD: 'test',
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  process.env[name] ??= value;
+}
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import ApiError from '../../errors/ApiError.js';
+import { parseRpcError } from '../../errors/rpc.js';
+import {
+  broadcastError,
+  parseRejectReason,
+} from '../../errors/rejectReasons.js';
+
+// reject reasons (testmempoolaccept) and sendrawtransaction messages, several
+// of them matched by more than one entry
+const cases = [
+  ['max-fee-exceeded', 'MAX_FEE_EXCEEDED'],
+  [
+    'Fee exceeds maximum configured by user (e.g. -maxtxfee, maxfeerate)',
+    'MAX_FEE_EXCEEDED',
+  ],
+  ['min relay fee not met', 'INSUFFICIENT_FEE'],
+  ['mempool min fee not met', 'INSUFFICIENT_FEE'],
+  [
+    'insufficient fee, rejecting replacement 5f2b3c, less fees than conflicting txs; 0.00001 < 0.00002',
+    'INSUFFICIENT_FEE',
+  ],
+  ['bad-txns-inputs-missingorspent', 'MISSING_INPUTS'],
+  ['txn-already-in-mempool', 'ALREADY_IN_MEMPOOL'],
+  ['txn-already-known', 'ALREADY_IN_MEMPOOL'],
+  ['Transaction already in block chain', 'TX_ALREADY_IN_CHAIN'],
+  ['Transaction outputs already in utxo set', 'TX_ALREADY_IN_CHAIN'],
+  ['txn-mempool-conflict', 'MEMPOOL_CONFLICT'],
+  ['bip125-replacement-disallowed', 'MEMPOOL_CONFLICT'],
+  ['replacement-adds-unconfirmed', 'MEMPOOL_CONFLICT'],
+  ['too many potential replacements', 'MEMPOOL_CONFLICT'],
+  [
+    'too-long-mempool-chain, too many unconfirmed ancestors [limit: 25]',
+    'MEMPOOL_CHAIN_LIMIT',
+  ],
+  ['package-mempool-limits', 'MEMPOOL_CHAIN_LIMIT'],
+  ['non-final', 'NON_FINAL'],
+  ['non-BIP68-final', 'NON_FINAL'],
+  [
+    'mandatory-script-verify-flag-failed (Witness version reserved for soft-fork upgrades)',
+    'SCRIPT_VERIFY_FAILED',
+  ],
+  [
+    'non-mandatory-script-verify-flag (Witness program hash mismatch)',
+    'NON_STANDARD',
+  ],
+  ['version', 'NON_STANDARD'],
+  ['dust', 'NON_STANDARD'],
+  ['tx-size-small', 'NON_STANDARD'],
+  ['scriptpubkey', 'NON_STANDARD'],
+  ['bad-txns-nonstandard-inputs', 'NON_STANDARD'],
+  ['package-not-sorted', 'PACKAGE_REJECTED'],
+  [
+    'bad-txns-in-belowout, value in (0.01) < value out (0.02)',
+    'INVALID_TRANSACTION',
+  ],
+  ['bad-txns-premature-spend-of-coinbase', 'INVALID_TRANSACTION'],
+  ['something new', 'TX_REJECTED'],
+];
+
+describe('parseRejectReason', () => {
+  for (const [reason, code] of cases) {
+    it(`maps "${reason}" to ${code}`, () => {
+      assert.equal(parseRejectReason(reason).code, code);
+    });
+  }
+});
+
+describe('broadcastError', () => {
+  const failed = (code, message) =>
+    broadcastError(parseRpcError({ code, message }, 'sendrawtransaction'), {
+      txid: 'ab',
+    });
+
+  it('maps refused transactions to reject errors', () => {
+    for (const [rpcCode, message, status, code] of [
+      [-25, 'bad-txns-inputs-missingorspent', 422, 'MISSING_INPUTS'],
+      [-26, 'txn-mempool-conflict', 409, 'MEMPOOL_CONFLICT'],
+      [-27, 'Transaction already in block chain', 409, 'TX_ALREADY_IN_CHAIN'],
+      [
+        -27,
+        'Transaction outputs already in utxo set',
+        409,
+        'TX_ALREADY_IN_CHAIN',
+      ],
+    ]) {
+      const error = failed(rpcCode, message);
+
+      assert.ok(error instanceof ApiError);
+      assert.equal(error.status, status);
+      assert.equal(error.code, code);
+      assert.deepEqual(error.details, { txid: 'ab', reason: message });
+    }
+  });
+
+  it('passes other errors on', () => {
+    const error = failed(-22, 'TX decode failed');
+
+    assert.equal(error.code, 'DECODE_FAILED');
+    assert.equal(error.details.rpcCode, -22);
+  });
+});
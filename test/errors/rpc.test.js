@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseRpcError } from '../../errors/rpc.js';
+
+// node errors as returned by Bitcoin Core, and the API errors they become
+const cases = [
+  [-1, 'Block not available (pruned data)', 410, 'BLOCK_PRUNED'],
+  [
+    -1,
+    'Index is not enabled for filtertype basic',
+    501,
+    'BLOCK_FILTER_INDEX_DISABLED',
+  ],
+  [-1, 'Unexpected error', 502, 'NODE_ERROR'],
+  [-5, 'Block not found', 404, 'BLOCK_NOT_FOUND'],
+  [-5, 'Block hash not found', 404, 'BLOCK_NOT_FOUND'],
+  [-5, 'Transaction not in mempool', 404, 'TX_NOT_IN_MEMPOOL'],
+  [
+    -5,
+    'No such mempool transaction. Use -txindex or provide a block hash to enable blockchain transaction queries. Use gettransaction for wallet transactions.',
+    404,
+    'TX_NOT_FOUND_NO_TXINDEX',
+  ],
+  [
+    -5,
+    'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.',
+    404,
+    'TX_NOT_FOUND',
+  ],
+  [-5, 'Invalid address', 400, 'INVALID_ADDRESS_OR_KEY'],
+  [-8, 'Block height out of range', 404, 'BLOCK_HEIGHT_OUT_OF_RANGE'],
+  [
+    -8,
+    'Target block height 900000 after current tip 850000',
+    404,
+    'BLOCK_HEIGHT_OUT_OF_RANGE',
+  ],
+  [-8, 'blockhash must be of length 64', 400, 'INVALID_PARAMETER'],
+  [-25, 'bad-txns-inputs-missingorspent', 422, 'TX_MISSING_INPUTS'],
+  [-25, 'Missing inputs', 422, 'TX_MISSING_INPUTS'],
+  [-25, 'bad-txns-nonfinal', 422, 'TX_VERIFY_FAILED'],
+  [-26, 'min relay fee not met', 422, 'TX_REJECTED'],
+  [-27, 'Transaction already in block chain', 409, 'TX_ALREADY_IN_CHAIN'],
+  [-28, 'Loading block index...', 503, 'NODE_WARMING_UP'],
+  [
+    -32603,
+    'Block filters are still in the process of being indexed.',
+    503,
+    'BLOCK_FILTER_INDEX_SYNCING',
+  ],
+  [-99, 'Something new', 502, 'NODE_RPC_ERROR'],
+];
+
+describe('parseRpcError', () => {
+  for (const [rpcCode, rpcMessage, status, code] of cases) {
+    it(`maps ${rpcCode} "${rpcMessage}" to ${code}`, () => {
+      const error = parseRpcError(
+        { code: rpcCode, message: rpcMessage },
+        'getblock'
+      );
+
+      assert.equal(error.status, status);
+      assert.equal(error.code, code);
+      assert.deepEqual(error.details, {
+        method: 'getblock',
+        rpcCode,
+        rpcMessage,
+      });
+    });
+  }
+
+  it('passes the node message on when the entry has none', () => {
+    const error = parseRpcError({
+      code: -26,
+      message: 'min relay fee not met',
+    });
+    assert.equal(error.message, 'min relay fee not met');
+  });
+});
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { createRpcClient } from '../../rpc/client.js';
+import { createNodePool } from '../../rpc/pool.js';
+import { createRpcPolicy } from '../../rpc/policy.js';
+
+/**
+ * Minimal bitcoind JSON-RPC stub. `getblockcount` answers with the node's
+ * name so tests can tell which node served a call. While `stalled`, requests
+ * are accepted but never answered.
+ */
+const startStubNode = async (name, height) => {
+  const node = { name, height, stalled: false, calls: 0 };
+
+  node.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      node.calls++;
+
+      if (node.stalled) return;
+
+      const results = {
+        getblockchaininfo: { blocks: node.height, initialblockdownload: false },
+        getblockcount: name,
+        sendrawtransaction: name,
+      };
+      const answer = ({ id, method }) => ({
+        result: results[method],
+        error: null,
+        id,
+      });
+      const request = JSON.parse(body);
+
+      res.setHeader('Content-Type', 'application/json');
+      res.end(
+        JSON.stringify(
+          Array.isArray(request) ? request.map(answer) : answer(request)
+        )
+      );
+    });
+  });
+
+  await new Promise((resolve) => node.server.listen(0, '127.0.0.1', resolve));
+  node.url = `http://127.0.0.1:${node.server.address().port}`;
+
+  return node;
+};
+
+const stopStubNode = (node) =>
+  new Promise((resolve) => {
+    node.server.close(resolve);
+    node.server.closeAllConnections();
+  });
+
+const createTestPool = (nodes) => {
+  const policy = createRpcPolicy({ timeout: 200, retries: 0 });
+
+  return createNodePool({
+    nodes: nodes.map(({ name, url }) => ({
+      name,
+      client: createRpcClient({ baseURL: url, policy }),
+    })),
+  });
+};
+
+const statusOf = (pool, name) =>
+  pool.status().find((backend) => backend.name === name);
+
+describe('createNodePool', () => {
+  let primary;
+  let secondary;
+  let pool;
+
+  before(async () => {
+    primary = await startStubNode('primary', 100);
+    secondary = await startStubNode('secondary', 99);
+  });
+
+  after(async () => {
+    await Promise.all([primary, secondary].map(stopStubNode));
+  });
+
+  beforeEach(async () => {
+    primary.stalled = false;
+    pool = createTestPool([primary, secondary]);
+    await pool.checkHealth();
+  });
+
+  it('prefers the node with the best tip', async () => {
+    assert.equal(await pool.call('getblockcount'), 'primary');
+    assert.equal(statusOf(pool, 'secondary').lag, 1);
+  });
+
+  it('fails over when a node stops answering an idempotent call', async () => {
+    primary.stalled = true;
+
+    assert.equal(await pool.call('getblockcount'), 'secondary');
+    assert.equal(statusOf(pool, 'primary').healthy, false);
+    assert.match(statusOf(pool, 'primary').lastError, /timed out/);
+
+    // the unhealthy node is no longer tried first
+    const calls = primary.calls;
+    assert.equal(await pool.call('getblockcount'), 'secondary');
+    assert.equal(primary.calls, calls);
+  });
+
+  it('fails over a batch of idempotent calls', async () => {
+    primary.stalled = true;
+
+    assert.deepEqual(await pool.batch([{ method: 'getblockcount' }]), [
+      'secondary',
+    ]);
+  });
+
+  it('does not resend a timed out non-idempotent call', async () => {
+    primary.stalled = true;
+
+    await assert.rejects(pool.call('sendrawtransaction', ['00']), {
+      status: 504,
+    });
+    assert.equal(statusOf(pool, 'primary').healthy, true);
+  });
+
+  it('marks the node healthy again once it recovers', async () => {
+    primary.stalled = true;
+    await pool.call('getblockcount');
+
+    primary.stalled = false;
+    await pool.checkHealth();
+
+    assert.equal(statusOf(pool, 'primary').healthy, true);
+    assert.equal(await pool.call('getblockcount'), 'primary');
+  });
+
+  it('fails over when a node goes down', async () => {
+    const doomed = await startStubNode('doomed', 101);
+    pool = createTestPool([doomed, secondary]);
+    await pool.checkHealth();
+
+    assert.equal(await pool.call('getblockcount'), 'doomed');
+
+    await stopStubNode(doomed);
+
+    assert.equal(await pool.call('getblockcount'), 'secondary');
+    assert.equal(statusOf(pool, 'doomed').healthy, false);
+    assert.equal(statusOf(pool, 'doomed').preferred, false);
+  });
+});
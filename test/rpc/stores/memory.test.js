@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createCachedClient } from '../../../rpc/cache.js';
+import { createMemoryStore } from '../../../rpc/stores/memory.js';
+
+describe('createMemoryStore', () => {
+  it('returns a copy of the stored value on every read', async () => {
+    const store = createMemoryStore();
+    const block = { hash: 'aa', tx: [{ txid: 'bb', vout: [{ value: 1 }] }] };
+
+    await store.set('block', block);
+    block.tx[0].vout[0].value = 2;
+
+    const first = await store.get('block');
+    first.tx[0].vout.push({ value: 3 });
+
+    assert.deepEqual(await store.get('block'), {
+      hash: 'aa',
+      tx: [{ txid: 'bb', vout: [{ value: 1 }] }],
+    });
+  });
+
+  it('expires entries after their TTL', async () => {
+    const store = createMemoryStore();
+
+    await store.set('key', 1, 1);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    assert.equal(await store.get('key'), undefined);
+  });
+
+  it('evicts the least recently used entries over budget', async () => {
+    const store = createMemoryStore({ maxBytes: 12 });
+
+    await store.set('a', '1234');
+    await store.set('b', '1234');
+    await store.get('a');
+    await store.set('c', '1234');
+
+    assert.equal(await store.get('a'), '1234');
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('c'), '1234');
+  });
+});
+
+describe('createCachedClient', () => {
+  it('does not share cached results between callers', async () => {
+    const header = { hash: 'aa', height: 1, confirmations: 10, tx: ['bb'] };
+    const node = {
+      call: async (method) => (method === 'getblockcount' ? 10 : header),
+      batch: async () => [],
+    };
+    const client = createCachedClient(node, { store: createMemoryStore() });
+
+    await client.call('getblockcount');
+    (await client.call('getblock', ['aa'])).tx.push('cc');
+    (await client.call('getblock', ['aa'])).tx.push('dd');
+
+    assert.deepEqual((await client.call('getblock', ['aa'])).tx, ['bb']);
+    assert.equal(client.stats().hits, 2);
+  });
+});
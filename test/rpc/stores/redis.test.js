@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { after, before, describe, it } from 'node:test';
+import { createCachedClient } from '../../../rpc/cache.js';
+import { createRedisStore, parseReply } from '../../../rpc/stores/redis.js';
+
+const parse = (reply, offset = 0) => parseReply(Buffer.from(reply), offset);
+
+describe('parseReply', () => {
+  it('parses simple strings, errors and integers', () => {
+    assert.deepEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+    assert.deepEqual(parse(':42\r\n'), { value: 42, offset: 5 });
+
+    const { value } = parse('-ERR unknown command\r\n');
+    assert.ok(value instanceof Error);
+    assert.equal(value.message, 'ERR unknown command');
+  });
+
+  it('parses bulk strings by byte length', () => {
+    assert.deepEqual(parse('$5\r\nhello\r\n'), { value: 'hello', offset: 11 });
+    assert.deepEqual(parse('$0\r\n\r\n'), { value: '', offset: 6 });
+    assert.deepEqual(parse('$-1\r\n'), { value: null, offset: 5 });
+
+    // 2 characters, 4 bytes
+    assert.deepEqual(parse('$4\r\néé\r\n'), {
+      value: 'éé',
+      offset: 10,
+    });
+  });
+
+  it('parses nested and null arrays', () => {
+    assert.deepEqual(parse('*3\r\n:1\r\n$3\r\nfoo\r\n*1\r\n+bar\r\n'), {
+      value: [1, 'foo', ['bar']],
+      offset: 27,
+    });
+    assert.deepEqual(parse('*0\r\n'), { value: [], offset: 4 });
+    assert.deepEqual(parse('*-1\r\n'), { value: null, offset: 5 });
+  });
+
+  it('returns null for incomplete replies', () => {
+    assert.equal(parse(''), null);
+    assert.equal(parse('+OK'), null);
+    assert.equal(parse('$5\r\nhel'), null);
+    assert.equal(parse('*2\r\n:1\r\n'), null);
+  });
+
+  it('parses pipelined replies one after the other', () => {
+    const buffer = Buffer.from('+OK\r\n$3\r\nfoo\r\n');
+    const first = parseReply(buffer, 0);
+    const second = parseReply(buffer, first.offset);
+
+    assert.equal(first.value, 'OK');
+    assert.deepEqual(second, { value: 'foo', offset: buffer.length });
+  });
+
+  it('rejects unknown reply types', () => {
+    assert.throws(() => parse('!oops\r\n'), /Unexpected RESP reply type/);
+  });
+});
+
+/**
+ * In-memory Redis stub understanding GET and SET. While `stalled`, commands
+ * are read but never answered, like a server behind a link dropping packets.
+ */
+const startStubServer = async () => {
+  const server = { values: new Map(), stalled: false, sockets: new Set() };
+
+  server.tcp = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    server.sockets.add(socket);
+    socket.on('close', () => server.sockets.delete(socket));
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let command;
+      while ((command = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(command.offset);
+
+        if (server.stalled) continue;
+
+        const [name, key, value] = command.value;
+
+        if (name === 'SET') {
+          server.values.set(key, value);
+          socket.write('+OK\r\n');
+        } else if (server.values.has(key)) {
+          const stored = server.values.get(key);
+          socket.write(`$${Buffer.byteLength(stored)}\r\n${stored}\r\n`);
+        } else {
+          socket.write('$-1\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.tcp.listen(0, '127.0.0.1', resolve));
+  server.url = `redis://127.0.0.1:${server.tcp.address().port}`;
+
+  return server;
+};
+
+describe('createRedisStore', () => {
+  let server;
+
+  before(async () => {
+    server = await startStubServer();
+  });
+
+  after(() => {
+    server.sockets.forEach((socket) => socket.destroy());
+    server.tcp.close();
+  });
+
+  it('stores values as JSON', async () => {
+    const store = createRedisStore({ url: server.url, keyPrefix: 'test:' });
+
+    await store.set('block', { height: 1, tx: ['a'] });
+
+    assert.deepEqual(await store.get('block'), { height: 1, tx: ['a'] });
+    assert.equal(await store.get('missing'), undefined);
+    assert.equal(server.values.get('test:block'), '{"height":1,"tx":["a"]}');
+  });
+
+  it('fails commands the server does not answer in time', async () => {
+    const store = createRedisStore({ url: server.url, commandTimeout: 100 });
+    await store.set('key', 1);
+
+    server.stalled = true;
+    const startedAt = Date.now();
+
+    await assert.rejects(store.get('key'), /timed out after 100 ms/);
+    assert.ok(Date.now() - startedAt < 1000);
+
+    // the next command reconnects
+    server.stalled = false;
+    assert.equal(await store.get('key'), 1);
+    assert.equal(store.stats().connected, true);
+  });
+
+  it('lets the RPC cache fall through to the node when it stalls', async () => {
+    server.stalled = true;
+
+    const store = createRedisStore({ url: server.url, commandTimeout: 100 });
+    const node = { call: async () => 'hash', batch: async () => [] };
+    const client = createCachedClient(node, { store });
+
+    assert.equal(await client.call('getbestblockhash'), 'hash');
+    assert.equal(client.stats().misses, 1);
+
+    server.stalled = false;
+  });
+});
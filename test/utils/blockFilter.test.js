@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, it } from 'node:test';
+import { matchBlockFilter, sipHash } from '../../utils/blockFilter.js';
+
+// BIP158 test vectors in the format of Bitcoin Core's
+// src/test/data/blockfilters.json, after the column header row
+const [, ...vectors] = JSON.parse(
+  fs.readFileSync(new URL('../fixtures/bip158-vectors.json', import.meta.url))
+);
+
+const readVarInt = (raw, offset) => {
+  const first = raw[offset];
+
+  if (first < 0xfd) return [first, offset + 1];
+  if (first === 0xfd) return [raw.readUInt16LE(offset + 1), offset + 3];
+  if (first === 0xfe) return [raw.readUInt32LE(offset + 1), offset + 5];
+  return [Number(raw.readBigUInt64LE(offset + 1)), offset + 9];
+};
+
+// output scriptPubKeys of every transaction of a serialized block
+const outputScripts = (blockHex) => {
+  const raw = Buffer.from(blockHex, 'hex');
+  const scripts = [];
+  let offset = 80;
+  let txCount;
+
+  [txCount, offset] = readVarInt(raw, offset);
+
+  for (let t = 0; t < txCount; t++) {
+    let count;
+    let length;
+
+    offset += 4;
+    const segwit = raw[offset] === 0 && raw[offset + 1] === 1;
+    if (segwit) offset += 2;
+
+    [count, offset] = readVarInt(raw, offset);
+    const inputs = count;
+    for (let i = 0; i < inputs; i++) {
+      [length, offset] = readVarInt(raw, offset + 36);
+      offset += length + 4;
+    }
+
+    [count, offset] = readVarInt(raw, offset);
+    for (let i = 0; i < count; i++) {
+      [length, offset] = readVarInt(raw, offset + 8);
+      scripts.push(raw.toString('hex', offset, offset + length));
+      offset += length;
+    }
+
+    if (segwit) {
+      for (let i = 0; i < inputs; i++) {
+        [count, offset] = readVarInt(raw, offset);
+        for (let j = 0; j < count; j++) {
+          [length, offset] = readVarInt(raw, offset);
+          offset += length;
+        }
+      }
+    }
+
+    offset += 4;
+  }
+
+  return scripts;
+};
+
+describe('sipHash', () => {
+  // reference vectors of the SipHash paper, key 00 01 .. 0f
+  const k0 = 0x0706050403020100n;
+  const k1 = 0x0f0e0d0c0b0a0908n;
+  const message = (length) => Buffer.from([...Array(length).keys()]);
+
+  it('matches the SipHash-2-4 reference vectors', () => {
+    assert.equal(sipHash(k0, k1, message(0)), 0x726fdb47dd0e0e31n);
+    assert.equal(sipHash(k0, k1, message(8)), 0x93f5f5799a932462n);
+    assert.equal(sipHash(k0, k1, message(15)), 0xa129ca6149be45e5n);
+  });
+});
+
+describe('matchBlockFilter', () => {
+  for (const [
+    height,
+    blockhash,
+    block,
+    prevScripts,
+    ,
+    filter,
+    ,
+    notes,
+  ] of vectors) {
+    it(`matches every script of BIP158 vector ${height} (${notes})`, () => {
+      // empty scripts and OP_RETURN outputs are left out of basic filters
+      const scripts = [...outputScripts(block), ...prevScripts].filter(
+        (script) => script && !script.startsWith('6a')
+      );
+
+      assert.deepEqual(
+        matchBlockFilter({ filter, blockhash, scripts }),
+        scripts
+      );
+    });
+  }
+
+  it('does not match scripts that are not in the block', () => {
+    const [, blockhash, , , , filter] = vectors[0];
+    const scripts = ['0014' + '00'.repeat(20), '76a914' + '11'.repeat(20)];
+
+    assert.deepEqual(matchBlockFilter({ filter, blockhash, scripts }), []);
+  });
+
+  it('matches nothing against an empty filter', () => {
+    const [, blockhash, block] = vectors[0];
+
+    assert.deepEqual(
+      matchBlockFilter({
+        filter: '00',
+        blockhash,
+        scripts: outputScripts(block),
+      }),
+      []
+    );
+  });
+});
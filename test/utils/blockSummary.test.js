@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fetchBlockSummaries } from '../../utils/blockSummary.js';
+
+describe('fetchBlockSummaries', () => {
+  it('limits the getblockstats calls in flight and keeps the order', async () => {
+    const hashes = Array.from({ length: 20 }, (_, i) => String(i));
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const rpc = {
+      batch: async (calls) =>
+        calls.map(({ params: [hash] }) => ({ hash, height: Number(hash) })),
+      call: async (method, [hash]) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(setImmediate);
+        inFlight--;
+
+        // pruned
+        if (hash === '3') throw new Error('Block not available (pruned data)');
+        return { txs: Number(hash) };
+      },
+    };
+
+    const summaries = await fetchBlockSummaries(rpc, hashes);
+
+    assert.ok(maxInFlight <= 4, `${maxInFlight} calls in flight`);
+    assert.deepEqual(
+      summaries.map(({ height, stats }) => [height, stats?.txs ?? null]),
+      hashes.map((hash) => [Number(hash), hash === '3' ? null : Number(hash)])
+    );
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  cpfpChildFee,
+  rbfReplacementFee,
+  toSatPerVbyte,
+} from '../../utils/feeBump.js';
+
+describe('toSatPerVbyte', () => {
+  it('converts BTC/kvB to sat/vB', () => {
+    assert.equal(toSatPerVbyte(0.00001), 1);
+    assert.equal(toSatPerVbyte(0.00012345), 12.345);
+    assert.equal(toSatPerVbyte(0.0002), 20);
+  });
+});
+
+describe('cpfpChildFee', () => {
+  it('brings the package up to the target fee rate', () => {
+    assert.deepEqual(
+      cpfpChildFee({
+        ancestorFee: 1410,
+        ancestorVsize: 141,
+        childVsize: 110,
+        targetFeeRate: 20,
+        minRelayFeeRate: 1,
+      }),
+      { fee: 3610, feeRate: 32.82, packageFeeRate: 20 }
+    );
+  });
+
+  it('pays at least the min relay fee when the parent already pays enough', () => {
+    assert.deepEqual(
+      cpfpChildFee({
+        ancestorFee: 10000,
+        ancestorVsize: 100,
+        childVsize: 110,
+        targetFeeRate: 20,
+        minRelayFeeRate: 1,
+      }),
+      { fee: 110, feeRate: 1, packageFeeRate: 48.14 }
+    );
+  });
+});
+
+describe('rbfReplacementFee', () => {
+  const transaction = {
+    fee: 1000,
+    vsize: 200,
+    descendantFee: 3000,
+    descendantCount: 3,
+    replacementVsize: 200,
+    targetFeeRate: 1,
+    incrementalRelayFeeRate: 1,
+  };
+
+  it('pays for everything it evicts plus its own relay (rules 3 and 4)', () => {
+    assert.deepEqual(rbfReplacementFee(transaction), {
+      possible: true,
+      fee: 3200,
+      feeRate: 16,
+    });
+  });
+
+  it('pays a higher fee rate than the transaction (rule 6)', () => {
+    assert.deepEqual(
+      rbfReplacementFee({
+        ...transaction,
+        fee: 10000,
+        vsize: 100,
+        descendantFee: 10000,
+        descendantCount: 1,
+        replacementVsize: 300,
+      }),
+      { possible: true, fee: 30001, feeRate: 100 }
+    );
+  });
+
+  it('reaches the target fee rate', () => {
+    assert.deepEqual(rbfReplacementFee({ ...transaction, targetFeeRate: 50 }), {
+      possible: true,
+      fee: 10000,
+      feeRate: 50,
+    });
+  });
+
+  it('is impossible when it would evict more than 100 transactions (rule 5)', () => {
+    assert.equal(
+      rbfReplacementFee({ ...transaction, descendantCount: 100 }).possible,
+      true
+    );
+    assert.equal(
+      rbfReplacementFee({ ...transaction, descendantCount: 101 }).possible,
+      false
+    );
+  });
+});
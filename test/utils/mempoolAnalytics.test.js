@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  confirmationTimeRange,
+  feeHistogram,
+  projectBlocks,
+} from '../../utils/mempoolAnalytics.js';
+
+// verbose mempool entries from [txid, fee (sat), vsize, parents]
+const mempool = (txs) =>
+  new Map(
+    txs.map(([txid, fee, vsize, depends = []]) => [
+      txid,
+      { fees: { base: fee / 1e8, modified: fee / 1e8 }, vsize, depends },
+    ])
+  );
+
+describe('projectBlocks', () => {
+  it('pulls a low fee parent in with its child at the package rate', () => {
+    const entries = mempool([
+      ['parent', 200, 200],
+      ['child', 20000, 200, ['parent']],
+      ['other', 6000, 200],
+    ]);
+
+    const { blocks, positions } = projectBlocks(entries);
+
+    assert.deepEqual(positions.get('parent'), { block: 0, feeRate: 50.5 });
+    assert.deepEqual(positions.get('child'), { block: 0, feeRate: 50.5 });
+    assert.deepEqual(positions.get('other'), { block: 0, feeRate: 30 });
+    assert.deepEqual(blocks, [
+      {
+        index: 0,
+        txCount: 3,
+        vsize: 600,
+        totalFees: 0.000262,
+        feeRange: { min: 30, max: 50.5 },
+        medianFee: 50.5,
+      },
+    ]);
+  });
+
+  it('takes a parent paying more on its own first, its child later', () => {
+    const entries = mempool([
+      ['parent', 10000, 200],
+      ['child', 400, 200, ['parent']],
+      ['other', 1000, 200],
+    ]);
+
+    const { positions } = projectBlocks(entries, { maxBlockVsize: 400 });
+
+    assert.deepEqual(positions.get('parent'), { block: 0, feeRate: 50 });
+    assert.deepEqual(positions.get('other'), { block: 0, feeRate: 5 });
+    assert.deepEqual(positions.get('child'), { block: 1, feeRate: 2 });
+  });
+
+  it('defers a package that does not fit to the next block', () => {
+    const entries = mempool([
+      ['a', 6000, 600],
+      ['b', 5400, 600],
+      ['c', 2400, 300],
+    ]);
+
+    const { blocks, positions } = projectBlocks(entries, {
+      maxBlockVsize: 1000,
+    });
+
+    // b does not fit after a, c (lower rate) still does
+    assert.equal(positions.get('a').block, 0);
+    assert.equal(positions.get('c').block, 0);
+    assert.deepEqual(positions.get('b'), { block: 1, feeRate: 9 });
+    assert.deepEqual(
+      blocks.map(({ txCount, vsize }) => ({ txCount, vsize })),
+      [
+        { txCount: 2, vsize: 900 },
+        { txCount: 1, vsize: 600 },
+      ]
+    );
+  });
+
+  it('ignores parents that are no longer in the mempool', () => {
+    const entries = mempool([['child', 1000, 100, ['mined']]]);
+
+    assert.deepEqual(projectBlocks(entries).positions.get('child'), {
+      block: 0,
+      feeRate: 10,
+    });
+  });
+
+  it('projects an empty mempool to no blocks', () => {
+    assert.deepEqual(projectBlocks(new Map()), {
+      blocks: [],
+      positions: new Map(),
+    });
+  });
+});
+
+describe('feeHistogram', () => {
+  it('counts transactions by effective fee rate', () => {
+    const entries = mempool([
+      ['parent', 200, 200],
+      ['child', 20000, 200, ['parent']],
+      ['cheap', 100, 200],
+      ['mid', 1000, 100],
+    ]);
+    const { positions } = projectBlocks(entries);
+
+    assert.deepEqual(feeHistogram(entries, positions, [1, 10, 50]), [
+      { from: 1, to: 10, count: 0, vsize: 0, totalFees: 0 },
+      { from: 10, to: 50, count: 1, vsize: 100, totalFees: 0.00001 },
+      { from: 50, to: null, count: 2, vsize: 400, totalFees: 0.000202 },
+    ]);
+  });
+});
+
+describe('confirmationTimeRange', () => {
+  it('gives the exponential quantiles for the next block', () => {
+    // -ln(0.9) * 600 and -ln(0.1) * 600
+    assert.deepEqual(confirmationTimeRange(1, 600), {
+      expected: 600,
+      low: 63,
+      high: 1382,
+    });
+  });
+
+  it('narrows relative to the expectation as blocks add up', () => {
+    const { expected, low, high } = confirmationTimeRange(6, 600);
+
+    assert.equal(expected, 3600);
+    // Erlang(6) 10% and 90% quantiles: 3.1519 and 9.2747 intervals
+    assert.equal(low, Math.round(3.1519 * 600));
+    assert.equal(high, Math.round(9.2747 * 600));
+  });
+
+  it('takes custom quantiles and stays finite for long waits', () => {
+    const { low, high } = confirmationTimeRange(1000, 600, {
+      low: 0.5,
+      high: 0.99,
+    });
+
+    // Erlang(k) median is close to k - 1/3, its 99% quantile to
+    // k + 2.33 * sqrt(k)
+    assert.equal(low, Math.round((1000 - 1 / 3) * 600));
+    assert.ok(high > 1070 * 600 && high < 1080 * 600);
+  });
+});
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, it } from 'node:test';
+import {
+  buildMerkleBranch,
+  computeMerkleRoot,
+  parseBlockHeader,
+  parseTxOutProof,
+  serializeBlockHeader,
+  verifyMerkleProof,
+} from '../../utils/merkle.js';
+
+// mainnet block 100000 with `gettxoutproof` proofs for some of its txids
+const block = JSON.parse(
+  fs.readFileSync(new URL('../fixtures/block-100000.json', import.meta.url))
+);
+
+const MERKLE_ROOT =
+  'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766';
+
+// replace the byte at `index` of a hex string
+const corrupt = (hex, index) =>
+  `${hex.slice(0, 2 * index)}${
+    hex.slice(2 * index, 2 * index + 2) === 'ff' ? '00' : 'ff'
+  }${hex.slice(2 * index + 2)}`;
+
+describe('parseBlockHeader', () => {
+  it('parses and re-serializes a mainnet header', () => {
+    const header = parseBlockHeader(block.header);
+
+    assert.equal(header.hash, block.hash);
+    assert.equal(header.merkleroot, MERKLE_ROOT);
+    assert.equal(header.version, 1);
+    assert.equal(header.time, 1293623863);
+    assert.equal(header.bits, '1b04864c');
+    assert.equal(header.nonce, 274148111);
+    assert.equal(serializeBlockHeader(header), block.header);
+  });
+});
+
+describe('buildMerkleBranch', () => {
+  it('hashes every txid of a block up to its merkle root', () => {
+    block.tx.forEach((txid, index) => {
+      const { siblings, merkleRoot } = buildMerkleBranch(block.tx, index);
+
+      assert.equal(merkleRoot, MERKLE_ROOT);
+      assert.equal(siblings.length, 2);
+      assert.equal(computeMerkleRoot(txid, siblings), MERKLE_ROOT);
+    });
+  });
+
+  it('pairs the last hash with itself on odd levels', () => {
+    const txids = block.tx.slice(0, 3);
+    const { merkleRoot } = buildMerkleBranch(txids, 0);
+    const last = buildMerkleBranch(txids, 2);
+
+    assert.deepEqual(last.siblings[0], { hash: txids[2], position: 'right' });
+    assert.equal(last.merkleRoot, merkleRoot);
+    assert.equal(computeMerkleRoot(txids[2], last.siblings), merkleRoot);
+  });
+
+  it('has no siblings for a single transaction block', () => {
+    assert.deepEqual(buildMerkleBranch([block.tx[0]], 0), {
+      siblings: [],
+      merkleRoot: block.tx[0],
+    });
+  });
+});
+
+describe('parseTxOutProof', () => {
+  it('extracts the branch of every proven transaction', () => {
+    for (const { txids, hex } of block.txoutproofs) {
+      const { header, totalTransactions, proofs } = parseTxOutProof(hex);
+
+      assert.equal(header.hash, block.hash);
+      assert.equal(totalTransactions, block.tx.length);
+      assert.deepEqual(
+        proofs.map(({ txid }) => txid),
+        txids
+      );
+
+      for (const proof of proofs) {
+        const index = block.tx.indexOf(proof.txid);
+
+        assert.equal(proof.index, index);
+        assert.equal(proof.merkleRoot, MERKLE_ROOT);
+        assert.deepEqual(
+          proof.siblings,
+          buildMerkleBranch(block.tx, index).siblings
+        );
+      }
+    }
+  });
+
+  it('rejects proofs that do not hash to the header merkle root', () => {
+    const { hex } = block.txoutproofs[0];
+
+    // first byte of the first hash
+    assert.throws(
+      () => parseTxOutProof(corrupt(hex, 85)),
+      /does not match the header merkle root/
+    );
+  });
+
+  it('rejects truncated proofs and leftover data', () => {
+    const { hex } = block.txoutproofs[0];
+
+    assert.throws(() => parseTxOutProof(hex.slice(0, 160)), /too short/);
+    assert.throws(() => parseTxOutProof(hex.slice(0, -4)), /truncated/);
+    assert.throws(
+      () => parseTxOutProof(`${hex.slice(0, -4)}020d00`),
+      /unused hashes or flags/
+    );
+  });
+});
+
+describe('verifyMerkleProof', () => {
+  const [proof] = parseTxOutProof(block.txoutproofs[0].hex).proofs;
+
+  it('accepts a branch against the header hex or fields', () => {
+    for (const header of [block.header, parseBlockHeader(block.header)]) {
+      const result = verifyMerkleProof({
+        txid: proof.txid,
+        siblings: proof.siblings,
+        header,
+        blockhash: block.hash,
+      });
+
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.checks, {
+        merkleRoot: true,
+        proofOfWork: true,
+        blockhash: true,
+      });
+    }
+  });
+
+  it('compares the expected block hash case-insensitively', () => {
+    const result = verifyMerkleProof({
+      txid: proof.txid,
+      siblings: proof.siblings,
+      header: block.header,
+      blockhash: block.hash.toUpperCase(),
+    });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.checks.blockhash, true);
+  });
+
+  it('rejects a branch for another transaction', () => {
+    const result = verifyMerkleProof({
+      txid: block.tx[0],
+      siblings: proof.siblings,
+      header: block.header,
+    });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.checks.merkleRoot, false);
+    assert.equal(result.checks.blockhash, null);
+  });
+
+  it('rejects a header without enough work or for another block', () => {
+    // nonce changed, so the hash no longer meets the target
+    const result = verifyMerkleProof({
+      txid: proof.txid,
+      siblings: proof.siblings,
+      header: corrupt(block.header, 79),
+      blockhash: block.hash,
+    });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.checks.merkleRoot, true);
+    assert.equal(result.checks.proofOfWork, false);
+    assert.equal(result.checks.blockhash, false);
+  });
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { resolvePrevouts, summarizeValues } from '../../utils/transactions.js';
+
+describe('resolvePrevouts', () => {
+  it('looks up a bounded number of inputs at a time, in input order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const rpc = {
+      call: async (method, [txid, vout]) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        inFlight--;
+
+        return { coinbase: false, value: vout / 1e8, scriptPubKey: { txid } };
+      },
+    };
+
+    const tx = {
+      vin: Array.from({ length: 1000 }, (_, vout) => ({ txid: 'aa', vout })),
+      vout: [{ value: 0 }],
+      vsize: 100,
+    };
+
+    const { vin } = await resolvePrevouts(rpc, tx);
+
+    assert.ok(maxInFlight <= 8, `${maxInFlight} lookups at once`);
+    assert.deepEqual(
+      vin.map(({ prevout }) => prevout.value),
+      tx.vin.map(({ vout }) => vout / 1e8)
+    );
+    assert.equal(summarizeValues({ ...tx, vin }).fee, 0.004995);
+  });
+
+  it('leaves coinbase inputs and known prevouts alone', async () => {
+    const rpc = {
+      call: async () => assert.fail('no lookup expected'),
+    };
+    const vin = [{ coinbase: '03' }, { txid: 'aa', vout: 0, prevout: {} }];
+
+    assert.deepEqual((await resolvePrevouts(rpc, { vin })).vin, vin);
+  });
+});
@@ -0,0 +1,215 @@
+import '../env.js';
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createBlockWatcher } from '../../watchers/blockWatcher.js';
+import { chainEvents } from '../../watchers/chainEvents.js';
+
+const hashOf = (height, branch = 'a') =>
+  `${branch}${String(height).padStart(63, '0')}`;
+
+/**
+ * Fake node knowing blocks of several branches. `a` runs from genesis to
+ * the starting tip, other branches fork off it.
+ */
+const createFakeNode = (tipHeight) => {
+  const node = { headers: new Map() };
+
+  node.mine = (height, branch = 'a', parent = branch) => {
+    const hash = hashOf(height, branch);
+    node.headers.set(hash, {
+      hash,
+      height,
+      previousblockhash: height ? hashOf(height - 1, parent) : undefined,
+    });
+    node.best = hash;
+    return hash;
+  };
+
+  for (let height = 0; height <= tipHeight; height++) {
+    node.mine(height);
+  }
+
+  const handlers = {
+    getbestblockhash: () => node.best,
+    getblockheader: ([hash]) => node.headers.get(hash),
+    getblockstats: () => ({}),
+    getblockhash: ([height]) => {
+      let header = node.headers.get(node.best);
+      while (header.height > height) {
+        header = node.headers.get(header.previousblockhash);
+      }
+      return header.hash;
+    },
+  };
+
+  const call = async (method, params) => handlers[method](params);
+
+  node.rpc = {
+    call,
+    batch: (calls) =>
+      Promise.all(calls.map(({ method, params }) => call(method, params))),
+  };
+
+  return node;
+};
+
+let watcher = null;
+let events = [];
+
+const record = (type) => (data) => events.push({ type, data });
+const onReorg = record('reorg');
+const onBlock = record('block');
+
+// watcher following the node's tip, `connect` announces a new one
+const watch = async (node, options = {}) => {
+  let onHashBlock = null;
+
+  watcher = createBlockWatcher({
+    rpc: node.rpc,
+    hashBlockEndpoint: 'tcp://test',
+    rawTxEndpoint: 'tcp://test',
+    subscribe: (endpoint, topic, onMessage) => {
+      if (topic === 'hashblock') onHashBlock = onMessage;
+      return () => {};
+    },
+    ...options,
+  });
+
+  events = [];
+  chainEvents.on('reorg', onReorg);
+  chainEvents.on('block', onBlock);
+  watcher.start();
+  await watcher.replay(Infinity);
+
+  return (hash) => {
+    node.best = hash;
+    return onHashBlock(Buffer.from(hash, 'hex'));
+  };
+};
+
+afterEach(() => {
+  watcher.stop();
+  chainEvents.off('reorg', onReorg);
+  chainEvents.off('block', onBlock);
+});
+
+const refs = (blocks) => blocks.map(({ hash }) => hash);
+
+const summary = (events) =>
+  events.map(({ type, data }) =>
+    type === 'block'
+      ? ['block', data.hash]
+      : [
+          'reorg',
+          data.forkPoint.hash,
+          refs(data.disconnected),
+          refs(data.connected),
+          data.depth,
+        ]
+  );
+
+describe('block watcher reorgs', () => {
+  it('emits new blocks extending the tip', async () => {
+    const node = createFakeNode(100);
+    const connect = await watch(node);
+
+    node.mine(101);
+    await connect(node.mine(102));
+
+    assert.deepEqual(summary(events), [
+      ['block', hashOf(101)],
+      ['block', hashOf(102)],
+    ]);
+  });
+
+  it('reports a 1-block reorg', async () => {
+    const node = createFakeNode(100);
+    const connect = await watch(node);
+
+    await connect(node.mine(101));
+    await connect(node.mine(101, 'b', 'a'));
+
+    assert.deepEqual(summary(events), [
+      ['block', hashOf(101)],
+      ['reorg', hashOf(100), [hashOf(101)], [hashOf(101, 'b')], 1],
+      ['block', hashOf(101, 'b')],
+    ]);
+  });
+
+  it('reports a 2-block reorg to a longer chain', async () => {
+    const node = createFakeNode(100);
+    const connect = await watch(node);
+
+    await connect(node.mine(101));
+    await connect(node.mine(102));
+    events = [];
+
+    node.mine(101, 'b', 'a');
+    node.mine(102, 'b');
+    await connect(node.mine(103, 'b'));
+
+    assert.deepEqual(summary(events), [
+      [
+        'reorg',
+        hashOf(100),
+        [hashOf(101), hashOf(102)],
+        [hashOf(101, 'b'), hashOf(102, 'b'), hashOf(103, 'b')],
+        2,
+      ],
+      ['block', hashOf(101, 'b')],
+      ['block', hashOf(102, 'b')],
+      ['block', hashOf(103, 'b')],
+    ]);
+    assert.deepEqual(refs(await watcher.replay(100)), [
+      hashOf(101, 'b'),
+      hashOf(102, 'b'),
+      hashOf(103, 'b'),
+    ]);
+  });
+
+  it('reports a reorg to a shorter chain', async () => {
+    const node = createFakeNode(100);
+    const connect = await watch(node);
+
+    await connect(node.mine(101));
+    await connect(node.mine(102));
+    events = [];
+
+    await connect(node.mine(101, 'b', 'a'));
+
+    assert.deepEqual(summary(events), [
+      ['reorg', hashOf(100), [hashOf(101), hashOf(102)], [hashOf(101, 'b')], 2],
+      ['block', hashOf(101, 'b')],
+    ]);
+  });
+
+  it('reports a rollback to an ancestor (invalidateblock)', async () => {
+    const node = createFakeNode(100);
+    const connect = await watch(node);
+
+    await connect(node.mine(101));
+    await connect(node.mine(102));
+    events = [];
+
+    await connect(hashOf(100));
+
+    assert.deepEqual(summary(events), [
+      ['reorg', hashOf(100), [hashOf(101), hashOf(102)], [], 2],
+    ]);
+    assert.deepEqual(watcher.tip(), { hash: hashOf(100), height: 100 });
+    assert.deepEqual(refs(await watcher.replay(99)), [hashOf(100)]);
+  });
+
+  it('only emits the new tip when the fork is beyond historySize', async () => {
+    const node = createFakeNode(100);
+    const connect = await watch(node, { historySize: 3 });
+
+    node.mine(98, 'b', 'a');
+    for (let height = 99; height <= 102; height++) {
+      node.mine(height, 'b');
+    }
+    await connect(hashOf(102, 'b'));
+
+    assert.deepEqual(summary(events), [['block', hashOf(102, 'b')]]);
+  });
+});
@@ -0,0 +1,194 @@
+import '../env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createMempoolMirror } from '../../watchers/mempoolMirror.js';
+
+const txid = (char) => char.repeat(64);
+
+/**
+ * Fake node mempool: `txs` maps a txid to `{ fee, inputs, rbf }`, inputs
+ * being `txid:vout` outpoints. Calls fail like bitcoind's for transactions
+ * not in the mempool.
+ */
+const createFakeNode = (sequence, txs) => {
+  const node = { sequence, txs: new Map(Object.entries(txs)) };
+
+  const get = (id) => {
+    const tx = node.txs.get(id);
+    if (!tx) throw new Error('Transaction not in mempool');
+    return tx;
+  };
+
+  const handlers = {
+    getrawmempool: () => ({
+      txids: [...node.txs.keys()],
+      mempool_sequence: node.sequence,
+    }),
+    getmempoolentry: ([id]) => {
+      const { fee, rbf = true } = get(id);
+      return { fees: { base: fee }, vsize: 200, 'bip125-replaceable': rbf };
+    },
+    getrawtransaction: ([id]) => ({
+      vin: get(id).inputs.map((outpoint) => {
+        const [prev, vout] = outpoint.split(':');
+        return { txid: prev, vout: Number(vout) };
+      }),
+    }),
+  };
+
+  const call = async (method, params) => handlers[method](params);
+
+  node.rpc = {
+    call,
+    batch: (calls) =>
+      Promise.all(calls.map(({ method, params }) => call(method, params))),
+  };
+
+  return node;
+};
+
+// ZMQ `sequence` message body
+const message = (id, label, at) => {
+  const body = Buffer.alloc(41);
+  body.write(id, 'hex');
+  body.write(label, 32);
+  body.writeBigUInt64LE(BigInt(at), 33);
+  return body;
+};
+
+// mirror fed by a fake ZMQ subscription, `notify` delivers the next message
+const createMirror = (node, options = {}) => {
+  let handler = null;
+  let number = 0;
+
+  const mirror = createMempoolMirror({
+    rpc: node.rpc,
+    refreshInterval: 0,
+    subscribe: (endpoint, topic, onMessage) => {
+      handler = onMessage;
+      return () => (handler = null);
+    },
+    ...options,
+  });
+
+  mirror.notify = (id, label, at) => handler(message(id, label, at), number++);
+  return mirror;
+};
+
+// wait for the first load and the background load of its inputs
+const load = async (mirror) => {
+  mirror.start();
+
+  for (;;) {
+    try {
+      await mirror.refresh();
+      break;
+    } catch (error) {
+      if (error.code !== 'MEMPOOL_LOADING') throw error;
+      await new Promise(setImmediate);
+    }
+  }
+
+  await new Promise(setImmediate);
+};
+
+describe('mempool mirror replacements', () => {
+  it('counts an addition right after a removal run as a replacement', async () => {
+    const node = createFakeNode(10, {
+      [txid('a')]: { fee: 0.0001, inputs: [`${txid('f')}:0`] },
+    });
+    const mirror = createMirror(node, { sequenceEndpoint: 'tcp://test' });
+    await load(mirror);
+
+    node.txs.delete(txid('a'));
+    await mirror.notify(txid('a'), 'R', 11);
+    node.txs.set(txid('b'), { fee: 0.0003, inputs: [`${txid('f')}:0`] });
+    node.sequence = 12;
+    await mirror.notify(txid('b'), 'A', 12);
+
+    const [replacement] = mirror.replacementsOf(txid('b'));
+    assert.deepEqual(
+      { ...replacement, replacedAt: undefined },
+      {
+        txid: txid('a'),
+        replacedBy: txid('b'),
+        replacedAt: undefined,
+        sequence: 12,
+        fee: 0.0001,
+        replacementFee: 0.0003,
+        feeDelta: 0.0002,
+        fullRbf: false,
+      }
+    );
+    assert.equal(mirror.evictionOf(txid('a')), undefined);
+    mirror.stop();
+  });
+
+  it('counts a conflicting addition after an unrelated one as an eviction', async () => {
+    const node = createFakeNode(10, {
+      [txid('a')]: { fee: 0.0001, inputs: [`${txid('f')}:0`] },
+    });
+    const mirror = createMirror(node, { sequenceEndpoint: 'tcp://test' });
+    await load(mirror);
+
+    node.txs.delete(txid('a'));
+    await mirror.notify(txid('a'), 'R', 11);
+    node.txs.set(txid('c'), { fee: 0.0001, inputs: [`${txid('e')}:0`] });
+    await mirror.notify(txid('c'), 'A', 12);
+    node.txs.set(txid('b'), { fee: 0.0003, inputs: [`${txid('f')}:0`] });
+    node.sequence = 13;
+    await mirror.notify(txid('b'), 'A', 13);
+
+    assert.deepEqual(mirror.replacementsOf(txid('b')), []);
+    assert.deepEqual(
+      { ...mirror.evictionOf(txid('a')), detectedAt: undefined },
+      {
+        txid: txid('a'),
+        inputsSpentBy: txid('b'),
+        detectedAt: undefined,
+        sequence: 13,
+      }
+    );
+    mirror.stop();
+  });
+
+  it('detects a replacement of a first-load transaction in a reconcile', async () => {
+    const node = createFakeNode(10, {
+      [txid('a')]: { fee: 0.0001, inputs: [`${txid('f')}:0`], rbf: false },
+    });
+    const mirror = createMirror(node);
+    await load(mirror);
+
+    node.txs.delete(txid('a'));
+    node.txs.set(txid('b'), { fee: 0.0002, inputs: [`${txid('f')}:0`] });
+    node.sequence = 12;
+    await mirror.refresh();
+
+    const [replacement] = mirror.replacementsOf(txid('a'));
+    assert.equal(replacement.replacedBy, txid('b'));
+    assert.equal(replacement.sequence, 12);
+    assert.equal(replacement.fullRbf, true);
+  });
+
+  it('counts a spend in a later reconcile as an eviction', async () => {
+    const node = createFakeNode(10, {});
+    const mirror = createMirror(node);
+    await load(mirror);
+
+    node.txs.set(txid('a'), { fee: 0.0001, inputs: [`${txid('f')}:1`] });
+    node.sequence = 11;
+    await mirror.refresh();
+
+    node.txs.delete(txid('a'));
+    node.sequence = 12;
+    await mirror.refresh();
+
+    node.txs.set(txid('b'), { fee: 0.0002, inputs: [`${txid('f')}:1`] });
+    node.sequence = 13;
+    await mirror.refresh();
+
+    assert.deepEqual(mirror.recentReplacements(), []);
+    assert.equal(mirror.evictionOf(txid('a')).inputsSpentBy, txid('b'));
+    assert.equal(mirror.evictionOf(txid('a')).sequence, 13);
+  });
+});
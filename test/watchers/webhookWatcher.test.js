@@ -0,0 +1,237 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { chainEvents } from '../../watchers/chainEvents.js';
+import { createWebhookWatcher } from '../../watchers/webhookWatcher.js';
+
+const hashOf = (height, branch = 'a') =>
+  `${branch}${String(height).padStart(63, '0')}`;
+
+const payment = (txid, ...outputs) => ({
+  txid,
+  vout: outputs.map(([address, value], n) => ({
+    n,
+    value,
+    scriptPubKey: { address },
+  })),
+});
+
+/**
+ * Fake node: `chain` is the main chain by height, `blocks` every block seen
+ * by hash (reorged out ones included), `mempool` transactions by txid.
+ */
+const createFakeNode = () => {
+  const node = { chain: [], blocks: new Map(), mempool: new Map() };
+
+  node.mine = (height, txs = [], branch = 'a') => {
+    const block = { hash: hashOf(height, branch), height, txs };
+    node.chain[height] = block;
+    node.chain.length = height + 1;
+    node.blocks.set(block.hash, block);
+    return { hash: block.hash, height };
+  };
+
+  const confirmations = ({ hash, height }) =>
+    node.chain[height]?.hash === hash ? node.chain.length - height : -1;
+
+  const handlers = {
+    getblock: ([hash]) => ({ tx: node.blocks.get(hash).txs }),
+    getblockhash: ([height]) => node.chain[height].hash,
+    getblockheader: ([hash]) => {
+      const block = node.blocks.get(hash);
+      return { height: block.height, confirmations: confirmations(block) };
+    },
+    getrawtransaction: ([txid]) => {
+      if (node.mempool.has(txid)) return node.mempool.get(txid);
+
+      const block = node.chain.find((b) =>
+        b?.txs.some((tx) => tx.txid === txid)
+      );
+      if (!block) throw new Error('No such mempool or blockchain transaction');
+      return {
+        ...block.txs.find((tx) => tx.txid === txid),
+        blockhash: block.hash,
+      };
+    },
+  };
+
+  node.rpc = { call: async (method, params) => handlers[method](params) };
+  return node;
+};
+
+const createFakeStore = (subscriptions, lastBlock) => ({
+  listSubscriptions: () => subscriptions,
+  getLastBlock: () => lastBlock,
+  setLastBlock: async (block) => {
+    lastBlock = block;
+  },
+  save: async () => {},
+});
+
+const subscription = (fields) => ({
+  id: fields.txid ?? fields.address,
+  active: true,
+  completedAt: null,
+  matches: [],
+  ...fields,
+});
+
+// every chain event handler and fake call settles within one turn
+const settle = () => new Promise(setImmediate);
+
+let watcher = null;
+
+const createWatcher = (node, subscriptions, options = {}) => {
+  const events = [];
+
+  watcher = createWebhookWatcher({
+    rpc: node.rpc,
+    store: createFakeStore(subscriptions, node.chain.at(-1)),
+    dispatcher: {
+      enqueue: async (sub, event, data) =>
+        events.push({ id: sub.id, event, data }),
+    },
+    ...options,
+  });
+  watcher.start();
+
+  return events;
+};
+
+const connect = async (block) => {
+  chainEvents.emit('block', block);
+  await settle();
+};
+
+afterEach(() => watcher?.stop());
+
+describe('webhook watcher', () => {
+  it('notifies an address payment once it reaches the confirmations threshold', async () => {
+    const node = createFakeNode();
+    node.mine(100);
+    const events = createWatcher(node, [
+      subscription({ address: 'bc1qa', confirmations: 2 }),
+    ]);
+
+    await connect(
+      node.mine(101, [
+        payment('t1', ['bc1qa', 0.1], ['bc1qother', 1], ['bc1qa', 0.2]),
+        payment('t2', ['bc1qother', 0.5]),
+      ])
+    );
+    assert.deepEqual(events, []);
+
+    await connect(node.mine(102));
+    assert.deepEqual(events, [
+      {
+        id: 'bc1qa',
+        event: 'address.received',
+        data: {
+          address: 'bc1qa',
+          txid: 't1',
+          amount: 0.3,
+          outputs: [
+            { vout: 0, value: 0.1 },
+            { vout: 2, value: 0.2 },
+          ],
+          confirmations: 2,
+          blockhash: hashOf(101),
+          blockHeight: 101,
+        },
+      },
+    ]);
+
+    await connect(node.mine(103));
+    assert.equal(events.length, 1);
+  });
+
+  it('notifies unconfirmed payments from mempool transactions', async () => {
+    const node = createFakeNode();
+    node.mine(100);
+    const events = createWatcher(node, [
+      subscription({ address: 'bc1qa', confirmations: 0 }),
+    ]);
+
+    chainEvents.emit('tx', payment('t1', ['bc1qa', 0.1]));
+    await settle();
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].data.confirmations, 0);
+    assert.equal(events[0].data.blockhash, null);
+  });
+
+  it('resets a match whose block was reorged out', async () => {
+    const node = createFakeNode();
+    node.mine(100);
+    const watched = subscription({ address: 'bc1qa', confirmations: 3 });
+    const events = createWatcher(node, [watched]);
+
+    await connect(node.mine(101, [payment('t1', ['bc1qa', 0.1])]));
+    await connect(node.mine(102));
+
+    node.mine(101, [], 'b');
+    await connect(node.mine(102, [], 'b'));
+    assert.equal(watched.matches[0].blockhash, null);
+
+    await connect(node.mine(103, [payment('t1', ['bc1qa', 0.1])], 'b'));
+    await connect(node.mine(104, [], 'b'));
+    assert.deepEqual(events, []);
+
+    await connect(node.mine(105, [], 'b'));
+    assert.equal(events.length, 1);
+    assert.equal(events[0].data.blockhash, hashOf(103, 'b'));
+    assert.equal(events[0].data.blockHeight, 103);
+  });
+
+  it('scans the blocks missed since the last one, up to catchUpLimit', async () => {
+    const node = createFakeNode();
+    node.mine(100);
+    const events = createWatcher(
+      node,
+      [subscription({ address: 'bc1qa', confirmations: 1 })],
+      { catchUpLimit: 2 }
+    );
+
+    node.mine(101, [payment('t1', ['bc1qa', 0.1])]);
+    node.mine(102, [payment('t2', ['bc1qa', 0.2])]);
+    node.mine(103);
+    await connect(node.mine(104));
+
+    assert.deepEqual(
+      events.map(({ data }) => [
+        data.txid,
+        data.blockHeight,
+        data.confirmations,
+      ]),
+      [['t2', 102, 3]]
+    );
+  });
+
+  it('completes a txid subscription once its transaction confirms', async () => {
+    const node = createFakeNode();
+    node.mine(100);
+    node.mine(101, [payment('t1', ['bc1qa', 0.1])]);
+    const watched = subscription({ txid: 't1', confirmations: 2 });
+    const events = createWatcher(node, [watched]);
+
+    await watcher.track(watched);
+    assert.deepEqual(events, []);
+    assert.equal(watched.matches[0].blockHeight, 101);
+
+    await connect(node.mine(102));
+    await connect(node.mine(103));
+
+    assert.deepEqual(events, [
+      {
+        id: 't1',
+        event: 'tx.confirmed',
+        data: {
+          txid: 't1',
+          confirmations: 2,
+          blockhash: hashOf(101),
+          blockHeight: 101,
+        },
+      },
+    ]);
+    assert.ok(watched.completedAt);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { createDispatcher, signPayload } from '../../webhooks/dispatcher.js';
+
+/**
+ * Webhook receiver answering with the next status of `statuses` (the last
+ * one repeats) and keeping the requests it got.
+ */
+const receiver = { requests: [], statuses: [] };
+
+before(async () => {
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode =
+        receiver.statuses.length > 1
+          ? receiver.statuses.shift()
+          : receiver.statuses[0];
+      res.end();
+    });
+  });
+
+  await new Promise((resolve) => receiver.server.listen(0, resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+});
+
+after(() => receiver.server.close());
+
+const subscription = () => ({
+  id: 'sub-1',
+  url: receiver.url,
+  secret: 'shh',
+});
+
+// in-memory store; `saved` resolves once the delivery is finished
+const createFakeStore = (sub) => {
+  const store = { deliveries: [], retryAt: [] };
+  let finished;
+  store.saved = new Promise((resolve) => (finished = resolve));
+
+  store.getSubscription = (id) => (id === sub.id ? sub : undefined);
+  store.addDelivery = async (delivery) => store.deliveries.push(delivery);
+  store.pendingDeliveries = () =>
+    store.deliveries.filter((d) => d.status === 'pending');
+  store.save = async () => {
+    const [delivery] = store.deliveries;
+
+    if (delivery.status === 'pending') {
+      store.retryAt.push(
+        Date.parse(delivery.nextAttemptAt) -
+          Date.parse(delivery.attempts.at(-1).at)
+      );
+    } else {
+      finished(delivery);
+    }
+  };
+
+  return store;
+};
+
+describe('webhook dispatcher', () => {
+  it('signs the snake_case body with the subscription secret', async () => {
+    receiver.requests = [];
+    receiver.statuses = [204];
+    const sub = subscription();
+    const store = createFakeStore(sub);
+    const dispatcher = createDispatcher({ store });
+
+    const queued = await dispatcher.enqueue(sub, 'tx.confirmed', {
+      txid: 't1',
+      blockHeight: 101,
+    });
+    const delivery = await store.saved;
+
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts[0].statusCode, 204);
+
+    const [{ headers, body }] = receiver.requests;
+    assert.deepEqual(JSON.parse(body), {
+      id: queued.id,
+      event: 'tx.confirmed',
+      subscription_id: 'sub-1',
+      created_at: queued.createdAt,
+      data: { txid: 't1', block_height: 101 },
+    });
+    assert.equal(headers['x-webhook-id'], queued.id);
+    assert.equal(headers['x-webhook-event'], 'tx.confirmed');
+    assert.equal(headers['x-webhook-signature'], signPayload('shh', body));
+    assert.equal(
+      headers['x-webhook-signature'],
+      `sha256=${createHmac('sha256', 'shh').update(body).digest('hex')}`
+    );
+  });
+
+  it('retries with exponential backoff, capped at retryMaxDelay', async () => {
+    receiver.requests = [];
+    receiver.statuses = [500, 502, 503, 200];
+    const sub = subscription();
+    const store = createFakeStore(sub);
+    const dispatcher = createDispatcher({
+      store,
+      retryBaseDelay: 20,
+      retryMaxDelay: 50,
+    });
+
+    await dispatcher.enqueue(sub, 'tx.confirmed', {});
+    const delivery = await store.saved;
+
+    assert.equal(delivery.status, 'delivered');
+    assert.deepEqual(
+      delivery.attempts.map(({ statusCode }) => statusCode),
+      [500, 502, 503, 200]
+    );
+
+    // each delay counts from the start of the failed attempt
+    const delays = store.retryAt.map(
+      (delay, i) => delay - delivery.attempts[i].durationMs
+    );
+    [20, 40, 50].forEach((expected, i) => {
+      assert.ok(
+        delays[i] >= expected && delays[i] <= expected + 5,
+        `retry ${i + 1} after ${delays[i]}ms, expected ${expected}ms`
+      );
+    });
+  });
+
+  it('gives up after maxAttempts', async () => {
+    receiver.requests = [];
+    receiver.statuses = [500];
+    const sub = subscription();
+    const store = createFakeStore(sub);
+    const dispatcher = createDispatcher({
+      store,
+      maxAttempts: 2,
+      retryBaseDelay: 1,
+    });
+
+    await dispatcher.enqueue(sub, 'tx.confirmed', {});
+    const delivery = await store.saved;
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.nextAttemptAt, null);
+    assert.equal(receiver.requests.length, 2);
+  });
+});
@@ -1,90 +1,77 @@
-export const advancedResults = async (model, reqQuery, alias, aliasSortBy) =>
-  new Promise(async (resolve, reject) => {
-    try {
-      let query = { ...reqQuery };
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 50;
 
-      // Sorting
-      if (query.sort_by) {
-        const sort_by = query.sort_by;
-        const sort_order = query.sort_order === 'desc' ? 'DESC' : 'ASC';
+/**
+ * Paginate over a contiguous range of integer keys, e.g. block heights.
+ *
+ * A page starts at `from` and walks `limit` keys in `direction` (`desc` by
+ * default, newest first). Out-of-range values fall back to sane defaults:
+ * `from` is clamped into `[min, max]` (and defaults to the first key in the
+ * walking direction), `limit` defaults to 25 and is capped at 50.
+ *
+ * The returned `pagination` holds the query for the next and previous page,
+ * when there is one.
+ *
+ * @param {(keys: Array<number>) => Promise<Array>} fetchItems - Loads the items of a page, in key order.
+ * @param {object} reqQuery - Request query (`from`, `limit`, `direction`).
+ * @param {object} range
+ * @param {number} range.min - Lowest key.
+ * @param {number} range.max - Highest key.
+ * @param {number} [range.maxLimit=50] - Largest page size.
+ * @returns {Promise<{ count: number, pagination: object, data: Array }>}
+ *
+ * @example
+ * const tip = await rpc.call('getblockcount');
+ * const page = await advancedResults(loadBlocks, req.query, { min: 0, max: tip });
+ * // page.pagination.next => { from: 899975, limit: 25, direction: 'desc' }
+ */
+export const advancedResults = async (
+  fetchItems,
+  reqQuery,
+  { min, max, maxLimit = MAX_LIMIT }
+) => {
+  const direction = reqQuery.direction === 'asc' ? 'asc' : 'desc';
+  const step = direction === 'asc' ? 1 : -1;
 
-        if (alias && aliasSortBy) {
-          // If alias and aliasSortBy are provided, handle aliased sorting
-          const nestedSort = {
-            model: model.associations[alias],
-            as: aliasSortBy,
-          };
-          if (!query.order) {
-            query.order = [];
-          }
-          query.order.push([nestedSort, sort_order]);
-        } else {
-          // Handle sorting by non-alias column
-          if (!query.order) {
-            query.order = [];
-          }
-          query.order.push([sort_by, sort_order]);
-        }
-      }
+  let limit = parseInt(reqQuery.limit, 10) || DEFAULT_LIMIT;
+  if (limit > maxLimit || limit <= 0) {
+    limit = DEFAULT_LIMIT;
+  }
 
-      // Handle includes (if any)
-      if (query.include) {
-        for (const include of query.include) {
-          if (include.alias && include.aliasSortBy) {
-            processQuery(include, include.alias);
-          }
-        }
-      }
+  let from = parseInt(reqQuery.from, 10);
+  if (Number.isNaN(from)) {
+    from = direction === 'asc' ? min : max;
+  }
+  from = Math.min(max, Math.max(min, from));
 
-      // Pagination
-      let page = parseInt(query.page, 10) || 1;
-      if (page <= 0) {
-        page = 1;
-      }
+  const keys = [];
+  for (let key = from; key >= min && key <= max && keys.length < limit; ) {
+    keys.push(key);
+    key += step;
+  }
 
-      let limit = parseInt(query.limit, 10) || 25;
-      if (limit > 50 || limit <= 0) {
-        limit = 25;
-      }
+  const data = keys.length ? await fetchItems(keys) : [];
 
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
+  // Pagination result
+  const pagination = {};
+  const next = from + step * limit;
+  const prev = from - step * limit;
 
-      query.offset = startIndex;
-      query.limit = limit;
+  if (next >= min && next <= max) {
+    pagination.next = { from: next, limit, direction };
+  }
 
-      // Executing query
-      const result = await model.findAndCountAll({
-        ...query,
-      });
+  if (from !== (direction === 'asc' ? min : max)) {
+    pagination.prev = {
+      from: Math.min(max, Math.max(min, prev)),
+      limit,
+      direction,
+    };
+  }
 
-      const total = Array.isArray(result.count)
-        ? result.count.length
-        : result.count;
-
-      // Pagination result
-      const pagination = {};
-
-      if (endIndex < total) {
-        pagination.next = {
-          page: page + 1,
-          limit,
-        };
-      }
-
-      if (startIndex > 0) {
-        pagination.prev = {
-          page: page - 1,
-          limit,
-        };
-      }
-
-      resolve({
-        count: total,
-        pagination,
-        data: result.rows,
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
+  return {
+    count: Math.max(0, max - min + 1),
+    pagination,
+    data,
+  };
+};
@@ -0,0 +1,171 @@
+// BIP158 basic filter parameters
+const FILTER_P = 19;
+const FILTER_M = 784931n;
+
+const MASK_64 = (1n << 64n) - 1n;
+
+const rotl = (value, bits) =>
+  ((value << bits) | (value >> (64n - bits))) & MASK_64;
+
+/**
+ * SipHash-2-4 of `data` with the 128-bit key (k0, k1).
+ *
+ * @returns {bigint} 64-bit hash.
+ */
+export const sipHash = (k0, k1, data) => {
+  let v0 = k0 ^ 0x736f6d6570736575n;
+  let v1 = k1 ^ 0x646f72616e646f6dn;
+  let v2 = k0 ^ 0x6c7967656e657261n;
+  let v3 = k1 ^ 0x7465646279746573n;
+
+  const rounds = (count) => {
+    for (let i = 0; i < count; i++) {
+      v0 = (v0 + v1) & MASK_64;
+      v1 = rotl(v1, 13n) ^ v0;
+      v0 = rotl(v0, 32n);
+      v2 = (v2 + v3) & MASK_64;
+      v3 = rotl(v3, 16n) ^ v2;
+      v0 = (v0 + v3) & MASK_64;
+      v3 = rotl(v3, 21n) ^ v0;
+      v2 = (v2 + v1) & MASK_64;
+      v1 = rotl(v1, 17n) ^ v2;
+      v2 = rotl(v2, 32n);
+    }
+  };
+
+  const compress = (word) => {
+    v3 ^= word;
+    rounds(2);
+    v0 ^= word;
+  };
+
+  const tail = data.length - (data.length % 8);
+
+  for (let offset = 0; offset < tail; offset += 8) {
+    compress(data.readBigUInt64LE(offset));
+  }
+
+  // last block: remaining bytes plus the length in the top byte
+  let last = BigInt(data.length & 0xff) << 56n;
+  for (let i = tail; i < data.length; i++) {
+    last |= BigInt(data[i]) << BigInt(8 * (i - tail));
+  }
+
+  compress(last);
+  v2 ^= 0xffn;
+  rounds(4);
+
+  return v0 ^ v1 ^ v2 ^ v3;
+};
+
+// compact size integer at `offset`, see Bitcoin Core serialize.h
+const readVarInt = (raw, offset) => {
+  const first = raw[offset];
+
+  if (first < 0xfd) return [first, offset + 1];
+  if (first === 0xfd) return [raw.readUInt16LE(offset + 1), offset + 3];
+  if (first === 0xfe) return [raw.readUInt32LE(offset + 1), offset + 5];
+  return [Number(raw.readBigUInt64LE(offset + 1)), offset + 9];
+};
+
+/**
+ * Decode the sorted set of hashed values of a serialized GCS filter
+ * (Golomb-Rice coded deltas, see BIP158).
+ *
+ * @param {Buffer} raw - Serialized filter.
+ * @returns {{ count: number, values: Array<bigint> }}
+ */
+const decodeFilter = (raw) => {
+  if (!raw.length) {
+    throw new Error('filter is empty');
+  }
+
+  const [count, start] = readVarInt(raw, 0);
+  let bit = start * 8;
+
+  const readBit = () => {
+    if (bit >= raw.length * 8) {
+      throw new Error('filter is truncated');
+    }
+
+    const value = (raw[bit >> 3] >> (7 - (bit & 7))) & 1;
+    bit++;
+    return value;
+  };
+
+  const values = [];
+  let last = 0n;
+
+  for (let i = 0; i < count; i++) {
+    let quotient = 0n;
+    while (readBit()) {
+      quotient++;
+    }
+
+    let remainder = 0n;
+    for (let j = 0; j < FILTER_P; j++) {
+      remainder = (remainder << 1n) | BigInt(readBit());
+    }
+
+    last += (quotient << BigInt(FILTER_P)) | remainder;
+    values.push(last);
+  }
+
+  return { count, values };
+};
+
+/**
+ * Test scriptPubKeys against a block's BIP158 basic filter, as returned by
+ * `getblockfilter`. Matches are probabilistic: a script that is in the block
+ * always matches, a script that is not matches with a 1/784931 chance.
+ *
+ * @param {object} options
+ * @param {string} options.filter - Serialized filter hex.
+ * @param {string} options.blockhash - Hash of the filtered block (the filter key).
+ * @param {Array<string>} options.scripts - scriptPubKey hexes.
+ * @returns {Array<string>} The scripts that match the filter.
+ *
+ * @example
+ * const { filter } = await rpc.call('getblockfilter', [blockhash, 'basic']);
+ * matchBlockFilter({ filter, blockhash, scripts: ['0014751e...'] });
+ */
+export const matchBlockFilter = ({ filter, blockhash, scripts }) => {
+  const { count, values } = decodeFilter(Buffer.from(filter, 'hex'));
+
+  if (!count || !scripts.length) {
+    return [];
+  }
+
+  // the key is the first 16 bytes of the block hash in internal byte order
+  const key = Buffer.from(blockhash, 'hex').reverse();
+  const k0 = key.readBigUInt64LE(0);
+  const k1 = key.readBigUInt64LE(8);
+  const range = BigInt(count) * FILTER_M;
+
+  const queries = scripts
+    .map((script) => ({
+      script,
+      value: (sipHash(k0, k1, Buffer.from(script, 'hex')) * range) >> 64n,
+    }))
+    .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+
+  // both lists are sorted, walk them side by side
+  const matches = [];
+  let i = 0;
+
+  for (const { script, value } of queries) {
+    while (i < values.length && values[i] < value) {
+      i++;
+    }
+
+    if (i === values.length) {
+      break;
+    }
+
+    if (values[i] === value) {
+      matches.push(script);
+    }
+  }
+
+  return scripts.filter((script) => matches.includes(script));
+};
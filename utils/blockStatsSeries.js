@@ -0,0 +1,230 @@
+// numeric getblockstats fields that can be charted; feerate_percentiles is
+// expanded into one series per percentile (feerate_p10 ... feerate_p90)
+export const BLOCK_STATS_SERIES_FIELDS = [
+  'avgfee',
+  'avgfeerate',
+  'avgtxsize',
+  'feerate_percentiles',
+  'ins',
+  'maxfee',
+  'maxfeerate',
+  'maxtxsize',
+  'medianfee',
+  'mediantxsize',
+  'minfee',
+  'minfeerate',
+  'mintxsize',
+  'outs',
+  'subsidy',
+  'swtotal_size',
+  'swtotal_weight',
+  'swtxs',
+  'total_out',
+  'total_size',
+  'total_weight',
+  'totalfee',
+  'txs',
+  'utxo_increase',
+  'utxo_size_inc',
+];
+
+export const DEFAULT_BLOCK_STATS_SERIES_FIELDS = [
+  'avgfeerate',
+  'feerate_percentiles',
+  'totalfee',
+  'txs',
+  'total_weight',
+];
+
+export const BLOCK_STATS_BUCKETS = ['block', 'hour', 'day', 'epoch'];
+
+// blocks per difficulty adjustment period
+const EPOCH_BLOCKS = 2016;
+
+// percentiles of getblockstats feerate_percentiles, in order
+const FEERATE_PERCENTILES = [10, 25, 50, 75, 90];
+
+// percentiles reported for every series of a bucket
+const BUCKET_PERCENTILES = [10, 25, 50, 75, 90];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Names of the series produced by the given fields.
+ *
+ * @param {Array<string>} fields - Entries of BLOCK_STATS_SERIES_FIELDS.
+ * @returns {Array<string>}
+ */
+export const toSeriesNames = (fields) =>
+  fields.flatMap((field) =>
+    field === 'feerate_percentiles'
+      ? FEERATE_PERCENTILES.map((percentile) => `feerate_p${percentile}`)
+      : [field]
+  );
+
+/**
+ * One row per block: height, time, hash and the selected series.
+ *
+ * @param {object} stats - Full `getblockstats` result.
+ * @param {Array<string>} fields - Entries of BLOCK_STATS_SERIES_FIELDS.
+ * @returns {object}
+ */
+export const toBlockStatsRow = (stats, fields) => {
+  const row = {
+    height: stats.height,
+    time: stats.time,
+    blockhash: stats.blockhash,
+  };
+
+  for (const field of fields) {
+    if (field === 'feerate_percentiles') {
+      FEERATE_PERCENTILES.forEach((percentile, i) => {
+        row[`feerate_p${percentile}`] = stats.feerate_percentiles?.[i] ?? null;
+      });
+    } else {
+      row[field] = stats[field] ?? null;
+    }
+  }
+
+  return row;
+};
+
+// series names of a row, without the block identification columns
+const seriesOf = (row) =>
+  Object.keys(row).filter(
+    (key) => !['height', 'time', 'blockhash'].includes(key)
+  );
+
+// nearest-rank percentile of sorted values
+const percentile = (sorted, p) =>
+  sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const summarize = (values) => {
+  const sorted = values.filter((v) => v !== null).sort((a, b) => a - b);
+
+  if (!sorted.length) {
+    return null;
+  }
+
+  const summary = {
+    min: sorted[0],
+    avg: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    max: sorted[sorted.length - 1],
+  };
+
+  for (const p of BUCKET_PERCENTILES) {
+    summary[`p${p}`] = percentile(sorted, p);
+  }
+
+  return summary;
+};
+
+const bucketStart = (row, bucket) => {
+  if (bucket === 'hour') return row.time - (row.time % 3600);
+  if (bucket === 'day') return row.time - (row.time % 86400);
+  return row.height - (row.height % EPOCH_BLOCKS);
+};
+
+/**
+ * Group block rows into time or difficulty-epoch buckets, with min, avg, max
+ * and percentiles of every series.
+ *
+ * `start` is the bucket's first unix time (hour, day) or first height
+ * (epoch). The first and last buckets may be partial.
+ *
+ * @param {Array<object>} rows - See toBlockStatsRow, in height order.
+ * @param {string} bucket - `hour`, `day` or `epoch`.
+ * @returns {Array<object>} Buckets in `start` order.
+ *
+ * @example
+ * aggregateBlockStats(rows, 'day');
+ * // [{ start: 1700006400, fromHeight: 817000, toHeight: 817140, blocks: 141,
+ * //    stats: { avgfeerate: { min: 12, avg: 31.4, max: 95, p10: 14, ... } } }]
+ */
+export const aggregateBlockStats = (rows, bucket) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const start = bucketStart(row, bucket);
+
+    if (!groups.has(start)) {
+      groups.set(start, []);
+    }
+
+    groups.get(start).push(row);
+  }
+
+  const series = rows.length ? seriesOf(rows[0]) : [];
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => {
+      const heights = group.map(({ height }) => height);
+
+      return {
+        start,
+        fromHeight: Math.min(...heights),
+        toHeight: Math.max(...heights),
+        blocks: group.length,
+        stats: Object.fromEntries(
+          series.map((name) => [name, summarize(group.map((r) => r[name]))])
+        ),
+      };
+    });
+};
+
+/**
+ * Flatten a block row or bucket for CSV: bucket stats become
+ * `<series>_<aggregate>` columns.
+ *
+ * @param {object} entry
+ * @returns {object}
+ */
+const flatten = ({ stats, ...entry }) => {
+  if (!stats) {
+    return entry;
+  }
+
+  const flat = { ...entry };
+
+  const aggregates = [
+    'min',
+    'avg',
+    'max',
+    ...BUCKET_PERCENTILES.map((p) => `p${p}`),
+  ];
+
+  for (const [name, summary] of Object.entries(stats)) {
+    for (const aggregate of aggregates) {
+      flat[`${name}_${aggregate}`] = summary?.[aggregate] ?? null;
+    }
+  }
+
+  return flat;
+};
+
+/**
+ * Render block rows or buckets as CSV with a header line. Column names are
+ * snake_case, empty cells stand for missing values.
+ *
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export const toCsv = (entries) => {
+  const rows = entries.map(flatten);
+
+  if (!rows.length) {
+    return '';
+  }
+
+  const columns = Object.keys(rows[0]);
+  const header = columns
+    .map((column) => column.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`))
+    .join(',');
+
+  const lines = rows.map((row) =>
+    columns.map((column) => row[column] ?? '').join(',')
+  );
+
+  return `${[header, ...lines].join('\n')}\n`;
+};
@@ -0,0 +1,63 @@
+import { mapConcurrent } from './generals.js';
+
+// getblockstats calls in flight per fetchBlockSummaries, each reads a block
+// from disk
+const STATS_CONCURRENCY = 4;
+
+// getblockstats fields included in block summaries
+export const BLOCK_SUMMARY_STATS = [
+  'avgfeerate',
+  'feerate_percentiles',
+  'maxfeerate',
+  'minfeerate',
+  'subsidy',
+  'total_size',
+  'total_weight',
+  'totalfee',
+  'txs',
+];
+
+/**
+ * Header summary plus key stats of a block, as used by block listings and
+ * block events.
+ *
+ * @param {object} header - `getblockheader` result.
+ * @param {object|null} [stats=null] - `getblockstats` result for BLOCK_SUMMARY_STATS.
+ * @returns {object}
+ */
+export const toBlockSummary = (header, stats = null) => ({
+  hash: header.hash,
+  height: header.height,
+  time: header.time,
+  mediantime: header.mediantime,
+  version: header.version,
+  merkleroot: header.merkleroot,
+  bits: header.bits,
+  nonce: header.nonce,
+  difficulty: header.difficulty,
+  nTx: header.nTx,
+  previousblockhash: header.previousblockhash,
+  stats,
+});
+
+/**
+ * Fetch the summaries of several blocks. Headers are fetched in one batch,
+ * stats a few blocks at a time; stats are null for blocks the node can no longer compute them for (e.g.
+ * pruned blocks).
+ *
+ * @param {object} rpc - RPC client.
+ * @param {Array<string>} hashes - Block hashes.
+ * @returns {Promise<Array<object>>} Summaries in the order of `hashes`.
+ */
+export const fetchBlockSummaries = async (rpc, hashes) => {
+  const [headers, stats] = await Promise.all([
+    rpc.batch(
+      hashes.map((hash) => ({ method: 'getblockheader', params: [hash] }))
+    ),
+    mapConcurrent(hashes, STATS_CONCURRENCY, (hash) =>
+      rpc.call('getblockstats', [hash, BLOCK_SUMMARY_STATS]).catch(() => null)
+    ),
+  ]);
+
+  return headers.map((header, i) => toBlockSummary(header, stats[i]));
+};
@@ -0,0 +1,95 @@
+import { feeRate } from './transactions.js';
+
+// Bitcoin Core default -incrementalrelayfee, in sat/vB
+export const DEFAULT_INCREMENTAL_RELAY_FEE_RATE = 1;
+
+// max transactions a replacement may evict (BIP125 rule 5)
+const MAX_REPLACEMENT_EVICTIONS = 100;
+
+/**
+ * Convert a BTC/kvB fee rate, as returned by the node, to sat/vB.
+ *
+ * @param {number} btcPerKvB
+ * @returns {number}
+ */
+export const toSatPerVbyte = (btcPerKvB) =>
+  Math.round(btcPerKvB * 1e5 * 1000) / 1000;
+
+/**
+ * Fee a new child spending the transaction needs so that the package (the
+ * transaction, its unconfirmed ancestors and the child) reaches
+ * `targetFeeRate`. The child pays at least the min relay fee on its own.
+ *
+ * @param {object} options - Fees in satoshis, sizes in vB, rates in sat/vB.
+ * @param {number} options.ancestorFee - Fee of the transaction and its unconfirmed ancestors.
+ * @param {number} options.ancestorVsize - Size of the transaction and its unconfirmed ancestors.
+ * @param {number} options.childVsize - Expected size of the child.
+ * @param {number} options.targetFeeRate
+ * @param {number} options.minRelayFeeRate
+ * @returns {{ fee: number, feeRate: number, packageFeeRate: number }}
+ *   Child fee (sat) and fee rate, and the resulting package fee rate.
+ *
+ * @example
+ * cpfpChildFee({ ancestorFee: 1410, ancestorVsize: 141, childVsize: 110,
+ *   targetFeeRate: 20, minRelayFeeRate: 1 });
+ * // { fee: 3610, feeRate: 32.82, packageFeeRate: 20 }
+ */
+export const cpfpChildFee = ({
+  ancestorFee,
+  ancestorVsize,
+  childVsize,
+  targetFeeRate,
+  minRelayFeeRate,
+}) => {
+  const fee = Math.max(
+    Math.ceil(targetFeeRate * (ancestorVsize + childVsize)) - ancestorFee,
+    Math.ceil(minRelayFeeRate * childVsize)
+  );
+
+  return {
+    fee,
+    feeRate: feeRate(fee, childVsize),
+    packageFeeRate: feeRate(ancestorFee + fee, ancestorVsize + childVsize),
+  };
+};
+
+/**
+ * Absolute fee a replacement of the transaction needs under the BIP125
+ * rules, as enforced by Bitcoin Core: at least the fees of everything it
+ * evicts (the transaction and its descendants) plus the incremental relay
+ * fee for its own size (rules 3 and 4), a higher fee rate than the
+ * transaction (rule 6), and `targetFeeRate`.
+ *
+ * @param {object} options - Fees in satoshis, sizes in vB, rates in sat/vB.
+ * @param {number} options.fee - Fee of the transaction.
+ * @param {number} options.vsize - Size of the transaction.
+ * @param {number} options.descendantFee - Fee of the transaction and its descendants.
+ * @param {number} options.descendantCount - Transactions evicted, the transaction included.
+ * @param {number} options.replacementVsize - Expected size of the replacement.
+ * @param {number} options.targetFeeRate
+ * @param {number} options.incrementalRelayFeeRate
+ * @returns {{ possible: boolean, fee: number, feeRate: number }}
+ *   Replacement fee (sat) and fee rate; `possible` is false when the
+ *   replacement would evict more than 100 transactions (rule 5).
+ */
+export const rbfReplacementFee = ({
+  fee,
+  vsize,
+  descendantFee,
+  descendantCount,
+  replacementVsize,
+  targetFeeRate,
+  incrementalRelayFeeRate,
+}) => {
+  const required = Math.max(
+    descendantFee + Math.ceil(incrementalRelayFeeRate * replacementVsize),
+    Math.floor((fee / vsize) * replacementVsize) + 1,
+    Math.ceil(targetFeeRate * replacementVsize)
+  );
+
+  return {
+    possible: descendantCount <= MAX_REPLACEMENT_EVICTIONS,
+    fee: required,
+    feeRate: feeRate(required, replacementVsize),
+  };
+};
@@ -47,3 +47,35 @@ export const getHexSuffixDecimals = (hexHash) => {
 
   return output;
 };
+
+/**
+ * Map `items` through an async function with at most `limit` calls in flight.
+ * Results keep the order of `items`; the first rejection rejects the whole map.
+ *
+ * @param {Array} items
+ * @param {number} limit - Max concurrent calls.
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @returns {Promise<Array>}
+ *
+ * @example
+ * const stats = await mapConcurrent(heights, 4, (height) =>
+ *   rpc.call('getblockstats', [height])
+ * );
+ */
+export const mapConcurrent = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+
+  return results;
+};
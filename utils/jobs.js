@@ -0,0 +1,106 @@
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Run long tasks (minutes-long RPC calls) in the background, one at a time,
+ * and keep their results for polling.
+ *
+ * Jobs are identified by a `key` describing their input: submitting a key
+ * that is already queued, running or done returns the existing job, so a
+ * finished job doubles as the cached result for that key. Failed jobs are
+ * replaced on the next submit. Only the last `historySize` jobs are kept.
+ *
+ * @param {object} [options]
+ * @param {number} [options.historySize=20] - Jobs kept for polling.
+ * @returns {{ submit: Function, get: Function }}
+ *
+ * @example
+ * const jobs = createJobRunner();
+ * const job = jobs.submit(`muhash:${blockhash}`, () =>
+ *   rpc.call('gettxoutsetinfo', ['muhash'])
+ * );
+ * // later
+ * jobs.get(job.id); // { status: 'done', result: { ... }, ... }
+ */
+export const createJobRunner = ({ historySize = 20 } = {}) => {
+  // insertion ordered, oldest first
+  const jobs = new Map();
+  let queue = Promise.resolve();
+
+  const findByKey = (key) =>
+    [...jobs.values()].reverse().find((job) => job.key === key);
+
+  const trim = () => {
+    for (const [id, job] of jobs) {
+      if (jobs.size <= historySize) {
+        break;
+      }
+
+      // never drop unfinished jobs, their callers are still polling
+      if (job.status === 'done' || job.status === 'failed') {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const execute = async (job, task) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await task();
+      job.status = 'done';
+    } catch (error) {
+      logger.warn(`Job ${job.id} (${job.key}) failed: ${error.message}`);
+      job.status = 'failed';
+      job.error = {
+        status: error.status ?? 500,
+        code: error.code ?? 'JOB_FAILED',
+        message: error.message,
+      };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    trim();
+  };
+
+  /**
+   * Queue `task` under `key`, or return the job already holding that key.
+   *
+   * @param {string} key - Job input, e.g. `muhash:<blockhash>`.
+   * @param {() => Promise<any>} task
+   * @returns {object} Job: `{ id, key, status, createdAt, startedAt, finishedAt, result, error }`.
+   */
+  const submit = (key, task) => {
+    const existing = findByKey(key);
+
+    if (existing && existing.status !== 'failed') {
+      return existing;
+    }
+
+    const job = {
+      id: randomUUID(),
+      key,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+    };
+
+    jobs.set(job.id, job);
+    queue = queue.then(() => execute(job, task));
+    trim();
+
+    return job;
+  };
+
+  /**
+   * @param {string} id
+   * @returns {object|undefined}
+   */
+  const get = (id) => jobs.get(id);
+
+  return { submit, get };
+};
@@ -0,0 +1,382 @@
+import { feeRate, toBtc, toSats } from './transactions.js';
+
+// default -blockmaxweight (4M weight units minus room for the coinbase), in vB
+export const MAX_BLOCK_VSIZE = 999000;
+
+// block assembly gives up on a nearly full block after this many packages in
+// a row did not fit, see Bitcoin Core miner.cpp
+const MAX_CONSECUTIVE_FAILURES = 1000;
+const BLOCK_FULL_ENOUGH_VSIZE = 1000;
+
+// lower bounds (sat/vB) of the default histogram buckets
+export const DEFAULT_FEE_HISTOGRAM_BOUNDS = [
+  0, 1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 30, 40, 50, 60, 70, 80, 90, 100, 125,
+  150, 175, 200, 250, 300, 400, 500, 700, 1000, 2000,
+];
+
+/**
+ * Binary max-heap of `{ tx, score, version }` ordered by score.
+ */
+const createHeap = () => {
+  const items = [];
+
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+
+  const push = (item) => {
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].score >= items[i].score) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length) {
+      items[0] = last;
+
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let largest = i;
+
+        if (left < items.length && items[left].score > items[largest].score)
+          largest = left;
+        if (right < items.length && items[right].score > items[largest].score)
+          largest = right;
+        if (largest === i) break;
+
+        swap(i, largest);
+        i = largest;
+      }
+    }
+
+    return top;
+  };
+
+  return {
+    push,
+    pop,
+    get size() {
+      return items.length;
+    },
+  };
+};
+
+/**
+ * Mempool transactions linked to their in-mempool parents and children, with
+ * the fee and vsize of their whole ancestor package.
+ */
+const buildGraph = (entries) => {
+  const txs = new Map();
+
+  for (const [txid, entry] of entries) {
+    txs.set(txid, {
+      txid,
+      fee: toSats(entry.fees.modified),
+      vsize: entry.vsize,
+      // parents mined since the entry was fetched are no longer in the map
+      parents: entry.depends.filter((parent) => entries.has(parent)),
+      children: [],
+      ancestors: null,
+      ancestorFee: 0,
+      ancestorVsize: 0,
+      selected: false,
+      version: 0,
+    });
+  }
+
+  for (const tx of txs.values()) {
+    for (const parent of tx.parents) {
+      txs.get(parent).children.push(tx);
+    }
+  }
+
+  const ancestorsOf = (tx) => {
+    if (!tx.ancestors) {
+      tx.ancestors = new Set();
+
+      for (const txid of tx.parents) {
+        const parent = txs.get(txid);
+        tx.ancestors.add(parent);
+        ancestorsOf(parent).forEach((ancestor) => tx.ancestors.add(ancestor));
+      }
+    }
+
+    return tx.ancestors;
+  };
+
+  for (const tx of txs.values()) {
+    tx.ancestorFee = tx.fee;
+    tx.ancestorVsize = tx.vsize;
+
+    for (const ancestor of ancestorsOf(tx)) {
+      tx.ancestorFee += ancestor.fee;
+      tx.ancestorVsize += ancestor.vsize;
+    }
+  }
+
+  return txs;
+};
+
+// nearest-rank median of sorted values
+const median = (sorted) => sorted[Math.ceil(sorted.length / 2) - 1];
+
+const summarizeBlock = (block, index) => {
+  const rates = block.feeRates.sort((a, b) => a - b);
+
+  return {
+    index,
+    txCount: rates.length,
+    vsize: block.vsize,
+    totalFees: toBtc(block.fees),
+    feeRange: { min: rates[0], max: rates[rates.length - 1] },
+    medianFee: median(rates),
+  };
+};
+
+/**
+ * Greedy block template projection of the whole mempool, the way Bitcoin
+ * Core assembles a block: repeatedly take the transaction whose not yet
+ * selected ancestor package pays the highest fee rate and add the package,
+ * ancestors first. Once a package is in, the packages of its descendants are
+ * recomputed without it. Projected blocks are filled one after the other
+ * until the mempool is exhausted.
+ *
+ * A transaction's effective fee rate is the rate of the package it was
+ * selected with, so a low-fee parent paid for by its child counts at the
+ * package rate. Fees are the node's modified fees (prioritisetransaction).
+ *
+ * @param {Map<string, object>} entries - Verbose mempool entries by txid.
+ * @param {object} [options]
+ * @param {number} [options.maxBlockVsize=MAX_BLOCK_VSIZE]
+ * @returns {{ blocks: Array<object>, positions: Map<string, { block: number, feeRate: number }> }}
+ *   Blocks (`{ index, txCount, vsize, totalFees, feeRange, medianFee }`, fee
+ *   rates in sat/vB) and the projected block and effective fee rate of every
+ *   transaction.
+ *
+ * @example
+ * const { blocks, positions } = projectBlocks(entries);
+ * blocks[0]; // { index: 0, txCount: 3120, vsize: 998741, totalFees: 0.0921, ... }
+ * positions.get(txid); // { block: 2, feeRate: 8.5 }
+ */
+export const projectBlocks = (
+  entries,
+  { maxBlockVsize = MAX_BLOCK_VSIZE } = {}
+) => {
+  const txs = buildGraph(entries);
+  const heap = createHeap();
+  const blocks = [];
+  const positions = new Map();
+
+  const enqueue = (tx) =>
+    heap.push({
+      tx,
+      score: tx.ancestorFee / tx.ancestorVsize,
+      version: tx.version,
+    });
+
+  txs.forEach(enqueue);
+
+  let block = { vsize: 0, fees: 0, feeRates: [] };
+  let deferred = [];
+  let failures = 0;
+
+  const closeBlock = () => {
+    blocks.push(summarizeBlock(block, blocks.length));
+    block = { vsize: 0, fees: 0, feeRates: [] };
+    failures = 0;
+
+    // packages that did not fit are candidates again for the next block
+    deferred.filter((tx) => !tx.selected).forEach(enqueue);
+    deferred = [];
+  };
+
+  // a package's ancestors are no longer part of its descendants' packages
+  const removeFromDescendants = (tx) => {
+    const seen = new Set();
+    const queue = [...tx.children];
+
+    while (queue.length) {
+      const descendant = queue.pop();
+
+      if (seen.has(descendant) || descendant.selected) continue;
+      seen.add(descendant);
+
+      descendant.ancestorFee -= tx.fee;
+      descendant.ancestorVsize -= tx.vsize;
+      descendant.version++;
+      enqueue(descendant);
+
+      queue.push(...descendant.children);
+    }
+  };
+
+  while (heap.size || deferred.length) {
+    if (!heap.size) {
+      closeBlock();
+      continue;
+    }
+
+    const { tx, version } = heap.pop();
+
+    // already selected with an ancestor, or queued again since
+    if (tx.selected || version !== tx.version) continue;
+
+    if (
+      block.feeRates.length &&
+      block.vsize + tx.ancestorVsize > maxBlockVsize
+    ) {
+      deferred.push(tx);
+      failures++;
+
+      if (
+        failures > MAX_CONSECUTIVE_FAILURES &&
+        block.vsize > maxBlockVsize - BLOCK_FULL_ENOUGH_VSIZE
+      ) {
+        closeBlock();
+      }
+
+      continue;
+    }
+
+    const rate = feeRate(tx.ancestorFee, tx.ancestorVsize);
+
+    // ancestors always have fewer ancestors than their descendants
+    const members = [...tx.ancestors]
+      .filter((ancestor) => !ancestor.selected)
+      .concat(tx)
+      .sort((a, b) => a.ancestors.size - b.ancestors.size);
+
+    for (const member of members) {
+      member.selected = true;
+      block.vsize += member.vsize;
+      block.fees += member.fee;
+      block.feeRates.push(rate);
+      positions.set(member.txid, { block: blocks.length, feeRate: rate });
+    }
+
+    members.forEach(removeFromDescendants);
+    failures = 0;
+  }
+
+  if (block.feeRates.length) {
+    closeBlock();
+  }
+
+  return { blocks, positions };
+};
+
+/**
+ * Count the mempool by effective fee rate (see projectBlocks) in sat/vB
+ * buckets. Every bound starts a bucket that ends at the next bound; the last
+ * bucket is open ended (`to: null`).
+ *
+ * @param {Map<string, object>} entries - Verbose mempool entries by txid.
+ * @param {Map<string, { feeRate: number }>} positions - From projectBlocks.
+ * @param {Array<number>} [bounds=DEFAULT_FEE_HISTOGRAM_BOUNDS] - Ascending lower bounds.
+ * @returns {Array<{ from: number, to: number|null, count: number, vsize: number, totalFees: number }>}
+ *   Buckets in ascending fee rate order, `totalFees` in BTC.
+ */
+export const feeHistogram = (
+  entries,
+  positions,
+  bounds = DEFAULT_FEE_HISTOGRAM_BOUNDS
+) => {
+  const buckets = bounds.map((from, i) => ({
+    from,
+    to: bounds[i + 1] ?? null,
+    count: 0,
+    vsize: 0,
+    fees: 0,
+  }));
+
+  for (const [txid, entry] of entries) {
+    const rate = positions.get(txid)?.feeRate;
+
+    if (rate === undefined || rate < bounds[0]) continue;
+
+    // last bucket whose lower bound is at or below the rate
+    let i = buckets.length - 1;
+    while (buckets[i].from > rate) i--;
+
+    buckets[i].count++;
+    buckets[i].vsize += entry.vsize;
+    buckets[i].fees += toSats(entry.fees.modified);
+  }
+
+  return buckets.map(({ fees, ...bucket }) => ({
+    ...bucket,
+    totalFees: toBtc(fees),
+  }));
+};
+
+// Erlang(k, 1) survival function at x: the probability of fewer than k
+// events by x, summed from log-space terms so large k does not overflow
+const erlangSurvival = (k, x) => {
+  if (x <= 0) return 1;
+
+  let logTerm = -x;
+  let sum = Math.exp(logTerm);
+
+  for (let n = 1; n < k; n++) {
+    logTerm += Math.log(x) - Math.log(n);
+    sum += Math.exp(logTerm);
+  }
+
+  return Math.min(1, sum);
+};
+
+/**
+ * Time until `blocks` more blocks are found, with blocks arriving as a
+ * Poisson process at the given average interval. The time since the last
+ * block does not matter, the process is memoryless.
+ *
+ * @param {number} blocks - Blocks to wait for, at least 1.
+ * @param {number} averageInterval - Seconds per block.
+ * @param {object} [options]
+ * @param {number} [options.low=0.1] - Probability of being faster than `low`.
+ * @param {number} [options.high=0.9] - Probability of being faster than `high`.
+ * @returns {{ expected: number, low: number, high: number }} Seconds.
+ *
+ * @example
+ * confirmationTimeRange(1, 600); // { expected: 600, low: 63, high: 1382 }
+ */
+export const confirmationTimeRange = (
+  blocks,
+  averageInterval,
+  { low = 0.1, high = 0.9 } = {}
+) => {
+  // time (in intervals) by which `blocks` were found with probability p
+  const quantile = (p) => {
+    let min = 0;
+    let max = blocks + 10 * Math.sqrt(blocks) + 10;
+
+    for (let i = 0; i < 60; i++) {
+      const mid = (min + max) / 2;
+
+      if (1 - erlangSurvival(blocks, mid) < p) {
+        min = mid;
+      } else {
+        max = mid;
+      }
+    }
+
+    return Math.round(((min + max) / 2) * averageInterval);
+  };
+
+  return {
+    expected: Math.round(blocks * averageInterval),
+    low: quantile(low),
+    high: quantile(high),
+  };
+};
@@ -0,0 +1,332 @@
+import { createHash } from 'crypto';
+
+// Hashes are hex in display (RPC) byte order, the reverse of the byte order
+// they are hashed in.
+const toInternal = (hex) => Buffer.from(hex, 'hex').reverse();
+const toDisplay = (buffer) => Buffer.from(buffer).reverse().toString('hex');
+
+const sha256d = (buffer) =>
+  createHash('sha256')
+    .update(createHash('sha256').update(buffer).digest())
+    .digest();
+
+const hashPair = (left, right) => sha256d(Buffer.concat([left, right]));
+
+/**
+ * Parse an 80-byte serialized block header.
+ *
+ * @param {string} hex - Header hex (`getblockheader <hash> false`).
+ * @returns {object} Header fields, with `hash` and the raw `hex`.
+ */
+export const parseBlockHeader = (hex) => {
+  const raw = Buffer.from(hex, 'hex');
+
+  if (raw.length !== 80) {
+    throw new Error('block header must be 80 bytes');
+  }
+
+  return {
+    hash: toDisplay(sha256d(raw)),
+    version: raw.readInt32LE(0),
+    previousblockhash: toDisplay(raw.subarray(4, 36)),
+    merkleroot: toDisplay(raw.subarray(36, 68)),
+    time: raw.readUInt32LE(68),
+    bits: Buffer.from(raw.subarray(72, 76)).reverse().toString('hex'),
+    nonce: raw.readUInt32LE(76),
+    hex,
+  };
+};
+
+/**
+ * Serialize header fields (as returned by `getblockheader`) into the 80-byte
+ * header hex.
+ *
+ * @param {object} header
+ * @returns {string}
+ */
+export const serializeBlockHeader = (header) => {
+  const raw = Buffer.alloc(80);
+
+  raw.writeInt32LE(header.version, 0);
+  toInternal(header.previousblockhash ?? '00'.repeat(32)).copy(raw, 4);
+  toInternal(header.merkleroot).copy(raw, 36);
+  raw.writeUInt32LE(header.time, 68);
+  Buffer.from(header.bits, 'hex').reverse().copy(raw, 72);
+  raw.writeUInt32LE(header.nonce, 76);
+
+  return raw.toString('hex');
+};
+
+/**
+ * Whether a header hash meets the target encoded in its `bits`.
+ *
+ * @param {{ hash: string, bits: string }} header
+ * @returns {boolean}
+ */
+export const checkProofOfWork = ({ hash, bits }) => {
+  const compact = parseInt(bits, 16);
+  const exponent = BigInt(compact >>> 24);
+  const mantissa = BigInt(compact & 0x007fffff);
+
+  // negative or empty targets are invalid
+  if (compact & 0x00800000 || mantissa === 0n) {
+    return false;
+  }
+
+  const target =
+    exponent <= 3n
+      ? mantissa >> (8n * (3n - exponent))
+      : mantissa << (8n * (exponent - 3n));
+
+  return BigInt(`0x${hash}`) <= target;
+};
+
+/**
+ * Merkle branch of the transaction at `index` in a block's txid list.
+ *
+ * Each sibling is the hash combined with the running hash at that level;
+ * `position` tells whether it goes on the left or right.
+ *
+ * @param {Array<string>} txids - All txids of the block, in block order.
+ * @param {number} index - Position of the transaction in the block.
+ * @returns {{ siblings: Array<{ hash: string, position: string }>, merkleRoot: string }}
+ *
+ * @example
+ * const { siblings, merkleRoot } = buildMerkleBranch(block.tx, 3);
+ */
+export const buildMerkleBranch = (txids, index) => {
+  const siblings = [];
+  let level = txids.map(toInternal);
+  let position = index;
+
+  while (level.length > 1) {
+    // odd levels pair the last hash with itself
+    if (level.length % 2) {
+      level.push(level[level.length - 1]);
+    }
+
+    const sibling = position ^ 1;
+    siblings.push({
+      hash: toDisplay(level[sibling]),
+      position: sibling < position ? 'left' : 'right',
+    });
+
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hashPair(level[i], level[i + 1]));
+    }
+
+    level = next;
+    position >>= 1;
+  }
+
+  return { siblings, merkleRoot: toDisplay(level[0]) };
+};
+
+/**
+ * Merkle root implied by a txid and its branch.
+ *
+ * @param {string} txid
+ * @param {Array<{ hash: string, position: string }>} siblings
+ * @returns {string}
+ */
+export const computeMerkleRoot = (txid, siblings) =>
+  toDisplay(
+    siblings.reduce(
+      (node, { hash, position }) =>
+        position === 'left'
+          ? hashPair(toInternal(hash), node)
+          : hashPair(node, toInternal(hash)),
+      toInternal(txid)
+    )
+  );
+
+// compact size integer at `offset`, see Bitcoin Core serialize.h
+const readVarInt = (raw, offset) => {
+  const first = raw[offset];
+  const size = { 0xfd: 3, 0xfe: 5, 0xff: 9 }[first] ?? 1;
+
+  if (offset + size > raw.length) {
+    throw new Error('proof is truncated');
+  }
+
+  if (first < 0xfd) return [first, offset + 1];
+  if (first === 0xfd) return [raw.readUInt16LE(offset + 1), offset + 3];
+  if (first === 0xfe) return [raw.readUInt32LE(offset + 1), offset + 5];
+  return [Number(raw.readBigUInt64LE(offset + 1)), offset + 9];
+};
+
+/**
+ * Decode a serialized merkleblock (the `gettxoutproof` hex) into the block
+ * header and a JSON merkle branch for every transaction it proves.
+ *
+ * The partial merkle tree is walked as in BIP37; the proof is rejected when
+ * its hashes or flags are not consumed exactly or the tree does not hash up
+ * to the header's merkle root.
+ *
+ * @param {string} hex - Serialized merkleblock.
+ * @returns {{ header: object, totalTransactions: number, proofs: Array<object> }}
+ */
+export const parseTxOutProof = (hex) => {
+  const raw = Buffer.from(hex, 'hex');
+
+  if (raw.length < 84) {
+    throw new Error('proof is too short');
+  }
+
+  const header = parseBlockHeader(raw.subarray(0, 80).toString('hex'));
+  const totalTransactions = raw.readUInt32LE(80);
+
+  let offset = 84;
+  let count;
+
+  [count, offset] = readVarInt(raw, offset);
+  if (offset + count * 32 > raw.length) {
+    throw new Error('proof is truncated');
+  }
+
+  const hashes = [];
+  for (let i = 0; i < count; i++, offset += 32) {
+    hashes.push(Buffer.from(raw.subarray(offset, offset + 32)));
+  }
+
+  [count, offset] = readVarInt(raw, offset);
+  if (offset + count > raw.length) {
+    throw new Error('proof is truncated');
+  }
+
+  const flagBytes = raw.subarray(offset, offset + count);
+
+  const flags = [];
+  for (let i = 0; i < flagBytes.length * 8; i++) {
+    flags.push(Boolean(flagBytes[i >> 3] & (1 << (i & 7))));
+  }
+
+  if (totalTransactions === 0 || hashes.length > totalTransactions) {
+    throw new Error('invalid transaction count');
+  }
+
+  const width = (height) => (totalTransactions + (1 << height) - 1) >> height;
+
+  let treeHeight = 0;
+  while (width(treeHeight) > 1) {
+    treeHeight++;
+  }
+
+  // node hashes by `${height}:${position}`, and the matched leaves
+  const nodes = new Map();
+  const matched = [];
+  let usedHashes = 0;
+  let usedFlags = 0;
+
+  const traverse = (height, position) => {
+    if (usedFlags >= flags.length) {
+      throw new Error('proof ran out of flags');
+    }
+
+    const parentOfMatch = flags[usedFlags++];
+    let hash;
+
+    if (height === 0 || !parentOfMatch) {
+      if (usedHashes >= hashes.length) {
+        throw new Error('proof ran out of hashes');
+      }
+
+      hash = hashes[usedHashes++];
+
+      if (height === 0 && parentOfMatch) {
+        matched.push(position);
+      }
+    } else {
+      const left = traverse(height - 1, position * 2);
+      const right =
+        position * 2 + 1 < width(height - 1)
+          ? traverse(height - 1, position * 2 + 1)
+          : left;
+
+      // CVE-2012-2459: identical siblings only at the right edge
+      if (position * 2 + 1 < width(height - 1) && left.equals(right)) {
+        throw new Error('proof has duplicate sibling hashes');
+      }
+
+      hash = hashPair(left, right);
+    }
+
+    nodes.set(`${height}:${position}`, hash);
+    return hash;
+  };
+
+  const root = traverse(treeHeight, 0);
+
+  if (
+    usedHashes !== hashes.length ||
+    Math.ceil(usedFlags / 8) !== flagBytes.length
+  ) {
+    throw new Error('proof has unused hashes or flags');
+  }
+
+  if (toDisplay(root) !== header.merkleroot) {
+    throw new Error('proof does not match the header merkle root');
+  }
+
+  const proofs = matched.map((index) => {
+    const siblings = [];
+    let position = index;
+
+    for (let height = 0; height < treeHeight; height++) {
+      const sibling = position ^ 1;
+      const hash =
+        nodes.get(`${height}:${sibling}`) ?? nodes.get(`${height}:${position}`);
+
+      siblings.push({
+        hash: toDisplay(hash),
+        position: sibling < position ? 'left' : 'right',
+      });
+      position >>= 1;
+    }
+
+    return {
+      txid: toDisplay(nodes.get(`0:${index}`)),
+      index,
+      siblings,
+      merkleRoot: header.merkleroot,
+    };
+  });
+
+  return { header, totalTransactions, proofs };
+};
+
+/**
+ * Verify a JSON merkle proof against its block header, without the node:
+ * the branch must hash to the header's merkle root and the header must meet
+ * its proof-of-work target.
+ *
+ * @param {object} proof
+ * @param {string} proof.txid
+ * @param {Array<{ hash: string, position: string }>} proof.siblings
+ * @param {object|string} proof.header - Header fields or 80-byte header hex.
+ * @param {string} [proof.blockhash] - Expected block hash, when known.
+ * @returns {{ valid: boolean, txid: string, blockhash: string, merkleRoot: string, checks: object }}
+ */
+export const verifyMerkleProof = ({ txid, siblings, header, blockhash }) => {
+  const parsed = parseBlockHeader(
+    typeof header === 'string' ? header : serializeBlockHeader(header)
+  );
+  const merkleRoot = computeMerkleRoot(txid, siblings);
+
+  const checks = {
+    merkleRoot: merkleRoot === parsed.merkleroot,
+    proofOfWork: checkProofOfWork(parsed),
+    blockhash: blockhash
+      ? blockhash.toLowerCase() === parsed.hash.toLowerCase()
+      : null,
+  };
+
+  return {
+    valid: Object.values(checks).every((check) => check !== false),
+    txid,
+    blockhash: parsed.hash,
+    merkleRoot,
+    checks,
+  };
+};
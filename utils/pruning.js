@@ -0,0 +1,83 @@
+import ApiError from '../errors/ApiError.js';
+
+/**
+ * Heights whose full block data the node still has, from a
+ * `getblockchaininfo` result. Headers are kept for every height.
+ *
+ * @param {object} info - `getblockchaininfo` result.
+ * @returns {{ pruned: boolean, fromHeight: number, toHeight: number }}
+ */
+export const toAvailableBlocks = ({ pruned, pruneheight, blocks }) => ({
+  pruned,
+  // pruneheight is the first block that still has data
+  fromHeight: pruned ? pruneheight : 0,
+  toHeight: blocks,
+});
+
+/**
+ * Current available block range, see toAvailableBlocks.
+ *
+ * @param {object} rpc - RPC client.
+ * @returns {Promise<{ pruned: boolean, fromHeight: number, toHeight: number }>}
+ */
+export const getAvailableBlocks = async (rpc) =>
+  toAvailableBlocks(await rpc.call('getblockchaininfo'));
+
+/**
+ * 410 BLOCK_PRUNED error telling the earliest height still available.
+ *
+ * @param {object} details - At least `earliestHeight`; the requested `height` or `blockhash` when known.
+ * @returns {ApiError}
+ */
+export const prunedBlockError = (details) =>
+  new ApiError(
+    410,
+    'BLOCK_PRUNED',
+    `Block data is no longer available on the pruned node, the earliest available height is ${details.earliestHeight}`,
+    details
+  );
+
+/**
+ * Reject a height below the prune height before asking the node for its
+ * block data.
+ *
+ * @param {object} rpc - RPC client.
+ * @param {number} height
+ * @returns {Promise<void>}
+ * @throws {ApiError} 410 BLOCK_PRUNED
+ *
+ * @example
+ * await assertBlockAvailable(rpc, height);
+ * const stats = await rpc.call('getblockstats', [height]);
+ */
+export const assertBlockAvailable = async (rpc, height) => {
+  const { fromHeight } = await getAvailableBlocks(rpc);
+
+  if (height < fromHeight) {
+    throw prunedBlockError({ height, earliestHeight: fromHeight });
+  }
+};
+
+/**
+ * Catch handler for calls addressed by block hash: adds the earliest
+ * available height to BLOCK_PRUNED node errors and rethrows anything else.
+ *
+ * @param {object} rpc - RPC client.
+ * @param {object} [details] - Request context, e.g. `{ blockhash }`.
+ * @returns {(error: Error) => Promise<never>}
+ *
+ * @example
+ * const block = await rpc
+ *   .call('getblock', [blockhash, 1])
+ *   .catch(explainPruned(rpc, { blockhash }));
+ */
+export const explainPruned =
+  (rpc, details = {}) =>
+  async (error) => {
+    if (error.code !== 'BLOCK_PRUNED') {
+      throw error;
+    }
+
+    const { fromHeight } = await getAvailableBlocks(rpc);
+    throw prunedBlockError({ ...details, earliestHeight: fromHeight });
+  };
@@ -0,0 +1,82 @@
+import Joi from 'joi';
+import { toSatPerVbyte } from './feeBump.js';
+
+// "psbt" + 0xff, see BIP174
+const PSBT_MAGIC_HEX = '70736274ff';
+
+/**
+ * Joi schema for a PSBT given as base64 or hex. Validated values are
+ * converted to base64, the only encoding the node accepts.
+ */
+export const psbtSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    if (/^[0-9a-f]+$/i.test(value)) {
+      return value.toLowerCase().startsWith(PSBT_MAGIC_HEX)
+        ? Buffer.from(value, 'hex').toString('base64')
+        : helpers.error('any.invalid');
+    }
+
+    const decoded = Buffer.from(value, 'base64');
+
+    return decoded.toString('hex', 0, 5) === PSBT_MAGIC_HEX
+      ? value
+      : helpers.error('any.invalid');
+  }, 'base64 or hex PSBT')
+  .messages({ 'any.invalid': '{{#label}} must be a base64 or hex PSBT' });
+
+/**
+ * Both encodings of a base64 PSBT returned by the node.
+ *
+ * @param {string} psbt - Base64 PSBT.
+ * @returns {{ psbt: string, psbtHex: string }}
+ */
+export const encodePsbt = (psbt) => ({
+  psbt,
+  psbtHex: Buffer.from(psbt, 'base64').toString('hex'),
+});
+
+/**
+ * Signing summary of an `analyzepsbt` result: which inputs still miss
+ * signatures (or scripts, or UTXO data), the estimated final vsize and the
+ * fee rate in sat/vB. Size and fee are null until every input has its UTXO.
+ *
+ * @param {object} analysis - `analyzepsbt` result.
+ * @returns {object}
+ *
+ * @example
+ * summarizePsbt(await rpc.call('analyzepsbt', [psbt]));
+ * // { complete: false, next: 'signer', inputs: 2, finalized: 0,
+ * //   missing: [{ index: 0, signatures: ['c2a7...'], ... }], estimatedVsize: 208, ... }
+ */
+export const summarizePsbt = (analysis) => {
+  const inputs = analysis.inputs ?? [];
+
+  const missing = inputs
+    .map((input, index) => ({ index, input }))
+    .filter(({ input }) => !input.is_final)
+    .map(({ index, input }) => ({
+      index,
+      hasUtxo: input.has_utxo,
+      signatures: input.missing?.signatures ?? [],
+      pubkeys: input.missing?.pubkeys ?? [],
+      redeemscript: input.missing?.redeemscript ?? null,
+      witnessscript: input.missing?.witnessscript ?? null,
+      next: input.next ?? null,
+    }));
+
+  return {
+    complete: analysis.next === 'extractor',
+    next: analysis.next,
+    inputs: inputs.length,
+    finalized: inputs.length - missing.length,
+    missing,
+    estimatedVsize: analysis.estimated_vsize ?? null,
+    feeRate:
+      analysis.estimated_feerate === undefined
+        ? null
+        : toSatPerVbyte(analysis.estimated_feerate),
+    fee: analysis.fee ?? null,
+    error: analysis.error ?? null,
+  };
+};
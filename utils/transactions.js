@@ -0,0 +1,130 @@
+import { mapConcurrent } from './generals.js';
+
+// inputs looked up at once, so a transaction with thousands of inputs does
+// not fill the node's RPC work queue
+const PREVOUT_CONCURRENCY = 8;
+
+/**
+ * Convert a BTC amount, as returned by the node, to satoshis.
+ *
+ * @param {number} btc
+ * @returns {number}
+ */
+export const toSats = (btc) => Math.round(btc * 1e8);
+
+/**
+ * Convert satoshis to a BTC amount.
+ *
+ * @param {number} sats
+ * @returns {number}
+ */
+export const toBtc = (sats) => sats / 1e8;
+
+/**
+ * Fee rate in sat/vB, rounded to 2 decimals.
+ *
+ * @param {number} feeSats
+ * @param {number} vsize
+ * @returns {number}
+ */
+export const feeRate = (feeSats, vsize) =>
+  Math.round((feeSats / vsize) * 100) / 100;
+
+/**
+ * Look up the output spent by an input: first in the chain UTXO set,
+ * ignoring mempool spends (works for mempool transactions), then through the
+ * funding transaction (needs -txindex, or the funding transaction in the
+ * mempool).
+ *
+ * @returns {Promise<object|null>} null when the node cannot tell.
+ */
+const findPrevout = async (rpc, { txid, vout }) => {
+  const utxo = await rpc
+    .call('gettxout', [txid, vout, false])
+    .catch(() => null);
+
+  if (utxo) {
+    return {
+      generated: utxo.coinbase,
+      value: utxo.value,
+      scriptPubKey: utxo.scriptPubKey,
+    };
+  }
+
+  const funding = await rpc
+    .call('getrawtransaction', [txid, true])
+    .catch(() => null);
+
+  const output = funding?.vout[vout];
+
+  if (!output) {
+    return null;
+  }
+
+  return {
+    generated: Boolean(funding.vin[0]?.coinbase),
+    value: output.value,
+    scriptPubKey: output.scriptPubKey,
+  };
+};
+
+/**
+ * Fill in `vin[].prevout` where the node did not (nodes before v25, or
+ * decoded transactions). Inputs whose prevout cannot be found keep
+ * `prevout: null`.
+ *
+ * @param {object} rpc - RPC client.
+ * @param {object} tx - Decoded transaction.
+ * @returns {Promise<object>} The transaction with resolved prevouts.
+ */
+export const resolvePrevouts = async (rpc, tx) => {
+  const vin = await mapConcurrent(
+    tx.vin,
+    PREVOUT_CONCURRENCY,
+    async (input) => {
+      if (input.coinbase || input.prevout) {
+        return input;
+      }
+
+      return { ...input, prevout: await findPrevout(rpc, input) };
+    }
+  );
+
+  return { ...tx, vin };
+};
+
+/**
+ * Value totals, fee and fee rate of a decoded transaction with prevouts.
+ * Input-dependent fields are null for coinbase transactions and when a
+ * prevout is missing.
+ *
+ * @param {object} tx - Decoded transaction, see resolvePrevouts.
+ * @returns {{ totalInput: number|null, totalOutput: number, fee: number|null, feeRate: number|null }}
+ */
+export const summarizeValues = (tx) => {
+  const outputSats = tx.vout.reduce((sum, { value }) => sum + toSats(value), 0);
+  const isCoinbase = tx.vin.some(({ coinbase }) => coinbase);
+  const complete = !isCoinbase && tx.vin.every(({ prevout }) => prevout);
+
+  if (!complete) {
+    return {
+      totalInput: null,
+      totalOutput: toBtc(outputSats),
+      fee: null,
+      feeRate: null,
+    };
+  }
+
+  const inputSats = tx.vin.reduce(
+    (sum, { prevout }) => sum + toSats(prevout.value),
+    0
+  );
+  const feeSats = inputSats - outputSats;
+
+  return {
+    totalInput: toBtc(inputSats),
+    totalOutput: toBtc(outputSats),
+    fee: toBtc(feeSats),
+    feeRate: feeRate(feeSats, tx.vsize),
+  };
+};
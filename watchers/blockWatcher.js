@@ -0,0 +1,316 @@
+import { envConfig } from '../config/envConf.js';
+import { rpc } from '../config/btcNodeConfig.js';
+import { fetchBlockSummaries } from '../utils/blockSummary.js';
+import { logger } from '../utils/logger.js';
+import { chainEvents } from './chainEvents.js';
+import { subscribeZmq } from './zmq.js';
+
+// max mempool transactions fetched per poll when ZMQ rawtx is not configured
+const MAX_POLLED_TXS = 500;
+
+/**
+ * Watch the node for new blocks and mempool transactions and emit them on
+ * `chainEvents`.
+ *
+ * A new tip that does not extend the last one is a reorg: the blocks back to
+ * the fork point are fetched and a `reorg` event (fork point, disconnected
+ * and connected blocks) is emitted before the `block` events of the newly
+ * connected blocks. When the common ancestor is more than `historySize`
+ * blocks away only the new tip is emitted.
+ *
+ * Blocks come from ZMQ `hashblock` when configured, otherwise from polling
+ * `getbestblockhash`. Mempool transactions come from ZMQ `rawtx`, otherwise
+ * from diffing `getrawmempool`; they are only fetched while something listens
+ * for `tx` events.
+ *
+ * The last `historySize` block summaries are kept so clients can resume from
+ * a last-seen height.
+ *
+ * @param {object} options
+ * @param {object} options.rpc - RPC client.
+ * @param {string} [options.hashBlockEndpoint] - ZMQ `zmqpubhashblock` address.
+ * @param {string} [options.rawTxEndpoint] - ZMQ `zmqpubrawtx` address.
+ * @param {number} [options.pollInterval=5000] - Polling period (ms).
+ * @param {number} [options.historySize=144] - Block summaries kept for replay.
+ * @param {Function} [options.subscribe=subscribeZmq] - ZMQ subscriber, see subscribeZmq.
+ * @returns {object} Watcher with `start`, `stop`, `replay` and `tip`.
+ */
+export const createBlockWatcher = ({
+  rpc,
+  hashBlockEndpoint,
+  rawTxEndpoint,
+  pollInterval = 5000,
+  historySize = 144,
+  subscribe = subscribeZmq,
+}) => {
+  const recent = [];
+  const cleanups = [];
+  let tip = null;
+  let knownMempool = null;
+  // tip updates are processed one at a time, in arrival order
+  let queue = Promise.resolve();
+
+  const summarize = async (hash) => {
+    const [summary] = await fetchBlockSummaries(rpc, [hash]);
+    return summary;
+  };
+
+  const remember = (block) => {
+    // drop anything at or above this height, it was replaced by a reorg
+    while (recent.length && recent[recent.length - 1].height >= block.height) {
+      recent.pop();
+    }
+
+    recent.push(block);
+
+    if (recent.length > historySize) {
+      recent.shift();
+    }
+  };
+
+  const rememberedAt = (height) =>
+    recent.find((block) => block.height === height);
+
+  const toRef = ({ hash, height, time }) => ({ hash, height, time });
+
+  /**
+   * Blocks connected by `newTip` and disconnected from the current chain,
+   * oldest first, and the fork point between them. Null when the common
+   * ancestor is more than `historySize` blocks away.
+   */
+  const findFork = async (newTip) => {
+    // the tip went back to one of its ancestors (invalidateblock)
+    if (rememberedAt(newTip.height)?.hash === newTip.hash) {
+      return {
+        forkPoint: newTip,
+        connected: [],
+        disconnected: recent.filter(({ height }) => height > newTip.height),
+      };
+    }
+
+    const connected = [newTip];
+    const disconnected = [];
+    let old = rememberedAt(tip.height) ?? (await summarize(tip.hash));
+
+    const parentOf = async (block) =>
+      rememberedAt(block.height - 1)?.hash === block.previousblockhash
+        ? rememberedAt(block.height - 1)
+        : summarize(block.previousblockhash);
+
+    // bring both branches to the same height, then step back together
+    // until they meet
+    while (connected[0].previousblockhash !== old.hash) {
+      if (connected.length + disconnected.length > historySize) {
+        return null;
+      }
+
+      if (connected[0].height > old.height + 1) {
+        connected.unshift(await summarize(connected[0].previousblockhash));
+      } else {
+        disconnected.unshift(old);
+        old = await parentOf(old);
+
+        if (connected[0].height > old.height + 1) {
+          connected.unshift(await summarize(connected[0].previousblockhash));
+        }
+      }
+    }
+
+    return { forkPoint: old, connected, disconnected };
+  };
+
+  const connectTip = async (hash) => {
+    if (hash === tip?.hash) {
+      return;
+    }
+
+    const newTip = await summarize(hash);
+    const isFirstTip = tip === null;
+    let blocks = [newTip];
+
+    if (!isFirstTip) {
+      const fork = await findFork(newTip);
+
+      if (!fork) {
+        // no common block close enough, start the buffer over
+        recent.splice(0);
+      } else {
+        blocks = fork.connected;
+
+        if (fork.disconnected.length) {
+          const reorg = {
+            detectedAt: new Date().toISOString(),
+            forkPoint: {
+              hash: fork.forkPoint.hash,
+              height: fork.forkPoint.height,
+            },
+            depth: fork.disconnected.length,
+            oldTip: { ...tip },
+            newTip: { hash: newTip.hash, height: newTip.height },
+            disconnected: fork.disconnected.map(toRef),
+            connected: fork.connected.map(toRef),
+          };
+
+          logger.warn(
+            `Chain reorganization at height ${reorg.forkPoint.height}: ${reorg.disconnected.length} block(s) disconnected, ${reorg.connected.length} connected`
+          );
+
+          // forget the stale branch
+          recent.splice(
+            0,
+            recent.length,
+            ...recent.filter(({ height }) => height <= fork.forkPoint.height)
+          );
+          chainEvents.emit('reorg', reorg);
+        }
+      }
+    }
+
+    tip = { hash: newTip.hash, height: newTip.height };
+    rpc.setTip?.(tip);
+
+    for (const block of blocks) {
+      remember(block);
+
+      // the tip found at startup is history, not news
+      if (!isFirstTip) {
+        chainEvents.emit('block', block);
+      }
+    }
+  };
+
+  const onTip = (hash) => {
+    queue = queue
+      .then(() => connectTip(hash))
+      .catch((error) => {
+        logger.warn(
+          `Block watcher failed to process ${hash}: ${error.message}`
+        );
+      });
+
+    return queue;
+  };
+
+  const pollTip = async () => {
+    try {
+      await onTip(await rpc.call('getbestblockhash'));
+    } catch (error) {
+      logger.warn(`Block watcher poll failed: ${error.message}`);
+    }
+  };
+
+  const pollMempool = async () => {
+    if (chainEvents.listenerCount('tx') === 0) {
+      knownMempool = null;
+      return;
+    }
+
+    try {
+      const txids = await rpc.call('getrawmempool');
+      const previous = knownMempool;
+      knownMempool = new Set(txids);
+
+      // the first snapshot only sets the baseline
+      if (!previous) {
+        return;
+      }
+
+      const added = txids
+        .filter((txid) => !previous.has(txid))
+        .slice(0, MAX_POLLED_TXS);
+
+      for (const txid of added) {
+        const tx = await rpc
+          .call('getrawtransaction', [txid, true])
+          .catch(() => null); // already mined or evicted
+
+        if (tx) {
+          chainEvents.emit('tx', tx);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Mempool poll failed: ${error.message}`);
+    }
+  };
+
+  const onRawTx = async (body) => {
+    if (chainEvents.listenerCount('tx') === 0) {
+      return;
+    }
+
+    const tx = await rpc.call('decoderawtransaction', [body.toString('hex')]);
+    chainEvents.emit('tx', tx);
+  };
+
+  const every = (fn) => {
+    const timer = setInterval(fn, pollInterval);
+    timer.unref();
+    cleanups.push(() => clearInterval(timer));
+  };
+
+  const start = () => {
+    // always learn the current tip first, so replays work right away
+    pollTip();
+
+    if (hashBlockEndpoint) {
+      cleanups.push(
+        subscribe(hashBlockEndpoint, 'hashblock', (body) =>
+          onTip(body.toString('hex'))
+        )
+      );
+    } else {
+      every(pollTip);
+    }
+
+    if (rawTxEndpoint) {
+      cleanups.push(subscribe(rawTxEndpoint, 'rawtx', onRawTx));
+    } else {
+      every(pollMempool);
+    }
+  };
+
+  const stop = () => {
+    cleanups.splice(0).forEach((cleanup) => cleanup());
+  };
+
+  /**
+   * Block summaries with a height above `lastHeight`, oldest first, capped at
+   * `historySize` blocks behind the tip.
+   *
+   * @param {number} lastHeight - Last height the client has seen.
+   * @returns {Promise<Array<object>>}
+   */
+  const replay = async (lastHeight) => {
+    if (!tip) {
+      await pollTip();
+    }
+
+    if (!tip || lastHeight >= tip.height) {
+      return [];
+    }
+
+    const from = Math.max(lastHeight + 1, tip.height - historySize + 1);
+    const buffered = recent.filter(({ height }) => height >= from);
+    const missingTo = buffered.length ? buffered[0].height - 1 : tip.height;
+
+    const missing = [];
+    for (let height = from; height <= missingTo; height++) {
+      missing.push(await summarize(await rpc.call('getblockhash', [height])));
+    }
+
+    return [...missing, ...buffered];
+  };
+
+  return { start, stop, replay, tip: () => tip };
+};
+
+/**
+ * Block watcher for the configured node.
+ */
+export const blockWatcher = createBlockWatcher({
+  rpc,
+  hashBlockEndpoint: envConfig.ZMQ_PUB_HASHBLOCK,
+  rawTxEndpoint: envConfig.ZMQ_PUB_RAWTX,
+  pollInterval: envConfig.STREAM_POLL_INTERVAL_MS,
+  historySize: envConfig.STREAM_REPLAY_BLOCKS,
+});
@@ -0,0 +1,18 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Process-wide hub for chain events. Watchers emit, streams and other
+ * background workers listen.
+ *
+ * Events:
+ * - `block` - a new block was connected (block summary, see blockWatcher).
+ * - `tx` - a transaction entered the mempool (decoded transaction).
+ * - `reorg` - the chain reorganized, emitted before the `block` events of the
+ *   newly connected blocks (`{ detectedAt, forkPoint, depth, oldTip, newTip,
+ *   disconnected, connected }`; the fork point and tips are `{ hash, height }`,
+ *   the disconnected and connected blocks `{ hash, height, time }`).
+ */
+export const chainEvents = new EventEmitter();
+
+// every open stream adds listeners
+chainEvents.setMaxListeners(0);
@@ -0,0 +1,647 @@
+import { envConfig } from '../config/envConf.js';
+import { rpc } from '../config/btcNodeConfig.js';
+import ApiError from '../errors/ApiError.js';
+import { mapConcurrent } from '../utils/generals.js';
+import { logger } from '../utils/logger.js';
+import { projectBlocks } from '../utils/mempoolAnalytics.js';
+import { toBtc, toSats } from '../utils/transactions.js';
+import { subscribeZmq } from './zmq.js';
+
+// transactions fetched per batch when catching up with new transactions
+const ENTRY_BATCH_SIZE = 250;
+
+// transactions that left the mempool kept for replacement detection
+const REMOVED_TXS_KEPT = 10000;
+
+// seconds clients are asked to wait while the mempool loads
+const LOADING_RETRY_AFTER = 5;
+
+/**
+ * Local copy of the node's verbose mempool entries, tagged with the node's
+ * mempool sequence number (`getrawmempool` `mempool_sequence`), which grows
+ * by one for every transaction added to or removed from the mempool.
+ *
+ * The copy is synced by reconciling with a `getrawmempool` txid snapshot:
+ * transactions that left are dropped and `getmempoolentry` is fetched for the
+ * new ones only. With ZMQ `sequence` notifications configured, additions and
+ * removals are then applied one by one as the node publishes them; a
+ * connected block (its transactions get no removal notification) or a
+ * missed notification triggers a reconcile. Without ZMQ the copy is
+ * reconciled on demand, at most once per `refreshInterval`.
+ *
+ * The first load fetches an entry for every transaction in the mempool and
+ * can take minutes on a busy node, so `start` runs it in the background.
+ * Until it is done `refresh` fails with a 503 `MEMPOOL_LOADING` error
+ * instead of making the request wait.
+ *
+ * Every change is logged with its sequence number so clients can ask for
+ * the txids added and removed since a sequence they saw. Only the last
+ * `logSize` changes are kept. Ancestor and descendant statistics of kept
+ * entries are as of the time they were fetched.
+ *
+ * The outpoints spent by every transaction are tracked too: a new
+ * transaction spending an outpoint of a transaction that left the mempool in
+ * the same step replaced it (RBF). The first load only fetches entries, the
+ * outpoints of the transactions it found are loaded in the background right
+ * after; a replacement of one not loaded yet goes unnoticed. The node removes
+ * replaced transactions right before adding their replacement, so a step is
+ * one reconcile, or a run of consecutive ZMQ removals and the addition
+ * right after them. Replacements are recorded with their fee delta and
+ * whether the replaced transaction signaled BIP125 replaceability (if not,
+ * it was a full-RBF replacement). Only the last `replacementLogSize`
+ * replacements are kept. A transaction whose outpoint is spent again in a
+ * later step was not mined nor replaced but evicted (expired, trimmed from
+ * a full mempool or conflicted); that is recorded too.
+ *
+ * The block projection (see projectBlocks) is computed once per mempool
+ * change and shared by every caller.
+ *
+ * @param {object} options
+ * @param {object} options.rpc - RPC client.
+ * @param {string} [options.sequenceEndpoint] - ZMQ `zmqpubsequence` address.
+ * @param {number} [options.refreshInterval=2000] - Min time between on-demand reconciles (ms).
+ * @param {number} [options.logSize=100000] - Changes kept for `changesSince`.
+ * @param {number} [options.replacementLogSize=10000] - Replacements kept.
+ * @param {Function} [options.subscribe=subscribeZmq] - ZMQ subscriber, see subscribeZmq.
+ * @returns {object} Mirror with `start`, `stop`, `refresh`, `changesSince`,
+ *   `replacementsOf`, `recentReplacements`, `evictionOf` and `projection`.
+ */
+export const createMempoolMirror = ({
+  rpc,
+  sequenceEndpoint,
+  refreshInterval = 2000,
+  logSize = 100000,
+  replacementLogSize = 10000,
+  subscribe = subscribeZmq,
+}) => {
+  let entries = new Map();
+  // outpoints (`txid:vout`) spent by each transaction, and the other way round
+  const inputs = new Map();
+  const spentBy = new Map();
+  // entries that left the mempool, oldest first
+  const removed = new Map();
+  // removed transactions found evicted, by txid
+  const evictions = new Map();
+  // txids of the ZMQ removals since the last addition, and the sequence
+  // that continues the run
+  let removalRun = { txids: new Set(), next: null };
+  // oldest first
+  let replacements = [];
+  let sequence = null;
+  let version = 0;
+  let updatedAt = null;
+  let syncedAt = 0;
+  // set when the copy may have drifted from the node
+  let stale = true;
+  // oldest first; complete for every sequence from `horizon` on
+  let changes = [];
+  let horizon = null;
+  let lastMessage = null;
+  let started = false;
+  let unsubscribe = null;
+  let syncing = null;
+  // bumped on every first load, see loadInputs
+  let baselineLoad = 0;
+  let projection = null;
+  // syncs and notifications are applied one at a time, in arrival order
+  let queue = Promise.resolve();
+
+  const run = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const update = (changed) => {
+    if (changed) {
+      version++;
+    }
+
+    updatedAt = new Date().toISOString();
+  };
+
+  const record = (type, txid, at) => {
+    changes.push({ sequence: at, type, txid });
+
+    if (changes.length >= 2 * logSize) {
+      const dropped = changes.length - logSize;
+      horizon = changes[dropped - 1].sequence;
+      changes = changes.slice(dropped);
+    }
+  };
+
+  const toOutpoints = (tx) =>
+    tx.vin.filter((vin) => vin.txid).map((vin) => `${vin.txid}:${vin.vout}`);
+
+  // results of `calls`, null for the failed ones
+  const fetchAll = (calls) =>
+    rpc
+      .batch(calls)
+      .catch(() =>
+        mapConcurrent(calls, 4, ({ method, params }) =>
+          rpc.call(method, params).catch(() => null)
+        )
+      );
+
+  // entry and, with `withInputs`, spent outpoints of each transaction, null
+  // when it left the mempool in the meantime
+  const fetchTxs = async (txids, withInputs = true) => {
+    const results = await fetchAll(
+      txids.flatMap((txid) => [
+        { method: 'getmempoolentry', params: [txid] },
+        ...(withInputs
+          ? [{ method: 'getrawtransaction', params: [txid, true] }]
+          : []),
+      ])
+    );
+
+    if (!withInputs) {
+      return results.map((entry) => entry && { entry, outpoints: null });
+    }
+
+    return txids.map((txid, i) => {
+      const [entry, tx] = results.slice(2 * i, 2 * i + 2);
+      return entry && tx ? { entry, outpoints: toOutpoints(tx) } : null;
+    });
+  };
+
+  const forget = (txid) => {
+    for (const outpoint of inputs.get(txid) ?? []) {
+      if (spentBy.get(outpoint) === txid) {
+        spentBy.delete(outpoint);
+      }
+    }
+
+    inputs.delete(txid);
+  };
+
+  const removeTx = (txid) => {
+    removed.set(txid, entries.get(txid));
+    entries.delete(txid);
+
+    if (removed.size > REMOVED_TXS_KEPT) {
+      const [oldest] = removed.keys();
+      removed.delete(oldest);
+      evictions.delete(oldest);
+      forget(oldest);
+    }
+  };
+
+  // set the outpoints spent by `txid`, returns the txids that spent them before
+  const trackInputs = (txid, outpoints) => {
+    const previous = new Set();
+
+    for (const outpoint of outpoints) {
+      const other = spentBy.get(outpoint);
+
+      if (other && other !== txid) {
+        previous.add(other);
+      }
+
+      spentBy.set(outpoint, txid);
+    }
+
+    inputs.set(txid, outpoints);
+    return previous;
+  };
+
+  /**
+   * Load the outpoints spent by the transactions of the first load, in
+   * batches applied between notifications. Given up when the mempool is
+   * reloaded in the meantime.
+   */
+  const loadInputs = async (txids, load) => {
+    for (
+      let i = 0;
+      i < txids.length && load === baselineLoad;
+      i += ENTRY_BATCH_SIZE
+    ) {
+      const chunk = txids.slice(i, i + ENTRY_BATCH_SIZE);
+      const txs = await fetchAll(
+        chunk.map((txid) => ({
+          method: 'getrawtransaction',
+          params: [txid, true],
+        }))
+      );
+
+      await run(() => {
+        chunk.forEach((txid, j) => {
+          // gone already, or reloaded since
+          if (
+            txs[j] &&
+            load === baselineLoad &&
+            entries.has(txid) &&
+            !inputs.has(txid)
+          ) {
+            trackInputs(txid, toOutpoints(txs[j]));
+          }
+        });
+      });
+    }
+  };
+
+  const recordReplacement = (txid, replacedBy, at) => {
+    const entry = removed.get(txid);
+    const replacement = entries.get(replacedBy);
+
+    replacements.push({
+      txid,
+      replacedBy,
+      replacedAt: new Date().toISOString(),
+      sequence: at,
+      fee: entry.fees.base,
+      replacementFee: replacement.fees.base,
+      feeDelta: toBtc(toSats(replacement.fees.base) - toSats(entry.fees.base)),
+      fullRbf: !entry['bip125-replaceable'],
+    });
+
+    if (replacements.length >= 2 * replacementLogSize) {
+      replacements = replacements.slice(-replacementLogSize);
+    }
+  };
+
+  /**
+   * Add a transaction. `leaving` are the txids removed in the same step,
+   * the only ones it can have replaced. `outpoints` is null for the first
+   * load, see loadInputs.
+   */
+  const addTx = (txid, { entry, outpoints }, at, leaving) => {
+    const conflicts = outpoints ? trackInputs(txid, outpoints) : new Set();
+
+    entries.set(txid, entry);
+    removed.delete(txid);
+    evictions.delete(txid);
+
+    for (const other of conflicts) {
+      if (!removed.has(other)) {
+        continue;
+      }
+
+      if (leaving.has(other)) {
+        recordReplacement(other, txid, at);
+      } else if (!evictions.has(other)) {
+        evictions.set(other, {
+          txid: other,
+          inputsSpentBy: txid,
+          detectedAt: new Date().toISOString(),
+          sequence: at,
+        });
+      }
+    }
+  };
+
+  const apply = async () => {
+    const { txids, mempool_sequence: at } = await rpc.call('getrawmempool', [
+      false,
+      true,
+    ]);
+
+    // the node restarted, its sequence starts over
+    if (sequence !== null && at < sequence) {
+      logger.warn('Mempool sequence went backwards, reloading the mempool');
+      entries = new Map();
+      changes = [];
+      horizon = null;
+      inputs.clear();
+      spentBy.clear();
+      removed.clear();
+      evictions.clear();
+    }
+
+    // the first load is the baseline, not a change
+    const baseline = horizon === null;
+    const current = new Set(txids);
+    const added = txids.filter((txid) => !entries.has(txid));
+    const leaving = new Set();
+    let changed = false;
+
+    // a reconcile is one step, whatever happened since the last one
+    removalRun = { txids: new Set(), next: null };
+
+    for (const txid of entries.keys()) {
+      if (!current.has(txid)) {
+        leaving.add(txid);
+        removeTx(txid);
+        record('removed', txid, at);
+        changed = true;
+      }
+    }
+
+    for (let i = 0; i < added.length; i += ENTRY_BATCH_SIZE) {
+      const chunk = added.slice(i, i + ENTRY_BATCH_SIZE);
+      const fetched = await fetchTxs(chunk, !baseline);
+
+      chunk.forEach((txid, j) => {
+        if (fetched[j]) {
+          addTx(txid, fetched[j], at, leaving);
+          changed = true;
+
+          if (!baseline) {
+            record('added', txid, at);
+          }
+        }
+      });
+    }
+
+    if (baseline) {
+      horizon = at;
+      baselineLoad++;
+      loadInputs(added, baselineLoad).catch((error) =>
+        logger.warn(`Mempool inputs load failed: ${error.message}`)
+      );
+    }
+
+    sequence = at;
+    return changed;
+  };
+
+  const reconcile = async () => {
+    try {
+      const changed = await apply();
+      stale = false;
+      syncedAt = Date.now();
+      update(changed);
+    } catch (error) {
+      stale = true;
+      throw error;
+    }
+  };
+
+  // reconcile, shared with any caller already waiting for one
+  const sync = () => {
+    syncing ??= run(reconcile)
+      .catch((error) => {
+        logger.warn(`Mempool sync failed: ${error.message}`);
+        throw error;
+      })
+      .finally(() => {
+        syncing = null;
+      });
+
+    return syncing;
+  };
+
+  const onSequence = async (body, messageNumber) => {
+    const hash = body.subarray(0, 32).toString('hex');
+    const label = String.fromCharCode(body[32]);
+    const missed =
+      lastMessage !== null && messageNumber !== (lastMessage + 1) >>> 0;
+
+    lastMessage = messageNumber;
+
+    // C: block connected, its transactions left without an R notification;
+    // D: block disconnected, its transactions come back as A notifications
+    if (missed || stale || label === 'C') {
+      return reconcile();
+    }
+
+    if (label === 'D') {
+      return;
+    }
+
+    const at = Number(body.readBigUInt64LE(33));
+
+    // already part of the last reconcile
+    if (at <= sequence) {
+      return;
+    }
+
+    if (label === 'A') {
+      const [fetched] = await fetchTxs([hash]);
+      const leaving = at === removalRun.next ? removalRun.txids : new Set();
+
+      removalRun = { txids: new Set(), next: null };
+
+      // gone already, its R notification follows
+      if (fetched) {
+        addTx(hash, fetched, at, leaving);
+        record('added', hash, at);
+      }
+    } else if (label === 'R') {
+      if (at !== removalRun.next) {
+        removalRun = { txids: new Set(), next: null };
+      }
+
+      removalRun.txids.add(hash);
+      removalRun.next = at + 1;
+
+      if (entries.has(hash)) {
+        removeTx(hash);
+        record('removed', hash, at);
+      }
+    }
+
+    sequence = at;
+    update(true);
+  };
+
+  /**
+   * Start loading the mempool in the background and follow ZMQ `sequence`
+   * notifications, when configured.
+   */
+  const start = () => {
+    if (started) {
+      return;
+    }
+
+    started = true;
+
+    // subscribe before the first snapshot so no notification falls in between
+    if (sequenceEndpoint) {
+      unsubscribe = subscribe(sequenceEndpoint, 'sequence', (body, number) =>
+        run(() => onSequence(body, number))
+      );
+    }
+
+    sync().catch(() => {});
+  };
+
+  const stop = () => {
+    unsubscribe?.();
+    unsubscribe = null;
+    started = false;
+    lastMessage = null;
+    stale = true;
+  };
+
+  const loadingError = () => {
+    const error = new ApiError(
+      503,
+      'MEMPOOL_LOADING',
+      'The mempool is still being loaded, retry shortly',
+      { retryAfter: LOADING_RETRY_AFTER }
+    );
+
+    error.headers = { 'Retry-After': String(LOADING_RETRY_AFTER) };
+    return error;
+  };
+
+  /**
+   * Bring the copy up to date: reconcile when it may have drifted, or,
+   * without ZMQ, when the last reconcile is older than `refreshInterval`.
+   * Fails with a 503 `MEMPOOL_LOADING` ApiError until the first load is
+   * done, starting it if it is not running (e.g. after a failure).
+   *
+   * @returns {Promise<object>} `entries` by txid, the node's mempool
+   *   `sequence` they reflect, the `earliestSequence` changes are known
+   *   from, a `version` counter bumped on every change and `updatedAt`, the
+   *   time of the last sync or notification.
+   */
+  const refresh = async () => {
+    if (sequence === null) {
+      sync().catch(() => {});
+      throw loadingError();
+    }
+
+    const expired = !unsubscribe && Date.now() - syncedAt >= refreshInterval;
+
+    if (stale || expired) {
+      await sync();
+    }
+
+    return {
+      entries,
+      sequence,
+      earliestSequence: horizon,
+      version,
+      updatedAt,
+    };
+  };
+
+  /**
+   * Txids added to and removed from the mempool after sequence `since`.
+   * A transaction that came and went in between is left out; one that
+   * left and came back is listed as added.
+   *
+   * @param {number} since - A mempool sequence seen earlier.
+   * @returns {Promise<{ sequence: number, added: Array<string>, removed: Array<string> }|null>}
+   *   null when the changes since `since` are no longer (or not) known.
+   */
+  const changesSince = async (since) => {
+    await refresh();
+
+    if (since < horizon || since > sequence) {
+      return null;
+    }
+
+    const first = new Map();
+    const last = new Map();
+
+    for (const change of changes) {
+      if (change.sequence <= since) continue;
+
+      if (!first.has(change.txid)) first.set(change.txid, change.type);
+      last.set(change.txid, change.type);
+    }
+
+    const added = [];
+    const removed = [];
+
+    for (const [txid, type] of last) {
+      if (type === 'added') {
+        added.push(txid);
+      } else if (first.get(txid) === 'removed') {
+        removed.push(txid);
+      }
+    }
+
+    return { sequence, added, removed };
+  };
+
+  /**
+   * Replacements linked to `txid`: the ones it was replaced by or replaced,
+   * and further back and forth along the chain, oldest first.
+   *
+   * @param {string} txid
+   * @returns {Array<object>} Replacements: `{ txid, replacedBy, replacedAt,
+   *   sequence, fee, replacementFee, feeDelta, fullRbf }`, fees in BTC.
+   */
+  const replacementsOf = (txid) => {
+    const seen = new Set([txid]);
+    const queue = [txid];
+    const linked = new Set();
+
+    while (queue.length) {
+      const current = queue.pop();
+
+      for (const replacement of replacements) {
+        if (
+          replacement.txid !== current &&
+          replacement.replacedBy !== current
+        ) {
+          continue;
+        }
+
+        linked.add(replacement);
+
+        for (const other of [replacement.txid, replacement.replacedBy]) {
+          if (!seen.has(other)) {
+            seen.add(other);
+            queue.push(other);
+          }
+        }
+      }
+    }
+
+    return replacements.filter((replacement) => linked.has(replacement));
+  };
+
+  /**
+   * Last replacements, newest first.
+   *
+   * @param {number} [limit]
+   * @returns {Array<object>} See replacementsOf.
+   */
+  const recentReplacements = (limit = replacements.length) =>
+    replacements.slice(-limit).reverse();
+
+  /**
+   * How a transaction that left the mempool without being mined or replaced
+   * was found evicted: another transaction spent one of its outpoints later.
+   *
+   * @param {string} txid
+   * @returns {object|undefined} `{ txid, inputsSpentBy, detectedAt, sequence }`.
+   */
+  const evictionOf = (txid) => evictions.get(txid);
+
+  /**
+   * Refresh, then project the mempool into blocks.
+   *
+   * @returns {Promise<object>} projectBlocks result plus `entries`, `sequence` and `updatedAt`.
+   */
+  const getProjection = async () => {
+    const snapshot = await refresh();
+
+    if (projection?.version !== snapshot.version) {
+      projection = { ...projectBlocks(snapshot.entries), ...snapshot };
+    }
+
+    return {
+      ...projection,
+      sequence: snapshot.sequence,
+      updatedAt: snapshot.updatedAt,
+    };
+  };
+
+  return {
+    start,
+    stop,
+    refresh,
+    changesSince,
+    replacementsOf,
+    recentReplacements,
+    evictionOf,
+    projection: getProjection,
+  };
+};
+
+/**
+ * Mempool mirror of the configured node.
+ */
+export const mempoolMirror = createMempoolMirror({
+  rpc,
+  sequenceEndpoint: envConfig.ZMQ_PUB_SEQUENCE,
+  refreshInterval: envConfig.MEMPOOL_REFRESH_INTERVAL_MS,
+  logSize: envConfig.MEMPOOL_CHANGE_LOG_SIZE,
+  replacementLogSize: envConfig.MEMPOOL_REPLACEMENT_LOG_SIZE,
+});
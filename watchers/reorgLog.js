@@ -0,0 +1,79 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { envConfig } from '../config/envConf.js';
+import { logger } from '../utils/logger.js';
+import { chainEvents } from './chainEvents.js';
+
+/**
+ * Persisted history of the chain reorganizations reported by the block
+ * watcher (`reorg` events on `chainEvents`).
+ *
+ * Entries are kept in memory, newest last, and written back to a JSON file
+ * after each reorg (to a temporary file first, then renamed over the old
+ * one). Only the last `size` reorgs are kept.
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file.
+ * @param {number} [options.size=1000] - Reorgs kept.
+ * @returns {object} Log with `start`, `stop` and `list`.
+ */
+export const createReorgLog = ({ file, size = 1000 }) => {
+  let reorgs = [];
+  let writing = Promise.resolve();
+
+  const write = async () => {
+    const tmp = `${file}.tmp`;
+
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(tmp, JSON.stringify(reorgs));
+    await rename(tmp, file);
+  };
+
+  const record = (reorg) => {
+    reorgs.push(reorg);
+    reorgs = reorgs.slice(-size);
+
+    writing = writing.then(write).catch((error) => {
+      logger.error(`Failed to save reorgs to ${file}: ${error.message}`);
+    });
+  };
+
+  /**
+   * Load the history, if there is one yet, and start recording.
+   *
+   * @returns {Promise<void>}
+   */
+  const start = async () => {
+    try {
+      reorgs = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    chainEvents.on('reorg', record);
+  };
+
+  const stop = () => {
+    chainEvents.off('reorg', record);
+  };
+
+  /**
+   * Recorded reorgs, newest first.
+   *
+   * @param {number} [limit]
+   * @returns {Array<object>}
+   */
+  const list = (limit = reorgs.length) => reorgs.slice(-limit).reverse();
+
+  return { start, stop, list };
+};
+
+/**
+ * Reorg history of the configured node.
+ */
+export const reorgLog = createReorgLog({
+  file: envConfig.REORG_LOG_FILE,
+  size: envConfig.REORG_LOG_SIZE,
+});
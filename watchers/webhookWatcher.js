@@ -0,0 +1,265 @@
+import { logger } from '../utils/logger.js';
+import { toBtc, toSats } from '../utils/transactions.js';
+import { chainEvents } from './chainEvents.js';
+
+// notified matches are forgotten after this long
+const MATCH_RETENTION = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Match new blocks and mempool transactions against webhook subscriptions
+ * and queue a delivery once a match reaches the subscription's confirmation
+ * threshold.
+ *
+ * - address subscriptions fire `address.received` for every transaction
+ *   paying to the address, once it has enough confirmations.
+ * - txid subscriptions fire `tx.confirmed` once, then complete.
+ *
+ * Matches are kept on the subscription (`matches`) with the block they were
+ * mined in. Their confirmations are re-read from the block header, so a
+ * match whose block was reorged out goes back to unconfirmed. Blocks missed
+ * while the service was down are scanned on the next block, up to
+ * `catchUpLimit` blocks back.
+ *
+ * @param {object} options
+ * @param {object} options.rpc - RPC client.
+ * @param {object} options.store - Webhook store.
+ * @param {object} options.dispatcher - Webhook dispatcher.
+ * @param {number} [options.catchUpLimit=144] - Max missed blocks scanned.
+ * @returns {object} Watcher with `start`, `stop`, `track` and `refresh`.
+ */
+export const createWebhookWatcher = ({
+  rpc,
+  store,
+  dispatcher,
+  catchUpLimit = 144,
+}) => {
+  // chain events are handled one at a time
+  let queue = Promise.resolve();
+
+  const run = (task) => {
+    queue = queue.then(task).catch((error) => {
+      logger.warn(`Webhook watcher failed: ${error.message}`);
+    });
+
+    return queue;
+  };
+
+  const active = () =>
+    store
+      .listSubscriptions()
+      .filter(
+        (subscription) => subscription.active && !subscription.completedAt
+      );
+
+  const notify = async (subscription, match, confirmations) => {
+    match.notifiedAt = new Date().toISOString();
+
+    const block = {
+      confirmations,
+      blockhash: match.blockhash,
+      blockHeight: match.blockHeight,
+    };
+
+    if (subscription.txid) {
+      subscription.completedAt = match.notifiedAt;
+      await dispatcher.enqueue(subscription, 'tx.confirmed', {
+        txid: match.txid,
+        ...block,
+      });
+    } else {
+      await dispatcher.enqueue(subscription, 'address.received', {
+        address: subscription.address,
+        txid: match.txid,
+        amount: match.amount,
+        outputs: match.outputs,
+        ...block,
+      });
+    }
+  };
+
+  /**
+   * Record a transaction matching a subscription, seen in `block` or in the
+   * mempool when `block` is null.
+   */
+  const record = async (subscription, found, block) => {
+    let match = subscription.matches.find(({ txid }) => txid === found.txid);
+
+    if (!match) {
+      match = {
+        ...found,
+        blockhash: null,
+        blockHeight: null,
+        seenAt: new Date().toISOString(),
+        notifiedAt: null,
+      };
+      subscription.matches.push(match);
+    }
+
+    if (block) {
+      match.blockhash = block.hash;
+      match.blockHeight = block.height;
+    } else if (subscription.confirmations === 0 && !match.notifiedAt) {
+      await notify(subscription, match, 0);
+    }
+  };
+
+  const observe = async (subscriptions, tx, block) => {
+    for (const subscription of subscriptions) {
+      if (subscription.txid) {
+        if (subscription.txid === tx.txid) {
+          await record(subscription, { txid: tx.txid }, block);
+        }
+        continue;
+      }
+
+      const outputs = tx.vout
+        .filter(
+          ({ scriptPubKey }) => scriptPubKey?.address === subscription.address
+        )
+        .map(({ n, value }) => ({ vout: n, value }));
+
+      if (outputs.length) {
+        const sats = outputs.reduce((sum, { value }) => sum + toSats(value), 0);
+
+        await record(
+          subscription,
+          { txid: tx.txid, amount: toBtc(sats), outputs },
+          block
+        );
+      }
+    }
+  };
+
+  const scanBlock = async (subscriptions, hash, height) => {
+    const { tx } = await rpc.call('getblock', [hash, 2]);
+
+    for (const transaction of tx) {
+      await observe(subscriptions, transaction, { hash, height });
+    }
+  };
+
+  // fire matches that reached their threshold, forget old notified ones
+  const evaluate = async (subscriptions) => {
+    const now = Date.now();
+
+    for (const subscription of subscriptions) {
+      subscription.matches = subscription.matches.filter(
+        ({ notifiedAt }) =>
+          !notifiedAt || now - Date.parse(notifiedAt) < MATCH_RETENTION
+      );
+
+      for (const match of subscription.matches) {
+        if (match.notifiedAt || !match.blockhash) {
+          continue;
+        }
+
+        const { confirmations } = await rpc.call('getblockheader', [
+          match.blockhash,
+        ]);
+
+        // -1: the block is no longer in the main chain
+        if (confirmations < 0) {
+          match.blockhash = null;
+          match.blockHeight = null;
+        } else if (confirmations >= subscription.confirmations) {
+          await notify(subscription, match, confirmations);
+        }
+      }
+    }
+  };
+
+  const onBlock = (block) =>
+    run(async () => {
+      const subscriptions = active();
+      const last = store.getLastBlock();
+
+      if (subscriptions.length) {
+        if (last && block.height > last.height + 1) {
+          const from = Math.max(last.height + 1, block.height - catchUpLimit);
+
+          for (let height = from; height < block.height; height++) {
+            const hash = await rpc.call('getblockhash', [height]);
+            await scanBlock(subscriptions, hash, height);
+          }
+        }
+
+        await scanBlock(subscriptions, block.hash, block.height);
+        await evaluate(subscriptions);
+      }
+
+      await store.setLastBlock({ hash: block.hash, height: block.height });
+    });
+
+  const onTx = (tx) =>
+    run(async () => {
+      const subscriptions = active().filter((s) => s.confirmations === 0);
+
+      await observe(subscriptions, tx, null);
+      await store.save();
+    });
+
+  /**
+   * Listen for mempool transactions only while a subscription wants
+   * unconfirmed notifications; fetching them is not free.
+   */
+  const refresh = () => {
+    chainEvents.off('tx', onTx);
+
+    if (active().some((subscription) => subscription.confirmations === 0)) {
+      chainEvents.on('tx', onTx);
+    }
+  };
+
+  /**
+   * Look up the current state of a new or changed subscription. A txid that
+   * is already in the mempool or in a block (with -txindex) is picked up
+   * right away.
+   *
+   * @param {object} subscription
+   * @returns {Promise<void>}
+   */
+  const track = (subscription) => {
+    refresh();
+
+    return run(async () => {
+      if (!subscription.active || subscription.completedAt) {
+        return store.save();
+      }
+
+      if (subscription.txid) {
+        const tx = await rpc
+          .call('getrawtransaction', [subscription.txid, true])
+          .catch(() => null); // unknown yet, or mined without -txindex
+
+        if (tx?.blockhash) {
+          const { height } = await rpc.call('getblockheader', [tx.blockhash]);
+          await record(
+            subscription,
+            { txid: tx.txid },
+            {
+              hash: tx.blockhash,
+              height,
+            }
+          );
+        } else if (tx) {
+          await record(subscription, { txid: tx.txid }, null);
+        }
+      }
+
+      await evaluate([subscription]);
+      await store.save();
+    });
+  };
+
+  const start = () => {
+    chainEvents.on('block', onBlock);
+    refresh();
+  };
+
+  const stop = () => {
+    chainEvents.off('block', onBlock);
+    chainEvents.off('tx', onTx);
+  };
+
+  return { start, stop, track, refresh };
+};
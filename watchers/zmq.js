@@ -0,0 +1,42 @@
+import { Subscriber } from 'zeromq';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Subscribe to one Bitcoin Core ZMQ notification topic (e.g. `hashblock`,
+ * `rawtx`, `sequence`). ZMQ reconnects on its own when bitcoind restarts.
+ *
+ * Messages are handled one at a time, in the order bitcoind published them.
+ * Handler failures are logged and do not end the subscription.
+ *
+ * @param {string} endpoint - Publisher address, e.g. `tcp://127.0.0.1:28332`.
+ * @param {string} topic - Notification topic.
+ * @param {(body: Buffer, sequence: number) => Promise<void>|void} onMessage
+ * @returns {Function} Unsubscribe function closing the socket.
+ */
+export const subscribeZmq = (endpoint, topic, onMessage) => {
+  const socket = new Subscriber();
+
+  socket.connect(endpoint);
+  socket.subscribe(topic);
+
+  (async () => {
+    try {
+      for await (const [, body, sequence] of socket) {
+        try {
+          await onMessage(body, sequence?.readUInt32LE(0));
+        } catch (error) {
+          logger.warn(`ZMQ ${topic} handler failed: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      // receiving rejects once the socket is closed
+      if (!socket.closed) {
+        logger.error(`ZMQ ${topic} subscription ended: ${error.message}`);
+      }
+    }
+  })();
+
+  logger.info(`Subscribed to ZMQ ${topic} at ${endpoint}`);
+
+  return () => socket.close();
+};
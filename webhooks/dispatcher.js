@@ -0,0 +1,163 @@
+import axios from 'axios';
+import { createHmac, randomUUID } from 'crypto';
+import * as changeKeys from 'change-case/keys';
+import { logger } from '../utils/logger.js';
+
+/**
+ * HMAC-SHA256 signature of a delivery body, sent as
+ * `X-Webhook-Signature: sha256=<hex>`.
+ *
+ * @param {string} secret - Subscription secret.
+ * @param {string} body - Raw request body.
+ * @returns {string}
+ *
+ * @example
+ * // receiver side
+ * const expected = signPayload(secret, rawBody);
+ * crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(header));
+ */
+export const signPayload = (secret, body) =>
+  `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Sends webhook deliveries and retries failed ones with exponential backoff.
+ *
+ * A delivery succeeds on any 2xx response. Every attempt is recorded in the
+ * delivery log; after `maxAttempts` failures the delivery is marked `failed`.
+ * Pending deliveries survive restarts, `start()` reschedules them.
+ *
+ * @param {object} options
+ * @param {object} options.store - Webhook store.
+ * @param {number} [options.maxAttempts=8]
+ * @param {number} [options.retryBaseDelay=10000] - Delay before the first retry (ms).
+ * @param {number} [options.retryMaxDelay=3600000] - Retry delay cap (ms).
+ * @param {number} [options.timeout=10000] - Request timeout (ms).
+ * @returns {object} Dispatcher with `enqueue`, `start` and `stop`.
+ */
+export const createDispatcher = ({
+  store,
+  maxAttempts = 8,
+  retryBaseDelay = 10000,
+  retryMaxDelay = 3600000,
+  timeout = 10000,
+}) => {
+  const timers = new Map();
+
+  const post = async (subscription, delivery) => {
+    const body = JSON.stringify(
+      changeKeys.snakeCase(
+        {
+          id: delivery.id,
+          event: delivery.event,
+          subscriptionId: subscription.id,
+          createdAt: delivery.createdAt,
+          data: delivery.data,
+        },
+        -1
+      )
+    );
+
+    const response = await axios.post(subscription.url, body, {
+      timeout,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'btc-trace-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(subscription.secret, body),
+      },
+    });
+
+    return response.status;
+  };
+
+  const attempt = async (delivery) => {
+    timers.delete(delivery.id);
+
+    const subscription = store.getSubscription(delivery.subscriptionId);
+
+    if (!subscription) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      return store.save();
+    }
+
+    const startedAt = Date.now();
+    const record = { at: new Date(startedAt).toISOString() };
+
+    try {
+      record.statusCode = await post(subscription, delivery);
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    if (record.statusCode >= 200 && record.statusCode < 300) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      logger.warn(
+        `Webhook delivery ${delivery.id} to ${subscription.url} failed after ${maxAttempts} attempts`
+      );
+    } else {
+      const delay = Math.min(
+        retryMaxDelay,
+        retryBaseDelay * 2 ** (delivery.attempts.length - 1)
+      );
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      schedule(delivery);
+    }
+
+    return store.save();
+  };
+
+  const schedule = (delivery) => {
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => attempt(delivery), delay);
+
+    timer.unref();
+    timers.set(delivery.id, timer);
+  };
+
+  /**
+   * Queue an event for delivery to a subscription.
+   *
+   * @param {object} subscription
+   * @param {string} event - Event name, e.g. `tx.confirmed`.
+   * @param {object} data - Event payload.
+   * @returns {Promise<object>} The delivery log entry.
+   */
+  const enqueue = async (subscription, event, data) => {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: randomUUID(),
+      subscriptionId: subscription.id,
+      event,
+      data,
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now,
+    };
+
+    await store.addDelivery(delivery);
+    schedule(delivery);
+
+    return delivery;
+  };
+
+  const start = () => store.pendingDeliveries().forEach(schedule);
+
+  const stop = () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  };
+
+  return { enqueue, start, stop };
+};
@@ -0,0 +1,113 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * JSON file store for webhook subscriptions and their delivery log.
+ *
+ * Everything is kept in memory and written back after each change (to a
+ * temporary file first, then renamed over the old one). Writes are chained so
+ * they never overlap. Only the last `logSize` finished deliveries are kept;
+ * pending ones are never dropped.
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file.
+ * @param {number} [options.logSize=1000] - Finished deliveries kept.
+ * @returns {object} Store.
+ */
+export const createWebhookStore = ({ file, logSize = 1000 }) => {
+  let state = { subscriptions: [], deliveries: [], lastBlock: null };
+  let writing = Promise.resolve();
+
+  const write = async () => {
+    const tmp = `${file}.tmp`;
+
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(tmp, JSON.stringify(state));
+    await rename(tmp, file);
+  };
+
+  const trimLog = () => {
+    const finished = state.deliveries.filter((d) => d.status !== 'pending');
+    const excess = new Set(finished.slice(0, finished.length - logSize));
+
+    if (excess.size) {
+      state.deliveries = state.deliveries.filter((d) => !excess.has(d));
+    }
+  };
+
+  /**
+   * Read the file, if there is one yet.
+   */
+  const load = async () => {
+    try {
+      state = { ...state, ...JSON.parse(await readFile(file, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  };
+
+  /**
+   * Persist the current state.
+   *
+   * @returns {Promise<void>}
+   */
+  const save = () => {
+    trimLog();
+
+    writing = writing.then(write).catch((error) => {
+      logger.error(`Failed to save webhooks to ${file}: ${error.message}`);
+    });
+
+    return writing;
+  };
+
+  const listSubscriptions = () => state.subscriptions;
+
+  const getSubscription = (id) =>
+    state.subscriptions.find((subscription) => subscription.id === id);
+
+  const addSubscription = (subscription) => {
+    state.subscriptions.push(subscription);
+    return save();
+  };
+
+  const removeSubscription = (id) => {
+    state.subscriptions = state.subscriptions.filter((s) => s.id !== id);
+    return save();
+  };
+
+  const listDeliveries = (subscriptionId) =>
+    state.deliveries.filter((d) => d.subscriptionId === subscriptionId);
+
+  const pendingDeliveries = () =>
+    state.deliveries.filter((d) => d.status === 'pending');
+
+  const addDelivery = (delivery) => {
+    state.deliveries.push(delivery);
+    return save();
+  };
+
+  const getLastBlock = () => state.lastBlock;
+
+  const setLastBlock = (block) => {
+    state.lastBlock = block;
+    return save();
+  };
+
+  return {
+    load,
+    save,
+    listSubscriptions,
+    getSubscription,
+    addSubscription,
+    removeSubscription,
+    listDeliveries,
+    pendingDeliveries,
+    addDelivery,
+    getLastBlock,
+    setLastBlock,
+  };
+};